@@ -1,38 +1,77 @@
 // App.jsx — adds selective “Edit & Reassign Themes” with robust merge/split ops + fixed file upload + collapsible Edit Prompt
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
 import { NavLink } from 'react-router-dom';
 import Papa from 'papaparse';
 import axios from 'axios';
 import { Upload, Download, FileText, AlertCircle, CheckCircle } from 'lucide-react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer, CartesianGrid } from 'recharts';
 import logoUrl from './assets/av-logo3.png';
 import logoGif from './assets/av-logo-gif-no_background.gif';
 import { API_CHAT_URL } from './apiBase';
+import { checkpointKey, getCheckpoint, putCheckpoint, countCheckpoints, clearCheckpoints, hashContent } from './checkpointStore';
+import { weightedThemeCrosstab } from './weighting';
+import { buildXlsx } from './xlsxWriter';
+import { DEFAULT_AUTO_CODE_RULES, parseAutoCodeRules, planColumn, rowsForPlan, fanOutThemes, fanOutById, expandToMembers } from './preprocess';
+import { columnsWithRole, savedColumnRoles } from './columnRoles';
+import ColumnRoleMapper from './ColumnRoleMapper';
+import {
+  MAX_INPUT_CHARS, MAX_RECORDS_PER_CHUNK, isMeaningful, buildPayloadForColumn, estimateCallsForColumn,
+  translationItems, batchTranslationItems,
+} from './payload';
+import { DATA_FILE_ACCEPT, dataFileKind } from './dataFile';
+import { runDataTask } from './dataWorkerClient';
+import { parseDatamapRows, matchQuestionMeta, questionTitle, questionContext, fillQuestionPlaceholder } from './questionMeta';
+import { LANGUAGE_NAMES, needsTranslation } from './language';
+import { REDACTION_RULES, CUSTOM_TERM_MASK, buildRedactor, parseCustomTerms, redactRows, applyMaskedCells } from './redaction';
+import { codingFromWideRows, codingFromResults, sharedQuestions, autoAlignLabels, compareQuestion, summarizeConsistency } from './reliability';
 
 /* ===================== Python-style constants & helpers ===================== */
 
-// Match Python’s big cap (be mindful of your model/rate limits)
-const MAX_INPUT_CHARS = 12000;
-const MAX_RECORDS_PER_CHUNK = 60;
 const DEFAULT_MAX_COMPLETION_TOKENS = 600;
 const FALLBACK_MAX_COMPLETION_TOKENS = 1200;
+// Extra completion budget per record for output that lists every response (sentiment entries,
+// evidence quotes)
+const SENTIMENT_TOKENS_PER_RECORD = 25;
+const EVIDENCE_TOKENS_PER_RECORD = 45;
+// Settings typed into (ID column, question filter) wait this long before the worker re-estimates
+const ESTIMATE_DEBOUNCE_MS = 250;
+
+// Pause/Cancel abort the run; axios reports that as ERR_CANCELED, our own waits as AbortError
+const abortError = () => Object.assign(new Error('Analysis stopped.'), { name: 'AbortError' });
+const isAbortError = (err) => err?.name === 'AbortError' || err?.code === 'ERR_CANCELED' || axios.isCancel(err);
+
+// Simple backoff for 429 / 5xx (honors Retry-After); onBackoff lets a scheduler slow down too
+// The abort listener is removed once the wait ends, so repeated backoffs leave none behind on the run's signal
+const sleepUnlessAborted = (ms, signal) => new Promise((r) => {
+  const onAbort = () => { clearTimeout(t); r(); };
+  const t = setTimeout(() => { signal?.removeEventListener('abort', onAbort); r(); }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+// Retry-After is either delta-seconds ("30") or an HTTP date; -> ms to wait, or null when unusable
+function retryAfterMs(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+  const ms = /^\d+(?:\.\d+)?$/.test(text) ? Number(text) * 1000 : Date.parse(text) - Date.now();
+  return Number.isFinite(ms) ? Math.max(0, Math.ceil(ms)) : null;
+}
 
-// Simple backoff for 429 / 5xx (honors Retry-After)
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
-async function postChatWithBackoff(url, body, { maxRetries = 6, initialDelayMs = 1500, jitterMs = 400 } = {}) {
+async function postChatWithBackoff(url, body, { maxRetries = 6, initialDelayMs = 1500, jitterMs = 400, onBackoff, signal } = {}) {
   let attempt = 0, delay = initialDelayMs;
   // eslint-disable-next-line no-constant-condition
   while (true) {
+    if (signal?.aborted) throw abortError();
     try {
-      return await axios.post(url, body);
+      return await axios.post(url, body, signal ? { signal } : undefined);
     } catch (err) {
       const status = err?.response?.status;
       if (status === 429 || status >= 500) {
         attempt++;
         if (attempt > maxRetries) throw err;
-        const ra = err.response?.headers?.['retry-after'];
-        const waitMs = ra ? Math.ceil(Number(ra) * 1000) : delay + Math.floor(Math.random() * jitterMs);
+        const ra = retryAfterMs(err.response?.headers?.['retry-after']);
+        const waitMs = ra ?? delay + Math.floor(Math.random() * jitterMs);
         console.warn(`Backoff (${status}) attempt ${attempt}. Waiting ${waitMs}ms…`);
-        await sleep(waitMs);
+        onBackoff?.({ status, waitMs, attempt, retryAfter: ra != null });
+        await sleepUnlessAborted(waitMs, signal);
         delay = Math.min(12000, delay * 2);
         continue;
       }
@@ -41,13 +80,97 @@ async function postChatWithBackoff(url, body, { maxRetries = 6, initialDelayMs =
   }
 }
 
-// Strict question detector like Python: ^q\d+ (Q24, Q25, q10a ok)
-const QUESTION_COL_RE = /^q\d+/i;
-const detectQuestionColumns = (data) => {
-  if (!data?.length || typeof data[0] !== 'object') return [];
-  const columns = Object.keys(data[0]);
-  return columns.filter((c) => QUESTION_COL_RE.test(String(c)));
-};
+/* ===================== Bounded-concurrency job pool (rate-limit aware) ===================== */
+
+// Runs async jobs with at most `concurrency` in flight and a small gap between starts.
+// rateLimited(waitMs) halves the pool width and holds new starts until the wait passes;
+// each run of successes widens it again by one. Callers keep their own result slots, so
+// output order never depends on completion order. Once `signal` aborts, queued jobs are
+// rejected with an AbortError instead of starting.
+function createRatePool({ concurrency = 3, minGapMs = 150, expectedTotal = 0, onProgress, signal } = {}) {
+  const maxWidth = Math.max(1, Math.floor(concurrency) || 1);
+  const WIDEN_AFTER = 5;
+  let width = maxWidth;
+  let active = 0;
+  let holdUntil = 0;
+  let lastStart = 0;
+  let streak = 0;
+  let timer = null;
+  const queue = [];
+  const stats = { done: 0, failed: 0, submitted: 0, restored: 0 };
+
+  const snapshot = () => {
+    const total = Math.max(expectedTotal, stats.submitted);
+    return { done: stats.done, failed: stats.failed, restored: stats.restored, total, remaining: Math.max(0, total - stats.done - stats.failed), width };
+  };
+  const report = () => onProgress?.(snapshot());
+
+  function pump() {
+    if (signal?.aborted) {
+      while (queue.length > 0) queue.shift().reject(abortError());
+      return;
+    }
+    if (timer) return;
+    while (active < width && queue.length > 0) {
+      const now = Date.now();
+      const wait = Math.max(holdUntil - now, lastStart + minGapMs - now);
+      if (wait > 0) {
+        timer = setTimeout(() => { timer = null; pump(); }, wait);
+        return;
+      }
+      const job = queue.shift();
+      active++;
+      lastStart = now;
+      Promise.resolve()
+        .then(job.fn)
+        .then(
+          (value) => {
+            stats.done++;
+            if (++streak >= WIDEN_AFTER && width < maxWidth) { width++; streak = 0; }
+            job.resolve(value);
+          },
+          (err) => {
+            stats.failed++;
+            streak = 0;
+            job.reject(err);
+          }
+        )
+        .finally(() => {
+          active--;
+          report();
+          pump();
+        });
+    }
+  }
+
+  signal?.addEventListener('abort', () => pump());
+
+  return {
+    // A job answered from a checkpoint: counts as done without taking a slot
+    restore() {
+      stats.submitted++;
+      stats.done++;
+      stats.restored++;
+      report();
+    },
+    run(fn) {
+      stats.submitted++;
+      report();
+      return new Promise((resolve, reject) => {
+        queue.push({ fn, resolve, reject });
+        pump();
+      });
+    },
+    rateLimited(waitMs = 0) {
+      width = Math.max(1, Math.floor(width / 2));
+      streak = 0;
+      // A NaN hold would poison holdUntil and silently switch off every later hold
+      if (Number.isFinite(waitMs) && waitMs > 0) holdUntil = Math.max(holdUntil, Date.now() + waitMs);
+      report();
+    },
+    snapshot,
+  };
+}
 
 // Case-insensitive resolver for ID column (Python expects exact; we’re friendlier)
 const resolveIdColumn = (rows, desired) => {
@@ -74,48 +197,8 @@ const detectIdColumn = (rows) => {
   return null;
 };
 
-// === “Meaningful” text gate (w/ common placeholders) ===
-const MIN_MEANINGFUL_CHARS = 1;
-const PLACEHOLDERS = new Set(['', ' ', 'na', 'n a', 'n/a', 'none', 'no response', 'no comment', 'nil', '.', '-', '--']);
-const normalizePlaceholder = (s) =>
-  (s || '').toString().replace(/[^0-9A-Za-z]+/g, ' ').trim().toLowerCase();
-
-const isMeaningful = (text, minChars = MIN_MEANINGFUL_CHARS) => {
-  const s = (text || '').toString().trim();
-  if (s.length < minChars) return false;
-  const norm = normalizePlaceholder(s);
-  if (PLACEHOLDERS.has(norm)) return false;
-  return true;
-};
-
-// Build Python-like payload lines up to MAX_INPUT_CHARS
-function buildPayloadForColumn(rows, idCol, colName, maxChars = MAX_INPUT_CHARS, skipBlanks = true) {
-  const lines = [];
-  let total = 0;
-  for (let i = 0; i < rows.length; i++) {
-    const rid = String(rows[i]?.[idCol] ?? (i + 1));
-    const raw = rows[i]?.[colName];
-    const txt = String(raw ?? '').replace(/\n/g, ' ').trim();
-
-    // honor toggle
-    if (skipBlanks) {
-      if (!isMeaningful(txt)) continue;
-    } else {
-      if (!txt) continue;
-    }
-
-    const line = `record=${rid} | response=${txt}`;
-    const add = line.length + 1;
-    if (total + add > maxChars) break;
-    lines.push(line);
-    total += add;
-  }
-  return lines.join('\n');
-}
-
-function normalizeParticipantIds(themes, rows, idCol) {
-  if (!Array.isArray(themes)) return themes;
-
+// ID token as the model wrote it -> record ID (row numbers are mapped; other tokens come back cleaned)
+function rowNumberToRecordId(rows, idCol) {
   // Map "1" -> rows[0][idCol], "2" -> rows[1][idCol], etc.
   const rowToRid = new Map();
   for (let i = 0; i < rows.length; i++) {
@@ -131,14 +214,23 @@ function normalizeParticipantIds(themes, rows, idCol) {
     return m ? m[0] : s;
   };
 
+  return (x) => {
+    const tok = cleanToken(x);
+    return rowToRid.get(tok) ?? tok; // if it's a row number, map it
+  };
+}
+
+function normalizeParticipantIds(themes, rows, idCol) {
+  if (!Array.isArray(themes)) return themes;
+  const toRecordId = rowNumberToRecordId(rows, idCol);
+
   return themes.map((t) => {
     const ids = Array.isArray(t?.ParticipantID)
       ? t.ParticipantID
       : (t?.ParticipantID != null ? [t.ParticipantID] : []);
 
     const mapped = ids
-      .map(cleanToken)
-      .map((tok) => rowToRid.get(tok) ?? tok) // if it's a row number, map it
+      .map(toRecordId)
       .filter(Boolean)
       .map(String);
 
@@ -150,123 +242,52 @@ function normalizeParticipantIds(themes, rows, idCol) {
 }
 
 
-// === NEW: chunked payload builder to ensure no responses are skipped ===
-function buildPayloadChunk(
-  rows,
-  idCol,
-  colName,
-  startIndex = 0,
-  maxChars = MAX_INPUT_CHARS,
-  skipBlanks = true,
-  maxRecords = MAX_RECORDS_PER_CHUNK
-) {
-  const lines = [];
-  const includedIds = [];
-  let total = 0;
-  let i = startIndex;
-  let recordCount = 0;
-
-  for (; i < rows.length; i++) {
-    const rid = String(rows[i]?.[idCol] ?? (i + 1));
-    const raw = rows[i]?.[colName];
-    const txt = String(raw ?? '').replace(/\n/g, ' ').trim();
-
-    // honor toggle
-    if (skipBlanks) {
-      if (!isMeaningful(txt)) continue;
-    } else {
-      if (!txt) continue;
-    }
+/* ===================== Translation (non-English responses coded in English) ===================== */
 
-    const line = `record=${rid} | response=${txt}`;
-    const add = line.length + 1;
-
-    // If we can't fit this line and we already have something in the chunk, stop here.
-    // We'll continue from this same row in the next chunk.
-    if (total + add > maxChars) {
-      if (lines.length > 0) break;
-      // Single line too large: hard-trim so we can progress.
-      const trimmed = line.slice(0, Math.max(2000, maxChars - 200));
-      lines.push(trimmed);
-      includedIds.push(rid);
-      i++;
-      break;
-    }
+function buildTranslationPrompt(columnName, batch) {
+  const lines = batch.map((x) => `record=${x.id} | language=${LANGUAGE_NAMES[x.lang] || x.lang} | response=${x.text}`).join('\n');
+  return `Translate each survey response to survey column '${columnName}' into English.
+Rules:
+- Translate faithfully; keep the respondent's tone, hedges and spelling of names. Do not summarize or correct.
+- Keep placeholders such as [EMAIL], [PHONE] or [REDACTED] exactly as written.
+- Return one item per record, with ParticipantID copied EXACTLY from "record=".
 
-    lines.push(line);
-    includedIds.push(rid);
-    total += add;
-    recordCount++;
-    if (recordCount >= maxRecords) {
-      i++;
-      break;
-    }
-  }
+RESPONSES (one per line):
+${lines}
 
-  return {
-    payload: lines.join('\\n'),
-    nextIndex: i,
-    includedIds,
-  };
+Output ONLY JSON in this format:
+{ "translations": [ { "ParticipantID": "…", "Translation": "…" } ] }`;
 }
 
-function estimateChunkCount(
-  rows,
-  idCol,
-  colName,
-  maxChars = MAX_INPUT_CHARS,
-  skipBlanks = true,
-  maxRecords = MAX_RECORDS_PER_CHUNK
-) {
-  if (!Array.isArray(rows) || rows.length === 0) return 0;
-  let count = 0;
-  let i = 0;
-
-  while (i < rows.length) {
-    let total = 0;
-    let included = 0;
-    let recordCount = 0;
-
-    for (; i < rows.length; i++) {
-      const rid = String(rows[i]?.[idCol] ?? (i + 1));
-      const raw = rows[i]?.[colName];
-      const txt = String(raw ?? '').replace(/\n/g, ' ').trim();
-
-      if (skipBlanks) {
-        if (!isMeaningful(txt)) continue;
-      } else {
-        if (!txt) continue;
-      }
-
-      const line = `record=${rid} | response=${txt}`;
-      const add = line.length + 1;
-
-      if (total + add > maxChars) {
-        if (included > 0) break;
-        i++;
-        included++;
-        break;
-      }
-
-      total += add;
-      included++;
-      recordCount++;
-      if (recordCount >= maxRecords) {
-        i++;
-        break;
-      }
-    }
-
-    if (included > 0) count++;
-  }
+// A translation is about as long as its source, so the reply budget grows with the batch text
+// (roughly 3 characters per token, plus the JSON wrapper of each item)
+const translationTokenBudget = (batch) => DEFAULT_MAX_COMPLETION_TOKENS
+  + batch.reduce((sum, x) => sum + Math.ceil(x.text.length / 3) + x.id.length + 20, 0);
+
+// Copy of rows with translated text swapped in; blank (unsent) responses stay blank
+function rowsWithTranslations(rows, idCol, colName, textById) {
+  if (!textById || Object.keys(textById).length === 0) return rows;
+  return (Array.isArray(rows) ? rows : []).map((row, i) => {
+    const text = textById[String(row?.[idCol] ?? (i + 1))];
+    return text && row?.[colName] != null && row[colName] !== '' ? { ...row, [colName]: text } : row;
+  });
+}
 
-  return count;
+// Extra line for the extraction and consolidation prompts; nothing for English (the prompts' default)
+function outputLanguageInstruction(language) {
+  const lang = String(language || '').trim();
+  if (!lang || lang.toLowerCase() === 'english') return '';
+  return `Write every ThemeLabel, Definition, Net and RepresentativeKeywords in ${lang}, whatever language the responses are in.`;
 }
 
 // === NEW: merge themes across chunks (simple label-based merge) ===
+const normLabel = (s) => String(s || '').trim().toLowerCase();
+
+// Optional parent net of a sub-code ("NET: Price" → "Price"); '' when the theme stands alone
+const themeNet = (t) => String(t?.Net ?? '').trim().replace(/^net\s*:\s*/i, '');
+
 function mergeChunkThemes(chunks) {
   const merged = new Map(); // key: normalized label -> theme
-  const normLabel = (s) => String(s || '').trim().toLowerCase();
 
   for (const part of chunks) {
     if (!Array.isArray(part)) continue;
@@ -281,6 +302,7 @@ function mergeChunkThemes(chunks) {
         merged.set(key, {
           ThemeLabel: t?.ThemeLabel || 'Other',
           Definition: t?.Definition || '',
+          Net: themeNet(t),
           RepresentativeKeywords: Array.from(new Set(kws)),
           ParticipantID: Array.from(new Set(ids)),
         });
@@ -288,6 +310,7 @@ function mergeChunkThemes(chunks) {
         prev.ParticipantID = Array.from(new Set([...(prev.ParticipantID || []), ...ids]));
         prev.RepresentativeKeywords = Array.from(new Set([...(prev.RepresentativeKeywords || []), ...kws]));
         if (!prev.Definition && t?.Definition) prev.Definition = t.Definition;
+        if (!prev.Net && themeNet(t)) prev.Net = themeNet(t);
       }
     }
   }
@@ -295,6 +318,9 @@ function mergeChunkThemes(chunks) {
   return Array.from(merged.values());
 }
 
+const UNCATEGORIZED_LABEL = 'Uncategorized / Needs Review';
+const UNMATCHED_LABEL = 'New / Unmatched';
+
 // === NEW: ensure 100% assignment coverage for eligible responses ===
 function ensureAllIdsAssigned(themes, universeIdsSet) {
   const assigned = new Set();
@@ -315,7 +341,7 @@ function ensureAllIdsAssigned(themes, universeIdsSet) {
 
   if (missing.length > 0) {
     out.push({
-      ThemeLabel: 'Uncategorized / Needs Review',
+      ThemeLabel: UNCATEGORIZED_LABEL,
       Definition: 'Responses the model did not assign to a theme in this pass.',
       RepresentativeKeywords: [],
       ParticipantID: missing,
@@ -325,6 +351,290 @@ function ensureAllIdsAssigned(themes, universeIdsSet) {
   return out;
 }
 
+/* ===== NEW: LLM consolidation pass (fold near-duplicate chunk themes into one codebook) ===== */
+
+// The reply maps every chunk-level label (written out as "from" and as part of a "to"), on top of the
+// unified themes, so its budget grows with the number of chunk themes
+const consolidationTokenBudget = (chunkThemes) => 2 * DEFAULT_MAX_COMPLETION_TOKENS
+  + chunkThemes.reduce((sum, t) => sum + 2 * Math.ceil(String(t?.ThemeLabel || '').length / 3) + 20, 0);
+
+function buildConsolidationPrompt(columnName, chunkThemes, outputLanguage = '') {
+  const listing = chunkThemes.map((t) => ({
+    ThemeLabel: t.ThemeLabel,
+    Definition: t.Definition,
+    RepresentativeKeywords: (t.RepresentativeKeywords || []).slice(0, 8),
+    n: Array.isArray(t.ParticipantID) ? t.ParticipantID.length : 0,
+  }));
+  return `The themes below were extracted separately from several batches of responses to survey column '${columnName}'. Many are near-duplicates (e.g., "Cost concerns", "Cost Concerns / Price" and "Too expensive").
+
+Your task: produce ONE unified codebook of 6-9 themes for this question and map EVERY input ThemeLabel to exactly one unified theme.
+Rules:
+- Fold together themes that express the same idea; keep genuinely distinct ideas separate.
+- Keep 'Other', 'Don't Know' and 'Refused' style themes separate from substantive themes.
+- Group related unified themes under a shared parent "Net" (e.g., "Price" for "Too expensive" and "Hidden fees"); use null for themes that stand alone.
+- Every input ThemeLabel must appear exactly once as a "from" value in "mapping", copied EXACTLY.
+- Every "to" value must be a ThemeLabel from your unified "themes" list.${outputLanguageInstruction(outputLanguage) ? `\n- ${outputLanguageInstruction(outputLanguage)} "from" values stay as given.` : ''}
+
+INPUT THEMES (JSON, n = number of respondents):
+${JSON.stringify(listing, null, 2)}
+
+Output ONLY JSON in this format:
+{
+"themes": [ { "ThemeLabel": "…", "Definition": "…", "Net": "Parent net or null", "RepresentativeKeywords": ["…"] } ],
+"mapping": [ { "from": "input label", "to": "unified label" } ]
+}`;
+}
+
+// Deterministically remap IDs from label-merged chunk themes onto the consolidated codebook.
+// Input labels the model left out of the mapping are kept as-is so no respondent is dropped.
+// Returns { themes, mapping: [{ from, to, n }] }.
+function applyConsolidation(chunkThemes, consolidated) {
+  const unified = Array.isArray(consolidated?.themes) ? consolidated.themes : [];
+  const rawMapping = Array.isArray(consolidated?.mapping) ? consolidated.mapping : [];
+
+  const out = [];
+  const byLabel = new Map();
+  const ensureTheme = (t) => {
+    const key = normLabel(t?.ThemeLabel);
+    if (!key) return null;
+    if (!byLabel.has(key)) {
+      const theme = {
+        ThemeLabel: String(t.ThemeLabel).trim(),
+        Definition: t.Definition || '',
+        Net: themeNet(t),
+        RepresentativeKeywords: Array.isArray(t.RepresentativeKeywords) ? t.RepresentativeKeywords.map(String) : [],
+        ParticipantID: [],
+      };
+      byLabel.set(key, theme);
+      out.push(theme);
+    }
+    return byLabel.get(key);
+  };
+  unified.forEach(ensureTheme);
+
+  const target = new Map(); // normalized source label -> unified label
+  rawMapping.forEach((m) => {
+    const from = normLabel(m?.from);
+    if (from && m?.to && !target.has(from)) target.set(from, String(m.to).trim());
+  });
+
+  const mapping = [];
+  for (const src of chunkThemes) {
+    const toLabel = target.get(normLabel(src.ThemeLabel));
+    const dest = toLabel
+      ? (byLabel.get(normLabel(toLabel)) || ensureTheme({ ThemeLabel: toLabel }))
+      : ensureTheme(src);
+    const ids = Array.isArray(src.ParticipantID) ? src.ParticipantID.map(String) : [];
+    dest.ParticipantID = Array.from(new Set([...dest.ParticipantID, ...ids]));
+    if (!dest.Definition && src.Definition) dest.Definition = src.Definition;
+    if (!dest.Net && themeNet(src)) dest.Net = themeNet(src);
+    if (dest.RepresentativeKeywords.length < 10 && Array.isArray(src.RepresentativeKeywords)) {
+      dest.RepresentativeKeywords = Array.from(new Set([...dest.RepresentativeKeywords, ...src.RepresentativeKeywords.map(String)])).slice(0, 10);
+    }
+    mapping.push({ from: src.ThemeLabel, to: dest.ThemeLabel, n: ids.length });
+  }
+
+  // Unified themes nothing was mapped onto would be empty columns in the export
+  return { themes: out.filter((t) => t.ParticipantID.length > 0), mapping };
+}
+
+/* ===== NEW: codebook mode (code a new wave against a saved theme set) ===== */
+
+// Labels we generate ourselves; never carried over as codes from a prior wave
+const RESERVED_LABELS = new Set([UNCATEGORIZED_LABEL, UNMATCHED_LABEL, '_parse_error'].map((s) => s.toLowerCase()));
+
+// Accepts our own themes_by_question export (Question, Net, ThemeLabel, Definition, Keywords, ParticipantIDs)
+// and the per-record long file (question, record, ThemeLabel, Definition, Keywords, response).
+// Returns { [question]: [{ ThemeLabel, Definition, Net, RepresentativeKeywords }] } in first-seen order.
+function parseCodebookRows(rows) {
+  const out = {};
+  if (!Array.isArray(rows)) return out;
+
+  const pick = (row, ...names) => {
+    const keys = Object.keys(row || {});
+    for (const name of names) {
+      const k = keys.find((c) => c.toLowerCase() === name.toLowerCase());
+      if (k && row[k] != null && String(row[k]).trim() !== '') return String(row[k]).trim();
+    }
+    return '';
+  };
+
+  for (const row of rows) {
+    const q = pick(row, 'Question');
+    const label = pick(row, 'ThemeLabel');
+    if (!q || !label || RESERVED_LABELS.has(normLabel(label))) continue;
+
+    const list = out[q] || (out[q] = []);
+    if (list.some((t) => normLabel(t.ThemeLabel) === normLabel(label))) continue;
+
+    list.push({
+      ThemeLabel: label,
+      Definition: pick(row, 'Definition'),
+      Net: themeNet({ Net: pick(row, 'Net') }),
+      RepresentativeKeywords: pick(row, 'Keywords', 'RepresentativeKeywords').split(/\s*[,;]\s*/).filter(Boolean),
+    });
+  }
+  return out;
+}
+
+// Case-insensitive lookup so a codebook saved as "Q24" still applies to a "q24" column
+function codebookForColumn(codebook, col) {
+  if (!codebook) return null;
+  const key = Object.keys(codebook).find((k) => k.toLowerCase() === String(col).toLowerCase());
+  return key && codebook[key]?.length ? codebook[key] : null;
+}
+
+// Whether a run adds the consolidation call for `col`. Codebook-mode columns without codebook
+// entries are extracted freely, so they are consolidated like an inductive run.
+function consolidatesColumn(consolidateThemes, codingMode, codebook, col) {
+  return consolidateThemes && !(codingMode === 'codebook' && codebookForColumn(codebook, col));
+}
+
+function buildCodebookPrompt(codebookThemes) {
+  const locked = codebookThemes.map((t) => ({ ThemeLabel: t.ThemeLabel, Definition: t.Definition }));
+  return `Your role: You are a senior survey research analyst coding a new wave of a tracking study.
+Your task: Assign every open-ended response below to one or more codes from the LOCKED CODEBOOK. It is CRUCIAL that every ParticipantID goes into AT LEAST one code.
+Instructions:
+1) Use ONLY the codes listed in the codebook. Do NOT invent, rename, merge or split codes.
+2) Copy each ThemeLabel EXACTLY as written in the codebook.
+3) If a response fits none of the codes, assign it to "${UNMATCHED_LABEL}".
+4) ParticipantID must be the EXACT token after "record=" on each line (e.g., record=AB123 → "AB123"). Do NOT use row numbers.
+5) Omit codes that have no matching responses in this batch.
+
+LOCKED CODEBOOK (JSON):
+${JSON.stringify(locked, null, 2)}
+
+Output ONLY JSON in this format:
+[
+{
+"ThemeLabel": "Exact codebook label",
+"ParticipantID": ["record1", "record2"]
+}
+]`;
+}
+
+// Fold chunk-level assignments onto the locked codebook. Every codebook entry is kept (even at n=0)
+// so waves line up column-for-column; labels the model invented land in "New / Unmatched".
+function assignChunksToCodebook(codebookThemes, chunks) {
+  const byLabel = new Map();
+  const out = codebookThemes.map((t) => {
+    const theme = {
+      ThemeLabel: t.ThemeLabel,
+      Definition: t.Definition || '',
+      Net: themeNet(t),
+      RepresentativeKeywords: Array.isArray(t.RepresentativeKeywords) ? [...t.RepresentativeKeywords] : [],
+      ParticipantID: [],
+    };
+    byLabel.set(normLabel(t.ThemeLabel), theme);
+    return theme;
+  });
+
+  const unmatched = {
+    ThemeLabel: UNMATCHED_LABEL,
+    Definition: 'Responses that did not fit any code in the locked codebook.',
+    RepresentativeKeywords: [],
+    ParticipantID: [],
+  };
+
+  for (const part of chunks) {
+    if (!Array.isArray(part)) continue;
+    for (const t of part) {
+      const target = byLabel.get(normLabel(t?.ThemeLabel)) || unmatched;
+      const ids = Array.isArray(t?.ParticipantID) ? t.ParticipantID : (t?.ParticipantID != null ? [t.ParticipantID] : []);
+      target.ParticipantID.push(...ids.map(String));
+    }
+  }
+
+  out.forEach((t) => { t.ParticipantID = Array.from(new Set(t.ParticipantID)); });
+  unmatched.ParticipantID = Array.from(new Set(unmatched.ParticipantID));
+  if (unmatched.ParticipantID.length > 0) out.push(unmatched);
+  return out;
+}
+
+/* ===== NEW: ID audit (hallucinated, duplicated and dropped ParticipantIDs) ===== */
+
+// Same ID listed more than once inside one theme of one chunk (collapsed silently by the merge)
+function countDuplicateMentions(chunks) {
+  let n = 0;
+  for (const part of chunks) {
+    if (!Array.isArray(part)) continue;
+    for (const t of part) {
+      const ids = Array.isArray(t?.ParticipantID) ? t.ParticipantID.map(String) : [];
+      n += ids.length - new Set(ids).size;
+    }
+  }
+  return n;
+}
+
+// Strips IDs that are not in the question universe (invented or mangled by the model), sweeps
+// unassigned IDs into Uncategorized, and reports what happened so coverage can be certified.
+function auditQuestionThemes(themes, universe, { parseFailedIds = [], duplicateMentions = 0 } = {}) {
+  const unknownRemoved = new Set();
+  const checkUniverse = universe && universe.size > 0;
+
+  const cleaned = (Array.isArray(themes) ? themes : []).map((t) => {
+    const ids = Array.isArray(t?.ParticipantID) ? t.ParticipantID.map(String) : [];
+    const kept = ids.filter((id) => {
+      if (!checkUniverse || universe.has(id)) return true;
+      unknownRemoved.add(id);
+      return false;
+    });
+    return { ...t, ParticipantID: kept };
+  });
+
+  const assignedByModel = new Set(cleaned.flatMap((t) => t.ParticipantID));
+  const failed = new Set(parseFailedIds.map(String));
+  const lostToParse = [];
+  const missedByModel = [];
+  (universe || new Set()).forEach((id) => {
+    if (assignedByModel.has(id)) return;
+    if (failed.has(id)) lostToParse.push(id); else missedByModel.push(id);
+  });
+
+  const finalThemes = ensureAllIdsAssigned(cleaned, universe);
+
+  const themeCounts = new Map();
+  finalThemes.forEach((t) => new Set(t.ParticipantID.map(String)).forEach((id) => themeCounts.set(id, (themeCounts.get(id) || 0) + 1)));
+  const multiTheme = Array.from(themeCounts.values()).filter((c) => c > 1).length;
+  const universeSize = universe ? universe.size : 0;
+  const covered = universe ? Array.from(universe).filter((id) => themeCounts.has(id)).length : 0;
+
+  return {
+    themes: finalThemes,
+    audit: {
+      universe: universeSize,
+      assignedByModel: Array.from(assignedByModel).length,
+      unknownRemoved: Array.from(unknownRemoved),
+      duplicateMentions,
+      multiTheme,
+      lostToParse,
+      missedByModel,
+      covered,
+      coveragePct: universeSize > 0 ? Math.round((covered / universeSize) * 1000) / 10 : 100,
+    },
+  };
+}
+
+// Flat rows for the id_audit_by_question export
+function auditToRows(audits, questionMeta) {
+  return Object.entries(audits || {}).map(([q, a]) => ({
+    Question: q,
+    QuestionText: questionMeta?.[q]?.text || '',
+    UniverseN: a.universe,
+    AssignedByModelN: a.assignedByModel,
+    UnknownRemovedN: a.unknownRemoved.length,
+    UnknownRemovedIDs: a.unknownRemoved.join('; '),
+    DuplicateMentions: a.duplicateMentions,
+    MultiThemeN: a.multiTheme,
+    LostToParseN: a.lostToParse.length,
+    LostToParseIDs: a.lostToParse.join('; '),
+    MissedByModelN: a.missedByModel.length,
+    MissedByModelIDs: a.missedByModel.join('; '),
+    CoveredN: a.covered,
+    CoveragePct: a.coveragePct,
+  }));
+}
+
 // Python-style lenient JSON parser
 function parseJsonMaybe(text) {
   if (text == null) return [];
@@ -385,60 +695,1968 @@ function extractChatContent(resp) {
   return content;
 }
 
-async function fetchChatContent(messages, model, maxTokens) {
-  const body = {
-    model,
-    messages,
-    max_completion_tokens: maxTokens,
-    max_tokens: maxTokens,
-  };
-  const resp = await postChatWithBackoff(API_CHAT_URL, body);
-  return extractChatContent(resp);
+// requestOpts.responseFormat / .temperature go into the body; onServedModel(name) hears which model the
+// API says answered; the rest goes to postChatWithBackoff (e.g. { onBackoff, signal })
+async function fetchChatContent(messages, model, maxTokens, requestOpts = {}) {
+  const { responseFormat, temperature, onServedModel, ...postOpts } = requestOpts;
+  const body = {
+    model,
+    messages,
+    max_completion_tokens: maxTokens,
+    max_tokens: maxTokens,
+    ...(responseFormat ? { response_format: responseFormat } : {}),
+    ...(temperature != null ? { temperature } : {}),
+  };
+  const resp = await postChatWithBackoff(API_CHAT_URL, body, postOpts);
+  if (resp?.data?.model) onServedModel?.(String(resp.data.model));
+  return extractChatContent(resp);
+}
+
+// requestOpts.maxTokens raises the completion budget for calls whose output grows with the batch
+async function fetchChatContentWithRetry(messages, model, requestOpts = {}) {
+  const { maxTokens = DEFAULT_MAX_COMPLETION_TOKENS, ...opts } = requestOpts;
+  try {
+    return await fetchChatContent(messages, model, maxTokens, opts);
+  } catch (err) {
+    if (String(err?.message || '').includes('empty content')) {
+      return await fetchChatContent(messages, model, Math.max(FALLBACK_MAX_COMPLETION_TOKENS, maxTokens * 2), opts);
+    }
+    throw err;
+  }
+}
+
+/* ===================== Structured (JSON-schema) responses + validation + repair ===================== */
+
+const MAX_JSON_REPAIR_ATTEMPTS = 2;
+
+const STRING_ARRAY = { type: 'array', items: { type: 'string' } };
+const NULLABLE_STRING = { type: ['string', 'null'] };
+const THEME_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['ThemeLabel', 'Definition', 'Net', 'RepresentativeKeywords', 'ParticipantID'],
+  properties: {
+    ThemeLabel: { type: 'string' },
+    Definition: { type: 'string' },
+    Net: NULLABLE_STRING,
+    RepresentativeKeywords: STRING_ARRAY,
+    ParticipantID: STRING_ARRAY,
+  },
+};
+const NULLABLE_INDEX = { type: ['integer', 'null'] };
+const opSchema = (op, properties) => ({
+  type: 'object',
+  additionalProperties: false,
+  required: ['op', ...Object.keys(properties)],
+  properties: { op: { type: 'string', enum: [op] }, ...properties },
+});
+
+// Strict mode needs an object at the root, so arrays are wrapped under `root`; bare arrays from a
+// prompt-only response are wrapped the same way before validation.
+const RESPONSE_SCHEMAS = {
+  themes: {
+    name: 'theme_extraction',
+    root: 'themes',
+    schema: { type: 'object', additionalProperties: false, required: ['themes'], properties: { themes: { type: 'array', items: THEME_SCHEMA } } },
+  },
+  codebookAssignments: {
+    name: 'codebook_assignment',
+    root: 'themes',
+    schema: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['themes'],
+      properties: {
+        themes: {
+          type: 'array',
+          items: { type: 'object', additionalProperties: false, required: ['ThemeLabel', 'ParticipantID'], properties: { ThemeLabel: { type: 'string' }, ParticipantID: STRING_ARRAY } },
+        },
+      },
+    },
+  },
+  consolidation: {
+    name: 'theme_consolidation',
+    root: null,
+    schema: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['themes', 'mapping'],
+      properties: {
+        themes: {
+          type: 'array',
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['ThemeLabel', 'Definition', 'Net', 'RepresentativeKeywords'],
+            properties: { ThemeLabel: { type: 'string' }, Definition: { type: 'string' }, Net: NULLABLE_STRING, RepresentativeKeywords: STRING_ARRAY },
+          },
+        },
+        mapping: {
+          type: 'array',
+          items: { type: 'object', additionalProperties: false, required: ['from', 'to'], properties: { from: { type: 'string' }, to: { type: 'string' } } },
+        },
+      },
+    },
+  },
+  translations: {
+    name: 'response_translations',
+    root: 'translations',
+    schema: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['translations'],
+      properties: {
+        translations: {
+          type: 'array',
+          items: { type: 'object', additionalProperties: false, required: ['ParticipantID', 'Translation'], properties: { ParticipantID: { type: 'string' }, Translation: { type: 'string' } } },
+        },
+      },
+    },
+  },
+  quotes: {
+    name: 'representative_quotes',
+    root: 'quotes',
+    schema: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['quotes'],
+      properties: {
+        quotes: {
+          type: 'array',
+          items: { type: 'object', additionalProperties: false, required: ['index', 'ParticipantID'], properties: { index: { type: 'integer' }, ParticipantID: STRING_ARRAY } },
+        },
+      },
+    },
+  },
+  editOps: {
+    name: 'theme_edit_ops',
+    root: 'ops',
+    schema: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['ops'],
+      properties: {
+        ops: {
+          type: 'array',
+          items: {
+            anyOf: [
+              opSchema('merge', {
+                indices: { type: 'array', items: { type: 'integer' } },
+                ThemeLabel: { type: 'string' },
+                Definition: { type: 'string' },
+                Net: NULLABLE_STRING,
+                RepresentativeKeywords: STRING_ARRAY,
+                ParticipantID: STRING_ARRAY,
+                insertIndex: NULLABLE_INDEX,
+              }),
+              opSchema('split', { index: { type: 'integer' }, replacements: { type: 'array', items: THEME_SCHEMA }, insertIndex: NULLABLE_INDEX }),
+              opSchema('replace', { index: { type: 'integer' }, theme: THEME_SCHEMA }),
+              opSchema('delete', { indices: { type: 'array', items: { type: 'integer' } } }),
+              opSchema('insert', { index: { type: 'integer' }, theme: THEME_SCHEMA }),
+            ],
+          },
+        },
+      },
+    },
+  },
+};
+
+const toResponseFormat = (def) => ({ type: 'json_schema', json_schema: { name: def.name, strict: true, schema: def.schema } });
+
+// Minimal validator for the subset of JSON Schema used above (type, enum, anyOf, properties,
+// required, additionalProperties:false, items). Locally we are a little more forgiving than the
+// API: numbers pass as strings (IDs) and nullable properties may be omitted.
+function validateJsonSchema(value, schema, path = '$') {
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map((sub) => validateJsonSchema(value, sub, path));
+    if (branches.some((b) => b.length === 0)) return [];
+    return branches.reduce((best, b) => (b.length < best.length ? b : best));
+  }
+
+  const types = schema.type ? [].concat(schema.type) : [];
+  const isType = (t) => {
+    if (t === 'null') return value === null;
+    if (t === 'array') return Array.isArray(value);
+    if (t === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (t === 'integer') return Number.isInteger(value);
+    if (t === 'number') return typeof value === 'number' && Number.isFinite(value);
+    if (t === 'string') return typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value));
+    return typeof value === t;
+  };
+  if (types.length > 0 && !types.some(isType)) return [`${path}: expected ${types.join(' or ')}`];
+  if (schema.enum && !schema.enum.includes(value)) return [`${path}: expected one of ${schema.enum.join(', ')}`];
+
+  const errors = [];
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((v, i) => errors.push(...validateJsonSchema(v, schema.items, `${path}[${i}]`)));
+  }
+  if (isType('object') && schema.properties) {
+    (schema.required || []).forEach((k) => {
+      const nullable = [].concat(schema.properties[k]?.type || []).includes('null');
+      if (!(k in value) && !nullable) errors.push(`${path}.${k}: missing`);
+    });
+    Object.entries(value).forEach(([k, v]) => {
+      if (schema.properties[k]) errors.push(...validateJsonSchema(v, schema.properties[k], `${path}.${k}`));
+      else if (schema.additionalProperties === false) errors.push(`${path}.${k}: not allowed`);
+    });
+  }
+  return errors;
+}
+
+// Parse + validate model output against a RESPONSE_SCHEMAS entry. value is unwrapped from `root`.
+function readSchemaJson(content, def) {
+  let parsed;
+  try {
+    parsed = parseJsonMaybe(content);
+  } catch (_) {
+    return { value: null, errors: ['$: response is not valid JSON'] };
+  }
+  const wrapped = def.root && Array.isArray(parsed) ? { [def.root]: parsed } : parsed;
+  const errors = validateJsonSchema(wrapped, def.schema);
+  return { value: errors.length ? null : (def.root ? wrapped[def.root] : wrapped), errors };
+}
+
+function buildRepairMessages(content, errors, def) {
+  return [
+    { role: 'system', content: 'You repair JSON so it matches a JSON Schema. Output strictly valid JSON with no commentary.' },
+    {
+      role: 'user',
+      content:
+        `The JSON below does not match the required schema.\n\n` +
+        `PROBLEMS:\n${errors.slice(0, 20).map((e) => `- ${e}`).join('\n')}\n\n` +
+        `SCHEMA:\n${JSON.stringify(def.schema)}\n\n` +
+        `JSON TO REPAIR:\n${content}\n\n` +
+        `Return ONLY the corrected JSON. Keep labels, text and IDs unchanged except where needed to fix the listed problems.`
+    },
+  ];
+}
+
+// Request a schema-constrained response, validate it locally and issue targeted repair calls when it
+// does not match. Returns { content, value, errors }; value is null only if every repair failed.
+async function fetchValidatedJson(messages, model, def, { requestOpts = {}, structured = true } = {}) {
+  let useFormat = structured;
+  const call = async (msgs) => {
+    try {
+      return await fetchChatContentWithRetry(msgs, model, useFormat ? { ...requestOpts, responseFormat: toResponseFormat(def) } : requestOpts);
+    } catch (err) {
+      // A proxy/model that rejects response_format still gets prompt-only JSON + local validation
+      if (useFormat && err?.response?.status === 400 && /response_format|json_schema/i.test(JSON.stringify(err.response?.data ?? ''))) {
+        useFormat = false;
+        return fetchChatContentWithRetry(msgs, model, requestOpts);
+      }
+      throw err;
+    }
+  };
+
+  let content = await call(messages);
+  let check = readSchemaJson(content, def);
+  for (let attempt = 1; check.errors.length > 0 && attempt <= MAX_JSON_REPAIR_ATTEMPTS; attempt++) {
+    console.warn(`Response failed ${def.name} schema (repair ${attempt}/${MAX_JSON_REPAIR_ATTEMPTS}):`, check.errors.slice(0, 5));
+    content = await call(buildRepairMessages(content, check.errors, def));
+    check = readSchemaJson(content, def);
+  }
+  return { content, value: check.value, errors: check.errors };
+}
+
+/* ===== NEW: compute question-level respondent universe (for % coverage) ===== */
+function computeQuestionUniverse(rows, idCol, qcol, skipBlanks = true) {
+  const set = new Set();
+  if (!Array.isArray(rows) || rows.length === 0) return set;
+  for (let i = 0; i < rows.length; i++) {
+    const rid = String(rows[i]?.[idCol] ?? (i + 1));
+    const raw = rows[i]?.[qcol];
+    const txt = String(raw ?? '').replace(/\n/g, ' ').trim();
+    const include = skipBlanks ? isMeaningful(txt) : !!txt;
+    if (include) set.add(rid);
+  }
+  return set;
+}
+
+/* ===================== Representative quotes (model picks IDs; text always comes from the CSV) ===================== */
+
+const QUOTES_PER_THEME = 3;
+const MAX_QUOTE_CANDIDATES = 25; // responses offered to the model per theme
+const MAX_QUOTE_CHARS = 300;     // candidate text is truncated in the prompt only
+
+// ID -> verbatim text for one question column
+function buildVerbatimMap(rows, idCol, qcol) {
+  const map = new Map();
+  if (!Array.isArray(rows)) return map;
+  for (let i = 0; i < rows.length; i++) {
+    const rid = String(rows[i]?.[idCol] ?? (i + 1));
+    const txt = String(rows[i]?.[qcol] ?? '').replace(/\n/g, ' ').trim();
+    if (txt) map.set(rid, txt);
+  }
+  return map;
+}
+
+// Evenly spaced sample so big themes are not represented only by their first chunk
+function sampleQuoteCandidates(ids, verbatims) {
+  const withText = ids.filter((id) => isMeaningful(verbatims.get(id) || ''));
+  if (withText.length <= MAX_QUOTE_CANDIDATES) return withText;
+  const step = withText.length / MAX_QUOTE_CANDIDATES;
+  return Array.from({ length: MAX_QUOTE_CANDIDATES }, (_, k) => withText[Math.floor(k * step)]);
+}
+
+function buildQuotePrompt(columnName, themes, verbatims) {
+  const listing = themes
+    .map((t, index) => ({
+      index,
+      ThemeLabel: t.ThemeLabel,
+      Definition: t.Definition || '',
+      responses: sampleQuoteCandidates(themeIds(t), verbatims).map((id) => {
+        const text = verbatims.get(id);
+        return { id, text: text.length > MAX_QUOTE_CHARS ? `${text.slice(0, MAX_QUOTE_CHARS)}…` : text };
+      }),
+    }))
+    .filter((t) => t.responses.length > 0);
+
+  return `Below are the themes coded for survey column '${columnName}', each with a sample of the responses assigned to it.
+
+Your task: for EACH theme, choose 2-${QUOTES_PER_THEME} responses that best represent it, the kind an analyst would quote in a report.
+Rules:
+- Prefer clear, specific, self-contained responses that express the theme's idea directly.
+- Pick responses that show different angles of the theme rather than near-identical wording.
+- Only use ids listed under that theme; copy them EXACTLY.
+
+THEMES (JSON):
+${JSON.stringify(listing, null, 2)}
+
+Output ONLY JSON in this format:
+{ "quotes": [ { "index": 0, "ParticipantID": ["id", "id"] } ] }`;
+}
+
+// Keep only picks that belong to the theme and have text; returns { [ThemeLabel]: [{ id, text }] }
+function resolveQuotes(themes, picks, verbatims) {
+  const out = {};
+  for (const pick of Array.isArray(picks) ? picks : []) {
+    const theme = themes[pick?.index];
+    if (!theme) continue;
+    const allowed = new Set(themeIds(theme));
+    const ids = Array.from(new Set((pick.ParticipantID || []).map(String)))
+      .filter((id) => allowed.has(id) && verbatims.has(id))
+      .slice(0, QUOTES_PER_THEME);
+    if (ids.length > 0) out[theme.ThemeLabel] = ids.map((id) => ({ id, text: verbatims.get(id) }));
+  }
+  return out;
+}
+
+// Quotes are keyed by label, so drop any whose respondent has since been moved out of the theme
+function quotesForTheme(quotesByLabel, theme) {
+  const list = quotesByLabel?.[theme?.ThemeLabel];
+  if (!Array.isArray(list)) return [];
+  const ids = new Set(themeIds(theme));
+  return list.filter((q) => ids.has(q.id));
+}
+
+const formatQuotes = (quotes) => quotes.map((q) => `"${q.text}" (${q.id})`).join(' | ');
+
+/* ===================== Evidence spans (why each respondent is in each theme, verified against their text) ===================== */
+
+const EVIDENCE_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['ParticipantID', 'Quote'],
+    properties: { ParticipantID: { type: 'string' }, Quote: { type: 'string' } },
+  },
+};
+
+// Same response shape, with an Evidence list on every theme
+function withEvidenceSchema(def) {
+  const themes = def.schema.properties.themes;
+  const items = {
+    ...themes.items,
+    required: [...themes.items.required, 'Evidence'],
+    properties: { ...themes.items.properties, Evidence: EVIDENCE_SCHEMA },
+  };
+  return {
+    ...def,
+    name: `${def.name}_evidence`,
+    schema: { ...def.schema, properties: { ...def.schema.properties, themes: { ...themes, items } } },
+  };
+}
+
+const EVIDENCE_INSTRUCTIONS = `ADDITIONALLY, justify every assignment: give each theme an "Evidence" array with one entry per ParticipantID in that theme:
+{ "ParticipantID": "record", "Quote": "the short phrase (max ~12 words) from THAT response that puts it in this theme" }
+Copy the Quote VERBATIM from the response text; do not paraphrase, translate or fix spelling.`;
+
+// Word-sequence matcher: same whole words in the same order, ignoring case, punctuation and spacing
+function evidenceRegex(quote) {
+  const words = String(quote || '').match(/[\p{L}\p{N}]+/gu);
+  if (!words || words.length === 0) return null;
+  const body = words.map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[^\\p{L}\\p{N}]+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+// Verified evidence from chunk-level themes: { evidence: { [id]: { [normLabel]: quote } }, stats: { claimed, verified } }.
+// toRecordId maps row numbers to record IDs the way normalizeParticipantIds does for themes.
+function collectEvidence(chunks, verbatims, toRecordId = (x) => String(x ?? '').trim()) {
+  const evidence = {};
+  const stats = { claimed: 0, verified: 0 };
+  for (const part of chunks) {
+    if (!Array.isArray(part)) continue;
+    for (const t of part) {
+      const label = normLabel(t?.ThemeLabel);
+      for (const e of Array.isArray(t?.Evidence) ? t.Evidence : []) {
+        const id = String(toRecordId(e?.ParticipantID) ?? '').trim();
+        const quote = String(e?.Quote ?? '').trim();
+        if (!id || !quote) continue;
+        stats.claimed++;
+        const re = evidenceRegex(quote);
+        if (!re || !re.test(verbatims.get(id) || '')) continue;
+        stats.verified++;
+        const mine = evidence[id] || (evidence[id] = {});
+        if (!mine[label]) mine[label] = quote;
+      }
+    }
+  }
+  return { evidence, stats };
+}
+
+// Follow the consolidation pass: evidence recorded under a chunk label moves to its unified label
+function remapEvidence(evidence, mapping) {
+  if (!Array.isArray(mapping) || mapping.length === 0) return evidence;
+  const to = new Map(mapping.map((m) => [normLabel(m.from), normLabel(m.to)]));
+  const out = {};
+  Object.entries(evidence).forEach(([id, byLabel]) => {
+    out[id] = {};
+    Object.entries(byLabel).forEach(([label, quote]) => {
+      const target = to.get(label) || label;
+      if (!out[id][target]) out[id][target] = quote;
+    });
+  });
+  return out;
+}
+
+const evidenceFor = (evidenceById, theme, id) => evidenceById?.[id]?.[normLabel(theme?.ThemeLabel)] || '';
+
+/* ===================== Sentiment + intensity (per respondent, coded during extraction) ===================== */
+
+const SENTIMENTS = ['positive', 'neutral', 'negative', 'mixed'];
+const SENTIMENT_COLORS = { positive: '#38a169', neutral: '#a0aec0', negative: '#e53e3e', mixed: '#d69e2e' };
+const MAX_INTENSITY = 5;
+
+const SENTIMENT_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['ParticipantID', 'Sentiment', 'Intensity'],
+    properties: { ParticipantID: { type: 'string' }, Sentiment: { type: 'string', enum: SENTIMENTS }, Intensity: { type: 'integer' } },
+  },
+};
+
+// Same themes payload, wrapped in an object that also carries one sentiment entry per response
+function withSentimentSchema(def) {
+  return {
+    name: `${def.name}_sentiment`,
+    root: null,
+    schema: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['themes', 'sentiment'],
+      properties: { themes: def.schema.properties.themes, sentiment: SENTIMENT_SCHEMA },
+    },
+  };
+}
+
+const SENTIMENT_INSTRUCTIONS = `ADDITIONALLY, code the sentiment of EVERY response:
+- Sentiment: "positive", "neutral", "negative" or "mixed" (both clearly positive and clearly negative)
+- Intensity: integer 1-${MAX_INTENSITY} (1 = mild or matter-of-fact, ${MAX_INTENSITY} = very strong feeling)
+OUTPUT FORMAT OVERRIDE: return ONE JSON object instead of a bare array:
+{ "themes": [ ...the theme objects described above... ], "sentiment": [ { "ParticipantID": "record", "Sentiment": "negative", "Intensity": 3 } ] }`;
+
+// { [id]: { sentiment, intensity } } for IDs in the question universe; first mention wins.
+// toRecordId maps row numbers to record IDs the way normalizeParticipantIds does for themes.
+function collectSentiment(chunks, universe, toRecordId = (x) => String(x ?? '').trim()) {
+  const out = {};
+  for (const part of chunks) {
+    if (!Array.isArray(part)) continue;
+    for (const s of part) {
+      const id = String(toRecordId(s?.ParticipantID) ?? '').trim();
+      const sentiment = String(s?.Sentiment ?? '').trim().toLowerCase();
+      if (!id || out[id] || !SENTIMENTS.includes(sentiment)) continue;
+      if (universe && universe.size > 0 && !universe.has(id)) continue;
+      const n = Math.round(Number(s?.Intensity));
+      out[id] = { sentiment, intensity: Number.isFinite(n) ? clamp(n, 1, MAX_INTENSITY) : null };
+    }
+  }
+  return out;
+}
+
+// Sentiment breakdown for one theme's respondents
+function summarizeSentiment(ids, byId) {
+  const counts = Object.fromEntries(SENTIMENTS.map((k) => [k, 0]));
+  let coded = 0, intensitySum = 0, intensityN = 0;
+  for (const id of ids) {
+    const s = byId?.[id];
+    if (!s) continue;
+    counts[s.sentiment]++;
+    coded++;
+    if (s.intensity != null) { intensitySum += s.intensity; intensityN++; }
+  }
+  return { counts, coded, meanIntensity: intensityN ? Math.round((intensitySum / intensityN) * 10) / 10 : null };
+}
+
+// Long-export columns for one theme; blank when the question was not sentiment-coded
+function sentimentExportColumns(ids, byId) {
+  const { counts, meanIntensity } = summarizeSentiment(ids, byId);
+  return {
+    ...Object.fromEntries(SENTIMENTS.map((k) => [`Sentiment_${k}`, byId ? counts[k] : ''])),
+    MeanIntensity: byId && meanIntensity != null ? meanIntensity : '',
+  };
+}
+
+/* ===================== Structured theme edits (merge/split/replace/delete/insert) ===================== */
+
+function clamp(n, lo, hi) { return Math.max(lo, Math.min(hi, n)); }
+
+function applyLegacyPatches(arr, patches) {
+  const copy = [...arr];
+  patches.forEach((p) => {
+    const i = Number(p.index);
+    if (!Number.isFinite(i) || i < 0 || i >= copy.length) return;
+    copy[i] = {
+      ThemeLabel: p.ThemeLabel ?? copy[i]?.ThemeLabel ?? `Theme ${i + 1}`,
+      Definition: p.Definition ?? copy[i]?.Definition ?? '',
+      Net: themeNet(p.Net !== undefined ? p : copy[i]),
+      RepresentativeKeywords: Array.isArray(p.RepresentativeKeywords) ? p.RepresentativeKeywords : (copy[i]?.RepresentativeKeywords || []),
+      ParticipantID: Array.isArray(p.ParticipantID) ? p.ParticipantID.map(String) : (copy[i]?.ParticipantID || [])
+    };
+  });
+  return copy;
+}
+
+function applyStructuredEdits(original, edits) {
+  let arr = [...original];
+  if (!Array.isArray(edits) || edits.length === 0) return arr;
+
+  const looksLegacy = edits.every(e => typeof e === 'object' && !('op' in e));
+  if (looksLegacy) return applyLegacyPatches(arr, edits);
+
+  const ops = edits.map(e => ({ ...e }));
+
+  const normalizeTheme = (t, fallbackLabel = 'Theme') => ({
+    ThemeLabel: t?.ThemeLabel ?? fallbackLabel,
+    Definition: t?.Definition ?? '',
+    Net: themeNet(t),
+    RepresentativeKeywords: Array.isArray(t?.RepresentativeKeywords) ? t.RepresentativeKeywords : [],
+    ParticipantID: Array.isArray(t?.ParticipantID) ? t.ParticipantID.map(String) : []
+  });
+
+  // 1) MERGE & SPLIT
+  ops.filter(o => o.op === 'merge' || o.op === 'split').forEach(op => {
+    if (op.op === 'merge') {
+      const indices = Array.isArray(op.indices) ? Array.from(new Set(op.indices)).sort((a,b)=>a-b) : [];
+      if (indices.length === 0) return;
+
+      const insertIndex = Number.isFinite(op.insertIndex) ? clamp(op.insertIndex, 0, arr.length) : indices[0];
+      const merged = normalizeTheme(op, 'Merged Theme');
+
+      for (let k = indices.length - 1; k >= 0; k--) {
+        const idx = indices[k];
+        if (idx >= 0 && idx < arr.length) arr.splice(idx, 1);
+      }
+      const ii = clamp(insertIndex, 0, arr.length);
+      arr.splice(ii, 0, {
+        ThemeLabel: merged.ThemeLabel,
+        Definition: merged.Definition,
+        Net: merged.Net,
+        RepresentativeKeywords: merged.RepresentativeKeywords,
+        ParticipantID: merged.ParticipantID
+      });
+    }
+
+    if (op.op === 'split') {
+      const idx = Number(op.index);
+      if (!Number.isFinite(idx) || idx < 0 || idx >= arr.length) return;
+
+      const replacements = Array.isArray(op.replacements) ? op.replacements.map((t, j) => normalizeTheme(t, `Split ${j+1}`)) : [];
+      if (replacements.length === 0) return;
+
+      arr.splice(idx, 1);
+
+      const insertIndex = Number.isFinite(op.insertIndex) ? clamp(op.insertIndex, 0, arr.length) : idx;
+      const toInsert = replacements.map(r => ({
+        ThemeLabel: r.ThemeLabel,
+        Definition: r.Definition,
+        Net: r.Net,
+        RepresentativeKeywords: r.RepresentativeKeywords,
+        ParticipantID: r.ParticipantID
+      }));
+      arr.splice(insertIndex, 0, ...toInsert);
+    }
+  });
+
+  // 2) DELETE
+  ops.filter(o => o.op === 'delete').forEach(op => {
+    const indices = Array.isArray(op.indices) ? Array.from(new Set(op.indices)).sort((a,b)=>b-a) : [];
+    indices.forEach(i => {
+      if (i >= 0 && i < arr.length) arr.splice(i, 1);
+    });
+  });
+
+  // 3) REPLACE
+  ops.filter(o => o.op === 'replace').forEach(op => {
+    const i = Number(op.index);
+    if (!Number.isFinite(i) || i < 0 || i >= arr.length) return;
+    const t = normalizeTheme(op.theme, `Theme ${i+1}`);
+    arr[i] = {
+      ThemeLabel: t.ThemeLabel,
+      Definition: t.Definition,
+      Net: t.Net,
+      RepresentativeKeywords: t.RepresentativeKeywords,
+      ParticipantID: t.ParticipantID
+    };
+  });
+
+  // 4) INSERT
+  ops.filter(o => o.op === 'insert').forEach(op => {
+    const i = Number(op.index);
+    if (!Number.isFinite(i)) return;
+    const idx = clamp(i, 0, arr.length);
+    const t = normalizeTheme(op.theme, `Theme ${idx+1}`);
+    arr.splice(idx, 0, {
+      ThemeLabel: t.ThemeLabel,
+      Definition: t.Definition,
+      Net: t.Net,
+      RepresentativeKeywords: t.RepresentativeKeywords,
+      ParticipantID: t.ParticipantID
+    });
+  });
+
+  return arr;
+}
+
+const themeIds = (t) => (Array.isArray(t?.ParticipantID) ? t.ParticipantID : (t?.ParticipantID != null ? [t.ParticipantID] : [])).map(String);
+
+// Net/sub-code tree over the flat theme array, in first-seen order. Standalone themes are their own
+// group with net ''. Items keep their flat index because edit ops address themes by index.
+function groupThemesByNet(themes) {
+  const groups = [];
+  const byNet = new Map();
+  (Array.isArray(themes) ? themes : []).forEach((theme, index) => {
+    const net = themeNet(theme);
+    if (!net) { groups.push({ net: '', items: [{ theme, index }] }); return; }
+    const key = normLabel(net);
+    if (!byNet.has(key)) {
+      const group = { net, items: [] };
+      byNet.set(key, group);
+      groups.push(group);
+    }
+    byNet.get(key).items.push({ theme, index });
+  });
+  return groups;
+}
+
+// A net codes 1 for anyone coded to any of its sub-codes
+const netIds = (group) => Array.from(new Set(group.items.flatMap(({ theme }) => themeIds(theme))));
+
+// Numbered code frame for one question, in tree order: sub-codes 01, 02, … and nets N01, N02, …
+// Numbers are positional, so they follow the current theme order rather than being stored.
+function buildCodeFrame(themes) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const frame = [];
+  let codeNo = 0;
+  let netNo = 0;
+  groupThemesByNet(themes).forEach((group) => {
+    if (group.net) {
+      frame.push({ code: `N${pad(++netNo)}`, isNet: true, label: `NET: ${group.net}`, net: group.net, definition: '', keywords: [], ids: new Set(netIds(group)) });
+    }
+    group.items.forEach(({ theme }) => {
+      frame.push({
+        code: pad(++codeNo),
+        isNet: false,
+        label: theme.ThemeLabel || `Theme ${codeNo}`,
+        net: group.net,
+        definition: theme.Definition || '',
+        keywords: Array.isArray(theme.RepresentativeKeywords) ? theme.RepresentativeKeywords : [],
+        ids: new Set(themeIds(theme)),
+      });
+    });
+  });
+  return frame;
+}
+
+// Code frame + answering base for every question in results (shared by the Excel and SPSS exports).
+// The base is everyone who answered, plus anyone coded, so a 0 always means "answered, not mentioned".
+function codeFramesForResults(results, rows, idCol, skipBlanks) {
+  return Object.entries(results || {}).map(([qcol, themes]) => {
+    const coded = Array.isArray(themes);
+    const frame = coded ? buildCodeFrame(themes) : [];
+    const base = computeQuestionUniverse(rows, idCol, qcol, skipBlanks);
+    frame.forEach((c) => { if (!c.isNet) c.ids.forEach((id) => base.add(id)); });
+    return { qcol, coded, frame, base };
+  });
+}
+
+/* ===================== SPSS bundle (CSV with legal variable names + .sps syntax) ===================== */
+
+const SPSS_RESERVED = new Set(['ALL', 'AND', 'BY', 'EQ', 'GE', 'GT', 'LE', 'LT', 'NE', 'NOT', 'OR', 'TO', 'WITH']);
+const SPSS_SENTIMENT_CODES = { positive: 1, neutral: 2, negative: 3, mixed: 4 };
+const utf8Length = (s) => new TextEncoder().encode(s).length;
+
+// Legal SPSS name: letter first, [A-Za-z0-9_.], ≤64 bytes, no trailing period
+function spssSafeName(raw) {
+  let base = String(raw || 'V').replace(/[^A-Za-z0-9_.]+/g, '_').replace(/_+/g, '_').replace(/[._]+$/, '');
+  if (!/^[A-Za-z]/.test(base)) base = `V${base}`;
+  if (SPSS_RESERVED.has(base.toUpperCase())) base = `${base}_`;
+  return base.slice(0, 64);
+}
+
+// Legal names that are also unique (case-insensitive) within one file
+function spssNamer() {
+  const used = new Set();
+  return (raw) => {
+    const base = spssSafeName(raw);
+    let name = base;
+    for (let k = 2; used.has(name.toLowerCase()); k++) name = `${base.slice(0, 64 - String(k).length - 1)}_${k}`;
+    used.add(name.toLowerCase());
+    return name;
+  };
+}
+
+// Quoted SPSS string literal, trimmed to a byte budget (variable labels 256, value labels 120)
+function spssQuote(text, maxBytes) {
+  let t = String(text ?? '').replace(/\s+/g, ' ').trim();
+  while (utf8Length(t) > maxBytes) t = t.slice(0, -1);
+  return `'${t.replace(/'/g, "''")}'`;
+}
+
+// Returns { csv, sps } for the coded questions in `questions` (from codeFramesForResults)
+function buildSpssBundle({ questions, rows, idCol, sentiment, questionMeta, dataFileName, sourceName }) {
+  const nameFor = spssNamer();
+  const idVar = nameFor(idCol);
+  const rowIds = rows.map((row, i) => String(row?.[idCol] ?? (i + 1)));
+  const idWidth = rowIds.reduce((m, id) => Math.max(m, utf8Length(id)), 1);
+
+  // One entry per output column, in file order
+  const vars = [{ name: idVar, format: `A${idWidth}`, label: idCol, value: (i) => rowIds[i] }];
+  const sets = [];
+  questions.filter((q) => q.coded).forEach(({ qcol, frame, base }) => {
+    const prefix = spssSafeName(qcol);
+    const codeVars = [];
+    const netVars = [];
+    frame.forEach((c) => {
+      const name = nameFor(`${prefix}_${c.code}`);
+      (c.isNet ? netVars : codeVars).push(name);
+      vars.push({
+        name,
+        format: 'F1.0',
+        label: `${qcol}: ${c.label}`,
+        binary: true,
+        value: (i) => (base.has(rowIds[i]) ? (c.ids.has(rowIds[i]) ? 1 : 0) : ''),
+      });
+    });
+    if (codeVars.length) sets.push({ name: `$${prefix}`, label: `${questionTitle(qcol, questionMeta)} (codes)`, vars: codeVars });
+    if (netVars.length) sets.push({ name: `$${prefix}_NETS`, label: `${questionTitle(qcol, questionMeta)} (nets)`, vars: netVars });
+
+    const bySentiment = sentiment?.[qcol];
+    if (bySentiment) {
+      vars.push({
+        name: nameFor(`${prefix}_Sent`),
+        format: 'F1.0',
+        label: `${qcol}: sentiment`,
+        sentiment: true,
+        value: (i) => SPSS_SENTIMENT_CODES[bySentiment[rowIds[i]]?.sentiment] ?? '',
+      });
+      vars.push({
+        name: nameFor(`${prefix}_Int`),
+        format: 'F1.0',
+        label: `${qcol}: sentiment intensity (1-${MAX_INTENSITY})`,
+        value: (i) => bySentiment[rowIds[i]]?.intensity ?? '',
+      });
+    }
+  });
+
+  const csv = Papa.unparse({
+    fields: vars.map((v) => v.name),
+    data: rows.map((_, i) => vars.map((v) => v.value(i))),
+  });
+
+  const binary = vars.filter((v) => v.binary).map((v) => v.name);
+  const sentimentVars = vars.filter((v) => v.sentiment).map((v) => v.name);
+  const lines = [
+    '* Encoding: UTF-8.',
+    `* Coded open-ends${sourceName ? ` from ${sourceName}` : ''}, exported ${new Date().toISOString()}.`,
+    `* Put ${dataFileName} next to this file (or edit the /FILE path), then run all.`,
+    '',
+    'GET DATA',
+    '  /TYPE=TXT',
+    `  /FILE='${dataFileName}'`,
+    "  /ENCODING='UTF8'",
+    '  /DELCASE=LINE',
+    '  /DELIMITERS=","',
+    "  /QUALIFIER='\"'",
+    '  /ARRANGEMENT=DELIMITED',
+    '  /FIRSTCASE=2',
+    '  /VARIABLES=',
+    ...vars.map((v) => `    ${v.name} ${v.format}`),
+    '.',
+    'CACHE.',
+    'EXECUTE.',
+    '',
+    'VARIABLE LABELS',
+    ...vars.map((v, k) => `  ${v.name} ${spssQuote(v.label, 256)}${k === vars.length - 1 ? '.' : ''}`),
+    '',
+  ];
+  if (binary.length) {
+    lines.push('VALUE LABELS', ...binary.map((n) => `  ${n}`), "  0 'Not mentioned' 1 'Mentioned'.", '');
+  }
+  if (sentimentVars.length) {
+    lines.push(
+      'VALUE LABELS',
+      ...sentimentVars.map((n) => `  ${n}`),
+      `  ${Object.entries(SPSS_SENTIMENT_CODES).map(([k, code]) => `${code} '${k[0].toUpperCase()}${k.slice(1)}'`).join(' ')}.`,
+      ''
+    );
+  }
+  if (binary.length || sentimentVars.length) {
+    lines.push(`VARIABLE LEVEL ${[...binary, ...sentimentVars].join(' ')} (NOMINAL).`, '');
+  }
+  if (sets.length) {
+    lines.push('MRSETS');
+    sets.forEach((set) => {
+      lines.push(`  /MDGROUP NAME=${set.name.slice(0, 64)} LABEL=${spssQuote(set.label, 256)} CATEGORYLABELS=VARLABELS VALUE=1`);
+      lines.push(`    VARIABLES=${set.vars.join(' ')}`);
+    });
+    lines.push('.', '');
+  }
+  lines.push('EXECUTE.');
+
+  return { csv, sps: lines.join('\n') };
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// One-line, human-readable summary of an edit op against the themes it was proposed for
+function describeEditOp(op, themes) {
+  const name = (i) => `“${themes?.[i]?.ThemeLabel ?? `#${Number(i) + 1}`}”`;
+  const count = (t) => `${themeIds(t).length} IDs`;
+  switch (op?.op) {
+    case 'merge':
+      return `Merge ${(op.indices || []).map(name).join(' + ')} → “${op.ThemeLabel || 'Merged Theme'}” (${count(op)})`;
+    case 'split':
+      return `Split ${name(op.index)} into ${(op.replacements || []).map((r) => `“${r.ThemeLabel}” (${count(r)})`).join(', ')}`;
+    case 'replace':
+      return `Replace ${name(op.index)} with “${op.theme?.ThemeLabel}” (${count(op.theme)})`;
+    case 'delete':
+      return `Delete ${(op.indices || []).map(name).join(', ')}`;
+    case 'insert':
+      return `Insert “${op.theme?.ThemeLabel}” at position ${Number(op.index) + 1} (${count(op.theme)})`;
+    default:
+      return `Update ${name(op?.index)}`;
+  }
+}
+
+// What changes between two versions of a question's themes: themes added/removed/renamed
+// (a removed + added pair sharing ≥50% of IDs counts as a rename), IDs that changed themes,
+// and IDs that no longer sit in any theme.
+function diffThemes(before, after) {
+  const toEntry = (t) => ({ label: t?.ThemeLabel || 'Theme', ids: new Set(themeIds(t)) });
+  const b = (before || []).map(toEntry);
+  let a = (after || []).map(toEntry);
+
+  const afterByLabel = new Map(a.map((t) => [normLabel(t.label), t]));
+  const canonical = new Map(); // before entry -> after label it corresponds to
+  const matched = new Set();
+  let removed = [];
+  b.forEach((t) => {
+    const m = afterByLabel.get(normLabel(t.label));
+    if (m && !matched.has(m)) { matched.add(m); canonical.set(t, m.label); } else removed.push(t);
+  });
+  let added = a.filter((t) => !matched.has(t));
+
+  const jaccard = (x, y) => {
+    let inter = 0;
+    x.forEach((id) => { if (y.has(id)) inter++; });
+    const union = x.size + y.size - inter;
+    return union ? inter / union : 0;
+  };
+  const renamed = [];
+  removed = removed.filter((r) => {
+    let best = null, score = 0;
+    added.forEach((x) => { const j = jaccard(r.ids, x.ids); if (j > score) { score = j; best = x; } });
+    if (!best || score < 0.5) return true;
+    renamed.push({ from: r.label, to: best.label });
+    canonical.set(r, best.label);
+    added = added.filter((x) => x !== best);
+    return false;
+  });
+
+  const membership = (entries, labelOf) => {
+    const m = new Map();
+    entries.forEach((t) => t.ids.forEach((id) => {
+      if (!m.has(id)) m.set(id, new Set());
+      m.get(id).add(labelOf(t));
+    }));
+    return m;
+  };
+  const beforeOf = membership(b, (t) => canonical.get(t) ?? t.label);
+  const afterOf = membership(a, (t) => t.label);
+
+  const moves = new Map(); // "from → to" -> { from, to, ids }
+  const orphaned = [];
+  beforeOf.forEach((labels, id) => {
+    const now = afterOf.get(id);
+    if (!now || now.size === 0) { orphaned.push(id); return; }
+    const from = [...labels].filter((l) => !now.has(l));
+    const to = [...now].filter((l) => !labels.has(l));
+    if (from.length === 0 && to.length === 0) return;
+    const key = `${from.join(' + ')} → ${to.join(' + ')}`;
+    if (!moves.has(key)) moves.set(key, { from, to, ids: [] });
+    moves.get(key).ids.push(id);
+  });
+
+  return {
+    added: added.map((t) => t.label),
+    removed: removed.map((t) => t.label),
+    renamed,
+    moves: Array.from(moves.values()),
+    orphaned,
+  };
+}
+
+// Manual move/copy of respondents expressed as the same replace ops the model uses
+function buildMoveOps(themes, fromIdx, toIdx, ids, { copy = false } = {}) {
+  const moving = ids.map(String);
+  const src = themes[fromIdx];
+  const dst = themes[toIdx];
+  if (!src || !dst || fromIdx === toIdx || moving.length === 0) return [];
+  const ops = [];
+  if (!copy) {
+    const drop = new Set(moving);
+    ops.push({ op: 'replace', index: fromIdx, theme: { ...src, ParticipantID: themeIds(src).filter((id) => !drop.has(id)) } });
+  }
+  ops.push({ op: 'replace', index: toIdx, theme: { ...dst, ParticipantID: Array.from(new Set([...themeIds(dst), ...moving])) } });
+  return ops;
+}
+
+/* ===================== Small Tabs component for the config card ===================== */
+
+function ConfigTabs() {
+  const tabStyle = ({ isActive }) => ({
+    padding: '8px 12px',
+    borderRadius: 6,
+    fontWeight: 500,
+    textDecoration: 'none',
+    color: isActive ? 'white' : '#1a365d',
+    background: isActive ? '#1a365d' : 'transparent',
+    border: '1px solid rgba(0,0,0,0.10)',
+  });
+
+  return (
+    <div className="config-tabs" style={{ display: 'flex', gap: 8, marginBottom: '1rem' }}>
+      <NavLink to="/bot" style={tabStyle}>Verbatims</NavLink>
+      <NavLink to="/toplines" style={tabStyle}>Memos</NavLink>
+      <NavLink to="/chatbot" style={tabStyle}>Chatbot</NavLink>
+    </div>
+  );
+}
+
+/* ===================== Manual theme editor (hand edits share the AI op vocabulary + history) ===================== */
+
+const ID_DRAG_TYPE = 'application/x-av-theme-ids';
+
+function ThemeManualEditor({ qcol, theme, index, themes, verbatims, evidenceOf, selectedIds, onToggleId, onCommit }) {
+  const [label, setLabel] = useState(theme.ThemeLabel || '');
+  const [net, setNet] = useState(themeNet(theme));
+  const [definition, setDefinition] = useState(theme.Definition || '');
+  const [keywords, setKeywords] = useState((theme.RepresentativeKeywords || []).join(', '));
+  const [target, setTarget] = useState('');
+  const ids = themeIds(theme);
+  const selected = ids.filter((id) => selectedIds.includes(id));
+
+  const dirty = label !== (theme.ThemeLabel || '')
+    || net !== themeNet(theme)
+    || definition !== (theme.Definition || '')
+    || keywords !== (theme.RepresentativeKeywords || []).join(', ');
+
+  const saveFields = () => {
+    const nextTheme = {
+      ...theme,
+      ThemeLabel: label.trim() || theme.ThemeLabel,
+      Definition: definition.trim(),
+      Net: themeNet({ Net: net }),
+      RepresentativeKeywords: keywords.split(',').map((k) => k.trim()).filter(Boolean),
+    };
+    const what = label.trim() && label.trim() !== theme.ThemeLabel ? `rename “${theme.ThemeLabel}” → “${nextTheme.ThemeLabel}”` : `edit “${theme.ThemeLabel}”`;
+    onCommit([{ op: 'replace', index, theme: nextTheme }], `Manual: ${what}`);
+  };
+
+  const deleteTheme = () => {
+    if (ids.length > 0 && !window.confirm(`“${theme.ThemeLabel}” still has ${ids.length} respondent(s). Delete it anyway? Respondents only in this theme will be left without a theme.`)) return;
+    onCommit([{ op: 'delete', indices: [index] }], `Manual: delete “${theme.ThemeLabel}”`);
+  };
+
+  const move = (copy) => {
+    const toIdx = Number(target);
+    const ops = buildMoveOps(themes, index, toIdx, selected, { copy });
+    if (ops.length) onCommit(ops, `Manual: ${copy ? 'copy' : 'move'} ${selected.length} ID(s) “${theme.ThemeLabel}” → “${themes[toIdx].ThemeLabel}”`);
+  };
+
+  const onDragStart = (e, id) => {
+    const dragging = selected.includes(id) ? selected : [id];
+    e.dataTransfer.setData(ID_DRAG_TYPE, JSON.stringify({ qcol, from: index, ids: dragging }));
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  const inputStyle = { width: '100%', padding: '4px 6px', borderRadius: 6, border: '1px solid #e2e8f0', fontSize: '0.85rem' };
+
+  return (
+    <div style={{ marginTop: 8, display: 'grid', gap: 6, fontSize: '0.85rem' }}>
+      <input value={label} onChange={(e) => setLabel(e.target.value)} placeholder="ThemeLabel" style={inputStyle} aria-label="Theme label" />
+      <input
+        value={net}
+        onChange={(e) => setNet(e.target.value)}
+        placeholder="Net (parent group, optional)"
+        list={`nets-${qcol}`}
+        style={inputStyle}
+        aria-label="Parent net"
+      />
+      <datalist id={`nets-${qcol}`}>
+        {Array.from(new Set(themes.map(themeNet).filter(Boolean))).map((n) => <option key={n} value={n} />)}
+      </datalist>
+      <textarea value={definition} onChange={(e) => setDefinition(e.target.value)} placeholder="Definition" rows={2} style={inputStyle} aria-label="Theme definition" />
+      <input value={keywords} onChange={(e) => setKeywords(e.target.value)} placeholder="Keywords, comma separated" style={inputStyle} aria-label="Theme keywords" />
+      <div style={{ display: 'flex', gap: 8 }}>
+        <button type="button" className="btn" onClick={saveFields} disabled={!dirty}>Save</button>
+        <button type="button" className="btn btn-secondary" onClick={deleteTheme}>{ids.length ? 'Delete theme…' : 'Delete empty theme'}</button>
+      </div>
+
+      {ids.length > 0 && (
+        <>
+          <div style={{ maxHeight: 220, overflow: 'auto', border: '1px solid #e2e8f0', borderRadius: 6, background: 'white' }}>
+            {ids.map((id) => (
+              <label
+                key={id}
+                draggable
+                onDragStart={(e) => onDragStart(e, id)}
+                title="Drag onto another theme to move (drags all checked IDs)"
+                style={{ display: 'grid', gridTemplateColumns: '18px 90px 1fr', gap: 6, padding: '3px 6px', borderBottom: '1px solid #f0f2f3', cursor: 'grab', alignItems: 'start' }}
+              >
+                <input type="checkbox" checked={selectedIds.includes(id)} onChange={() => onToggleId(id)} style={{ margin: '2px 0 0' }} />
+                <span style={{ fontFamily: 'monospace' }}>{id}</span>
+                <span style={{ color: '#4A5568' }}><VerbatimText text={verbatims?.get(id)} quote={evidenceOf?.(id)} /></span>
+              </label>
+            ))}
+          </div>
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+            <span>{selected.length} selected →</span>
+            <select value={target} onChange={(e) => setTarget(e.target.value)} style={{ padding: '4px 6px', borderRadius: 6 }}>
+              <option value="">Choose target theme…</option>
+              {themes.map((t, j) => (j === index ? null : <option key={j} value={j}>{t.ThemeLabel || `Theme ${j + 1}`}</option>))}
+            </select>
+            <button type="button" className="btn btn-secondary" onClick={() => move(false)} disabled={!selected.length || target === ''}>Move</button>
+            <button type="button" className="btn btn-secondary" onClick={() => move(true)} disabled={!selected.length || target === ''}>Copy</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+/* ===================== Human review queue (uncategorized, low-confidence and multi-theme respondents) ===================== */
+
+const MULTI_THEME_REVIEW_MIN = 3; // respondents in this many themes or more get a second look
+const REVIEW_REASONS = {
+  uncategorized: 'Uncategorized / unmatched',
+  volatile: 'Codes changed between runs',
+  unverified: 'No verified evidence',
+  multi: `In ${MULTI_THEME_REVIEW_MIN}+ themes`,
+};
+const REVIEW_REASON_ORDER = Object.keys(REVIEW_REASONS);
+
+const isReservedTheme = (t) => RESERVED_LABELS.has(normLabel(t?.ThemeLabel));
+
+// Respondents that need a human decision, most urgent reason first. evidenceById is only consulted
+// when evidence was captured for the question; ruleCodedById ({ [id]: [normLabel] }) names the codes
+// an auto-code rule gave, which never have model evidence. reviewedIds (Set) leaves out finished decisions.
+// Returns [{ id, reasons: string[], volatileCodes: [{ label, votes }] }].
+function buildReviewQueue(themes, { evidenceById = null, ruleCodedById = null, consistencyInfo = null, reviewedIds = new Set() } = {}) {
+  if (!Array.isArray(themes)) return [];
+  const byId = new Map(); // id -> { codes: theme[], reserved: boolean }
+  themes.forEach((t) => themeIds(t).forEach((id) => {
+    const entry = byId.get(id) || { codes: [], reserved: false };
+    if (isReservedTheme(t)) entry.reserved = true;
+    else entry.codes.push(t);
+    byId.set(id, entry);
+  }));
+  const volatileById = new Map((consistencyInfo?.volatile || []).map((v) => [v.id, v.codes]));
+
+  const queue = [];
+  byId.forEach((entry, id) => {
+    if (reviewedIds.has(id)) return;
+    const reasons = [];
+    if (entry.reserved) reasons.push('uncategorized');
+    if (volatileById.has(id)) reasons.push('volatile');
+    const ruleCoded = new Set(ruleCodedById?.[id] || []);
+    if (evidenceById && entry.codes.some((t) => !ruleCoded.has(normLabel(t?.ThemeLabel)) && !evidenceFor(evidenceById, t, id))) {
+      reasons.push('unverified');
+    }
+    if (entry.codes.length >= MULTI_THEME_REVIEW_MIN) reasons.push('multi');
+    if (reasons.length) queue.push({ id, reasons, volatileCodes: volatileById.get(id) || [] });
+  });
+  const rank = (item) => REVIEW_REASON_ORDER.indexOf(item.reasons[0]);
+  return queue.sort((a, b) => rank(a) - rank(b));
+}
+
+// Replace ops that give respondent `id` exactly the chosen theme indices. Choosing a real theme takes
+// them out of Uncategorized; choosing nothing puts them (back) into Uncategorized.
+function buildReviewOps(themes, id, chosen) {
+  const picked = new Set(chosen);
+  const real = themes.map((t, i) => i).filter((i) => picked.has(i) && !isReservedTheme(themes[i]));
+  let target = new Set(real.length ? real : Array.from(picked));
+  const ops = [];
+  if (target.size === 0) {
+    const u = themes.findIndex((t) => normLabel(t.ThemeLabel) === normLabel(UNCATEGORIZED_LABEL));
+    if (u === -1) {
+      ops.push({
+        op: 'insert',
+        index: themes.length,
+        theme: { ThemeLabel: UNCATEGORIZED_LABEL, Definition: 'Responses the model did not assign to a theme in this pass.', RepresentativeKeywords: [], ParticipantID: [id] },
+      });
+    } else {
+      target = new Set([u]);
+    }
+  }
+  themes.forEach((t, i) => {
+    const ids = themeIds(t);
+    const has = ids.includes(id);
+    if (has === target.has(i)) return;
+    ops.push({ op: 'replace', index: i, theme: { ...t, ParticipantID: has ? ids.filter((x) => x !== id) : [...ids, id] } });
+  });
+  return ops;
+}
+
+// Themes worth offering first: current codes, codes other runs gave, then themes whose keywords appear in the text
+function reviewCandidates(themes, id, text, volatileCodes) {
+  const lower = String(text || '').toLowerCase();
+  const volatileLabels = new Set(volatileCodes.map((c) => normLabel(c.label)));
+  return themes.map((t, index) => {
+    const current = themeIds(t).includes(id);
+    const otherRuns = volatileLabels.has(normLabel(t.ThemeLabel));
+    const keywordHits = (t.RepresentativeKeywords || []).filter((k) => k && lower.includes(String(k).toLowerCase()));
+    const score = (current ? 4 : 0) + (otherRuns ? 2 : 0) + (keywordHits.length ? 1 : 0);
+    return { theme: t, index, current, otherRuns, keywordHits, score };
+  }).sort((a, b) => b.score - a.score || a.index - b.index);
+}
+
+const themeLabelsFor = (themes, id) => themes.filter((t) => themeIds(t).includes(id)).map((t) => t.ThemeLabel);
+
+function ReviewQueuePanel({ qcol, themes, queue, verbatims, evidenceById, reviewer, onReviewerChange, onDecide, onClose }) {
+  const [pos, setPos] = useState(0);
+  const [chosen, setChosen] = useState(null); // theme indices ticked for the current respondent; null = untouched
+  const [note, setNote] = useState('');
+  const item = queue[Math.min(pos, queue.length - 1)];
+
+  useEffect(() => { setChosen(null); setNote(''); }, [item?.id]);
+
+  if (!item) {
+    return (
+      <div style={{ margin: '8px 0 12px', padding: 10, border: '1px solid #e2e8f0', borderRadius: 8, fontSize: '0.9rem' }}>
+        Nothing left to review for {qcol}.{' '}
+        <button type="button" className="btn btn-secondary" style={{ padding: '2px 8px' }} onClick={onClose}>Close</button>
+      </div>
+    );
+  }
+
+  const text = verbatims?.get(item.id) || '';
+  const candidates = reviewCandidates(themes, item.id, text, item.volatileCodes);
+  const ticked = chosen ?? new Set(candidates.filter((c) => c.current).map((c) => c.index));
+  const changed = candidates.some((c) => c.current !== ticked.has(c.index));
+  const toggle = (index) => {
+    const next = new Set(ticked);
+    if (next.has(index)) next.delete(index);
+    else next.add(index);
+    setChosen(next);
+  };
+  const decide = () => onDecide(item, Array.from(ticked), note.trim());
+
+  return (
+    <div style={{ margin: '8px 0 12px', padding: 10, border: '1px solid #90cdf4', borderRadius: 8, background: '#f7fbff', fontSize: '0.9rem' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap', marginBottom: 8 }}>
+        <strong>Review {qcol}</strong>
+        <span style={{ color: '#718096' }}>{Math.min(pos, queue.length - 1) + 1} of {queue.length}</span>
+        <span style={{ flex: 1 }} />
+        <label htmlFor={`reviewer-${qcol}`} style={{ fontSize: '0.8rem' }}>Reviewer</label>
+        <input
+          id={`reviewer-${qcol}`}
+          type="text"
+          value={reviewer}
+          onChange={(e) => onReviewerChange(e.target.value)}
+          placeholder="Your name or initials"
+          style={{ width: 160, padding: '2px 6px' }}
+        />
+        <button type="button" className="btn btn-secondary" style={{ padding: '2px 8px' }} onClick={onClose}>Close</button>
+      </div>
+
+      <div style={{ marginBottom: 6 }}>
+        <code>{item.id}</code>{' '}
+        {item.reasons.map((r) => (
+          <span key={r} style={{ fontSize: '0.75rem', padding: '2px 6px', marginLeft: 4, borderRadius: 999, background: '#fefcbf', border: '1px solid #ecc94b' }}>
+            {REVIEW_REASONS[r]}
+          </span>
+        ))}
+      </div>
+      <blockquote style={{ margin: '0 0 8px', padding: '6px 10px', borderLeft: '3px solid #00457f', background: 'white' }}>
+        {text || <em style={{ color: '#a0aec0' }}>No response text found for this ID.</em>}
+      </blockquote>
+
+      <div style={{ maxHeight: 260, overflowY: 'auto', marginBottom: 8 }}>
+        {candidates.map((c) => (
+          <label key={c.index} style={{ display: 'flex', alignItems: 'flex-start', gap: 6, padding: '3px 0' }}>
+            <input type="checkbox" checked={ticked.has(c.index)} onChange={() => toggle(c.index)} style={{ marginTop: 3 }} />
+            <span>
+              <strong style={{ fontWeight: c.current ? 600 : 400 }}>{c.theme.ThemeLabel}</strong>
+              {c.current && <span style={{ color: '#718096' }}> · current</span>}
+              {c.otherRuns && <span style={{ color: '#b7791f' }}> · suggested by another run</span>}
+              {c.keywordHits.length > 0 && <span style={{ color: '#2f855a' }}> · mentions {c.keywordHits.slice(0, 3).join(', ')}</span>}
+              {c.current && evidenceById && !isReservedTheme(c.theme) && !evidenceFor(evidenceById, c.theme, item.id) && (
+                <span style={{ color: '#c53030' }}> · no verified evidence</span>
+              )}
+              {c.theme.Definition && <div style={{ fontSize: '0.8rem', color: '#718096' }}>{c.theme.Definition}</div>}
+            </span>
+          </label>
+        ))}
+      </div>
+
+      <input
+        type="text"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        placeholder="Note for the audit trail (optional)"
+        style={{ width: '100%', marginBottom: 8, padding: '4px 6px' }}
+      />
+      <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+        <button type="button" className="btn" onClick={decide} disabled={!reviewer.trim()} title={reviewer.trim() ? '' : 'Enter a reviewer name first'}>
+          {changed ? 'Save codes' : 'Confirm codes'}
+        </button>
+        <button type="button" className="btn btn-secondary" onClick={() => setPos((p) => Math.max(0, p - 1))} disabled={pos === 0}>Previous</button>
+        <button type="button" className="btn btn-secondary" onClick={() => setPos((p) => Math.min(queue.length - 1, p + 1))} disabled={pos >= queue.length - 1}>Skip</button>
+      </div>
+    </div>
+  );
+}
+
+/* ===================== Sentiment breakdown bar (theme card) ===================== */
+
+function SentimentBar({ summary }) {
+  if (!summary || summary.coded === 0) return null;
+  const { counts, coded, meanIntensity } = summary;
+  return (
+    <div style={{ marginTop: 6, fontSize: '0.8rem' }}>
+      <div style={{ display: 'flex', height: 8, borderRadius: 4, overflow: 'hidden', background: '#edf2f7', maxWidth: 360 }}>
+        {SENTIMENTS.map((k) => (counts[k] > 0 ? (
+          <div key={k} title={`${k}: ${counts[k]}`} style={{ width: `${(counts[k] / coded) * 100}%`, background: SENTIMENT_COLORS[k] }} />
+        ) : null))}
+      </div>
+      <div style={{ display: 'flex', gap: 10, flexWrap: 'wrap', marginTop: 2, color: '#4A5568' }}>
+        {SENTIMENTS.map((k) => (counts[k] > 0 ? (
+          <span key={k}>
+            <span style={{ display: 'inline-block', width: 8, height: 8, borderRadius: 2, background: SENTIMENT_COLORS[k], marginRight: 4 }} />
+            {k} {Math.round((counts[k] / coded) * 100)}%
+          </span>
+        ) : null))}
+        {meanIntensity != null && <span>mean intensity {meanIntensity}/{MAX_INTENSITY}</span>}
+      </div>
+    </div>
+  );
+}
+
+/* ===================== Theme × demographic crosstab (weighted, per question) ===================== */
+
+const MAX_XTAB_LEVELS = 30; // columns with more distinct values than this are not offered as demographics
+const XTAB_COLORS = ['#1a365d', '#1464a2', '#6d97b5', '#870f10', '#90bfdb', '#10416a', '#5196c1', '#042c5c', '#448ccc'];
+
+// Columns usable as breakouts: not the ID or an open-end, and few enough distinct values to tabulate
+function crosstabDemoCandidates(rows, idCol, openEnds = []) {
+  if (!Array.isArray(rows) || rows.length === 0) return [];
+  const questions = new Set(openEnds);
+  return Object.keys(rows[0]).filter((col) => {
+    if (col === idCol || questions.has(col)) return false;
+    const seen = new Set();
+    for (const row of rows) {
+      seen.add(String(row?.[col] ?? ''));
+      if (seen.size > MAX_XTAB_LEVELS) return false;
+    }
+    return seen.size > 1;
+  });
+}
+
+// Columns whose non-blank values are all numeric (candidate weights)
+function numericColumns(rows) {
+  if (!Array.isArray(rows) || rows.length === 0) return [];
+  return Object.keys(rows[0]).filter((col) => {
+    let any = false;
+    for (const row of rows) {
+      const v = String(row?.[col] ?? '').trim();
+      if (!v) continue;
+      if (!Number.isFinite(Number(v))) return false;
+      any = true;
+    }
+    return any;
+  });
+}
+
+function ThemeCrosstab({ themes, rows, idCol, baseIds, demoCols, weightCol }) {
+  const [demo, setDemo] = useState(demoCols[0] || '');
+  const demoCol = demoCols.includes(demo) ? demo : demoCols[0];
+
+  // Nets first (union of sub-codes), then their sub-codes, in tree order
+  const codes = [];
+  groupThemesByNet(themes).forEach((group) => {
+    if (group.net) codes.push({ label: `NET: ${group.net}`, ids: new Set(netIds(group)), isNet: true });
+    group.items.forEach(({ theme }) => codes.push({ label: theme.ThemeLabel, ids: new Set(themeIds(theme)), isSub: !!group.net }));
+  });
+
+  const table = weightedThemeCrosstab(rows, { idCol, demoCol, weightCol: weightCol || null, baseIds, codes });
+  const chartData = table.rows.map((r) => ({ name: r.label, ...Object.fromEntries(table.levels.map((l) => [l, Math.round(r.pct[l] * 10) / 10])) }));
+  const fmt = (v) => `${v.toFixed(1)}%`;
+  const cell = { padding: '4px 8px', borderBottom: '1px solid #edf2f7', textAlign: 'right', whiteSpace: 'nowrap' };
+
+  return (
+    <div style={{ margin: '8px 0 12px', padding: 10, border: '1px solid #e2e8f0', borderRadius: 8, background: 'white' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 8, fontSize: '0.85rem' }}>
+        <label>Break out by</label>
+        <select value={demoCol} onChange={(e) => setDemo(e.target.value)} style={{ padding: '4px 6px', borderRadius: 6 }}>
+          {demoCols.map((c) => <option key={c} value={c}>{c}</option>)}
+        </select>
+        <span style={{ color: '#718096' }}>
+          % of respondents who answered, {weightCol ? `weighted by ${weightCol}` : 'unweighted'}; multi-coded, so columns can exceed 100%
+        </span>
+      </div>
+
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ borderCollapse: 'collapse', fontSize: '0.85rem', width: '100%' }}>
+          <thead>
+            <tr>
+              <th style={{ ...cell, textAlign: 'left' }}>Theme</th>
+              {table.levels.map((l) => <th key={l} style={cell}>{l}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {table.rows.map((r, k) => (
+              <tr key={k} style={{ fontWeight: codes[k].isNet ? 600 : 400 }}>
+                <td style={{ ...cell, textAlign: 'left', paddingLeft: codes[k].isSub ? 24 : 8 }}>{r.label}</td>
+                {table.levels.map((l) => <td key={l} style={cell}>{fmt(r.pct[l])}</td>)}
+              </tr>
+            ))}
+            <tr style={{ color: '#718096' }}>
+              <td style={{ ...cell, textAlign: 'left' }}>Base (n{weightCol ? ' / weighted' : ''})</td>
+              {table.levels.map((l) => (
+                <td key={l} style={cell}>{table.base[l]?.n ?? 0}{weightCol ? ` / ${(table.base[l]?.w ?? 0).toFixed(1)}` : ''}</td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ width: '100%', height: Math.max(220, chartData.length * 28) }}>
+        <ResponsiveContainer>
+          <BarChart data={chartData} layout="vertical" margin={{ top: 8, right: 16, bottom: 8, left: 8 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis type="number" domain={[0, 100]} tick={{ fontSize: 12 }} tickFormatter={(v) => `${v}%`} />
+            <YAxis type="category" dataKey="name" width={180} tick={{ fontSize: 12 }} interval={0} />
+            <Tooltip formatter={(v) => `${v}%`} />
+            <Legend />
+            {table.levels.map((l, k) => <Bar key={l} dataKey={l} fill={XTAB_COLORS[k % XTAB_COLORS.length]} />)}
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+/* ===================== Self-consistency (N independent extractions per question) ===================== */
+
+const MAX_CONSISTENCY_RUNS = 5;
+const STABILITY_COLORS = { stable: '#2f855a', 'partly stable': '#b7791f', volatile: '#c53030' };
+
+// GPT-5 and o-series reasoning models reject any temperature but the default (HTTP 400)
+const supportsTemperature = (model) => !/^(gpt-5|o\d)/i.test(String(model || '').trim());
+
+// The models the proxies accept (ALLOWED_MODELS in server/index.js and netlify/functions/openai-chat.js).
+// Anything else is quietly served by gpt-5-mini, so extra runs can only pick from this list.
+const PROXY_MODELS = [
+  { value: 'gpt-5.2', label: 'GPT-5.2' },
+  { value: 'gpt-5', label: 'GPT-5' },
+  { value: 'gpt-5-mini', label: 'GPT-5 mini' },
+  { value: 'gpt-4o-mini', label: 'GPT-4o mini' },
+];
+
+const consistencyModelList = (picked, defaultModel) => {
+  const models = (picked || []).filter((m) => PROXY_MODELS.some((p) => p.value === m));
+  return models.length ? models : [defaultModel];
+};
+
+// Settings of the extra runs (run 1 is the normal run). The picked models and the comma-separated
+// temperatures are cycled; none picked falls back to the selected model, and blanks (or a model that
+// does not accept one) to the model's default temperature.
+function consistencyVariants(runCount, pickedModels, tempsText, defaultModel) {
+  const models = consistencyModelList(pickedModels, defaultModel);
+  const temps = String(tempsText || '').split(',').map((t) => t.trim()).filter(Boolean).map(Number).filter(Number.isFinite);
+  return Array.from({ length: Math.max(0, runCount - 1) }, (_, k) => {
+    const model = models[k % models.length];
+    return { model, temperature: temps.length && supportsTemperature(model) ? temps[k % temps.length] : null };
+  });
+}
+
+const themeRunSet = (themes) => (Array.isArray(themes) ? themes : [])
+  .map((t, i) => ({ label: String(t?.ThemeLabel || `Theme ${i + 1}`), ids: new Set(themeIds(t)) }));
+
+// v.served is the model the API reports it ran (a dated snapshot name, or a swap made by the proxy)
+const describeVariant = (v) => {
+  const name = v.served && !v.served.startsWith(v.model) ? `${v.served} (requested ${v.model})` : (v.served || v.model);
+  return `${name}${v.temperature != null ? ` @ ${v.temperature}` : ''}`;
+};
+
+function ConsistencyPanel({ info, verbatims }) {
+  const [open, setOpen] = useState(false);
+  const [showAll, setShowAll] = useState(false);
+  const cell = { padding: '4px 8px', borderBottom: '1px solid #edf2f7', textAlign: 'right', whiteSpace: 'nowrap' };
+  const totalAssignments = info.assignments.stable + info.assignments.volatile;
+  const volatileShown = showAll ? info.volatile : info.volatile.slice(0, VERBATIMS_PAGE_SIZE);
+
+  return (
+    <div style={{ margin: '6px 0 10px', padding: '6px 10px', border: '1px solid #e2e8f0', borderRadius: 8, fontSize: '0.85rem' }}>
+      <button
+        type="button"
+        onClick={() => setOpen((v) => !v)}
+        aria-expanded={open}
+        style={{ background: 'transparent', border: 0, padding: 0, cursor: 'pointer', color: '#2d3748', textAlign: 'left' }}
+      >
+        {open ? '▾' : '▸'} Run-to-run stability ({info.runCount} runs): {info.themes.filter((t) => t.status === 'stable').length}/{info.themes.length} themes stable,{' '}
+        {info.volatile.length} volatile respondent{info.volatile.length === 1 ? '' : 's'}
+        {totalAssignments > 0 && ` · ${Math.round((info.assignments.stable / totalAssignments) * 100)}% of assignments stable`}
+      </button>
+
+      {open && (
+        <div style={{ marginTop: 8 }}>
+          <div style={{ color: '#718096', marginBottom: 6 }}>
+            Run 1 (shown): {describeVariant(info.variants[0])}; {info.variants.slice(1).map((v, k) => `run ${k + 2}: ${describeVariant(v)}`).join('; ')}
+            {info.failedRuns > 0 && ` · ${info.failedRuns} extra run(s) failed and were left out`}.
+            Stability is the mean respondent overlap with the matching theme in the other runs.
+          </div>
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+              <thead>
+                <tr>
+                  <th style={{ ...cell, textAlign: 'left' }}>Theme (run 1)</th>
+                  <th style={cell}>n</th>
+                  {info.variants.slice(1).map((_, k) => <th key={k} style={{ ...cell, textAlign: 'left' }}>Run {k + 2}</th>)}
+                  <th style={cell}>Stability</th>
+                </tr>
+              </thead>
+              <tbody>
+                {info.themes.map((t) => (
+                  <tr key={t.label}>
+                    <td style={{ ...cell, textAlign: 'left', whiteSpace: 'normal' }}>{t.label}</td>
+                    <td style={cell}>{t.n}</td>
+                    {t.matches.map((m, k) => (
+                      <td key={k} style={{ ...cell, textAlign: 'left', whiteSpace: 'normal', color: m ? '#2d3748' : '#a0aec0' }}>
+                        {m ? `${m.label} (${Math.round(m.jaccard * 100)}%)` : 'no match'}
+                      </td>
+                    ))}
+                    <td style={{ ...cell, color: STABILITY_COLORS[t.status] }}>{Math.round(t.meanJaccard * 100)}% {t.status}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {info.extras.length > 0 && (
+            <div style={{ color: '#718096', marginTop: 6 }}>
+              Only in other runs: {info.extras.map((x) => `${x.label} (run ${x.run}, n=${x.n})`).join(' · ')}
+            </div>
+          )}
+
+          {info.volatile.length > 0 && (
+            <div style={{ marginTop: 10 }}>
+              <strong>Volatile respondents (review these by hand)</strong>
+              {volatileShown.map((v) => (
+                <div key={v.id} style={{ padding: '6px 0', borderBottom: '1px solid #edf2f7' }}>
+                  <code>{v.id}</code>{' '}
+                  {v.codes.map((c) => `${c.label} ${c.inPrimary ? '✓' : '✗'} (${c.votes}/${info.runCount} runs)`).join(' · ')}
+                  {verbatims?.get(v.id) && <div style={{ color: '#4a5568', marginTop: 2 }}>“{verbatims.get(v.id)}”</div>}
+                </div>
+              ))}
+              {info.volatile.length > volatileShown.length && (
+                <button type="button" className="btn btn-secondary" style={{ marginTop: 6, padding: '2px 8px' }} onClick={() => setShowAll(true)}>
+                  Show all {info.volatile.length}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ===================== Inter-rater reliability (two codings: model vs model, or human vs model) ===================== */
+
+const RELIABILITY_GOOD = 0.8;      // Krippendorff: rely on codes at alpha >= .80
+const RELIABILITY_TENTATIVE = 0.667; // ...and draw only tentative conclusions down to .667
+const MAX_DISAGREEMENTS_SHOWN = 25;
+
+const fmtShare = (v) => (v == null ? '—' : `${(v * 100).toFixed(1)}%`);
+const fmtCoef = (v) => (v == null ? '—' : v.toFixed(2));
+const coefColor = (v) => (v == null ? '#718096' : v >= RELIABILITY_GOOD ? '#2f855a' : v >= RELIABILITY_TENTATIVE ? '#b7791f' : '#c53030');
+
+// questionColumns: open-end columns from the role mapping, used to split wide headers such as "why_vote_Price"
+function ReliabilityPanel({ results, rows, idCol, questionColumns, verbatimsByQuestion }) {
+  const [runs, setRuns] = useState({ A: null, B: null }); // { name, coding }
+  const [mappings, setMappings] = useState({}); // { [questionA]: { [labelA]: labelB | '' } }
+  const [selectedQ, setSelectedQ] = useState('');
+  const [loadError, setLoadError] = useState('');
+  const inputRefs = { A: useRef(null), B: useRef(null) };
+
+  const setRun = (slot, run) => {
+    setRuns((prev) => ({ ...prev, [slot]: run }));
+    setMappings({});
+    setLoadError('');
+  };
+
+  const loadFile = (slot, file) => {
+    if (!file) return;
+    Papa.parse(file, {
+      header: true,
+      skipEmptyLines: 'greedy',
+      transformHeader: (h) => h.replace(/^\uFEFF/, '').trim(),
+      complete: (parsed) => {
+        const known = [...(questionColumns || []), ...Object.keys(results || {})];
+        const coding = codingFromWideRows(parsed.data, detectIdColumn(parsed.data), known);
+        if (Object.keys(coding.questions).length === 0) {
+          setLoadError(`${file.name}: no "<question>_<theme>" code columns found (expected a codes_by_question CSV).`);
+          return;
+        }
+        setRun(slot, { name: file.name, coding });
+      },
+      error: (err) => setLoadError(`Error reading ${file.name}: ${err.message}`),
+    });
+  };
+
+  const snapshotResults = (slot) => {
+    const allIds = (rows || []).map((r, i) => String(r?.[idCol] ?? (i + 1)));
+    const stamp = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    setRun(slot, { name: `Current results (${stamp})`, coding: codingFromResults(results, allIds) });
+  };
+
+  const questions = runs.A && runs.B ? sharedQuestions(runs.A.coding, runs.B.coding) : [];
+  const comparisons = useMemo(() => {
+    if (!runs.A || !runs.B) return [];
+    return sharedQuestions(runs.A.coding, runs.B.coding).map(({ a, b }) => {
+      const mapping = mappings[a] || autoAlignLabels(Object.keys(runs.A.coding.questions[a]), Object.keys(runs.B.coding.questions[b]));
+      return { a, b, mapping, ...compareQuestion(runs.A.coding, runs.B.coding, a, b, mapping) };
+    });
+  }, [runs, mappings]);
+  const current = comparisons.find((c) => c.a === selectedQ) || comparisons[0];
+
+  const setPair = (qa, mapping, labelA, labelB) => setMappings((prev) => ({ ...prev, [qa]: { ...mapping, [labelA]: labelB } }));
+
+  const exportDisagreements = () => {
+    const out = [];
+    comparisons.forEach((c) => {
+      const verbatims = verbatimsByQuestion?.[c.a] || new Map();
+      c.disagreements.forEach((d) => out.push({
+        question: c.a,
+        record: d.id,
+        only_in_A: d.onlyA.join('; '),
+        only_in_B: d.onlyB.join('; '),
+        response: verbatims.get(d.id) || '',
+      }));
+    });
+    const csv = Papa.unparse(out.length ? out : [{ question: '', record: '', only_in_A: '', only_in_B: '', response: '' }]);
+    downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8;' }), `coding_disagreements_${new Date().toISOString().split('T')[0]}.csv`);
+  };
+
+  const cell = { padding: '4px 8px', borderBottom: '1px solid #edf2f7', textAlign: 'right', whiteSpace: 'nowrap' };
+  const onlyInA = runs.A && runs.B ? Array.from(runs.A.coding.ids).filter((id) => !runs.B.coding.ids.has(id)).length : 0;
+  const onlyInB = runs.A && runs.B ? Array.from(runs.B.coding.ids).filter((id) => !runs.A.coding.ids.has(id)).length : 0;
+
+  return (
+    <div className="card">
+      <h2>Inter-rater reliability</h2>
+      <p style={{ fontSize: '0.85rem', color: '#718096', marginTop: 0 }}>
+        Compare two codings of the same respondents: two model runs, or a human-coded file against the model.
+        Load codes_by_question CSVs or snapshot the current results; themes are matched by label (edit the pairing below).
+      </p>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12, marginBottom: 12 }}>
+        {['A', 'B'].map((slot) => (
+          <div key={slot} style={{ padding: 10, border: '1px solid #e2e8f0', borderRadius: 8 }}>
+            <strong>Coding {slot}</strong>
+            <div style={{ fontSize: '0.85rem', color: '#4a5568', margin: '4px 0 8px' }}>
+              {runs[slot]
+                ? `${runs[slot].name} · ${runs[slot].coding.ids.size} respondents · ${Object.keys(runs[slot].coding.questions).length} question(s)`
+                : 'Not loaded'}
+            </div>
+            <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+              <button type="button" className="btn btn-secondary" onClick={() => inputRefs[slot].current?.click()}>
+                <Upload size={14} /> Load CSV
+              </button>
+              <button type="button" className="btn btn-secondary" onClick={() => snapshotResults(slot)} disabled={!results} title="Snapshot the themes currently on screen">
+                Use current results
+              </button>
+            </div>
+            <input
+              ref={inputRefs[slot]}
+              type="file"
+              accept=".csv"
+              style={{ display: 'none' }}
+              onChange={(e) => { loadFile(slot, e.target.files[0]); e.target.value = ''; }}
+            />
+          </div>
+        ))}
+      </div>
+
+      {loadError && <div className="error" style={{ marginBottom: 12 }}><AlertCircle size={16} style={{ marginRight: 6 }} />{loadError}</div>}
+
+      {runs.A && runs.B && questions.length === 0 && (
+        <p style={{ fontSize: '0.9rem' }}>The two codings share no question columns.</p>
+      )}
+
+      {comparisons.length > 0 && (
+        <>
+          <div style={{ fontSize: '0.8rem', color: '#718096', marginBottom: 6 }}>
+            Scored over {comparisons[0].n} respondents present in both
+            {(onlyInA || onlyInB) ? ` (${onlyInA} only in A and ${onlyInB} only in B are left out)` : ''}.
+            Each respondent × theme is one yes/no rating; α ≥ {RELIABILITY_GOOD} is reliable, ≥ {RELIABILITY_TENTATIVE} tentative.
+          </div>
+
+          <div style={{ overflowX: 'auto', marginBottom: 12 }}>
+            <table style={{ borderCollapse: 'collapse', fontSize: '0.85rem', width: '100%' }}>
+              <thead>
+                <tr>
+                  <th style={{ ...cell, textAlign: 'left' }}>Question</th>
+                  <th style={cell}>Themes paired</th>
+                  <th style={cell}>Agreement</th>
+                  <th style={cell}>Same code set</th>
+                  <th style={cell}>Cohen's κ</th>
+                  <th style={cell}>Krippendorff's α</th>
+                  <th style={cell}>Disagreeing</th>
+                </tr>
+              </thead>
+              <tbody>
+                {comparisons.map((c) => (
+                  <tr
+                    key={c.a}
+                    onClick={() => setSelectedQ(c.a)}
+                    style={{ cursor: 'pointer', background: current?.a === c.a ? '#ebf8ff' : 'transparent' }}
+                  >
+                    <td style={{ ...cell, textAlign: 'left' }}>{c.a}</td>
+                    <td style={cell}>{c.themes.length} / {c.themes.length + c.unmatchedA.length}</td>
+                    <td style={cell}>{fmtShare(c.pooled.agreement)}</td>
+                    <td style={cell}>{fmtShare(c.exactMatch)}</td>
+                    <td style={{ ...cell, color: coefColor(c.pooled.kappa) }}>{fmtCoef(c.pooled.kappa)}</td>
+                    <td style={{ ...cell, color: coefColor(c.pooled.alpha) }}>{fmtCoef(c.pooled.alpha)}</td>
+                    <td style={cell}>{c.disagreements.length}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {current && (
+            <div style={{ padding: 10, border: '1px solid #e2e8f0', borderRadius: 8, marginBottom: 12 }}>
+              <strong>{current.a}: per theme</strong>
+              <div style={{ overflowX: 'auto', marginTop: 6 }}>
+                <table style={{ borderCollapse: 'collapse', fontSize: '0.85rem', width: '100%' }}>
+                  <thead>
+                    <tr>
+                      <th style={{ ...cell, textAlign: 'left' }}>Theme in A</th>
+                      <th style={{ ...cell, textAlign: 'left' }}>Paired theme in B</th>
+                      <th style={cell}>A / B / both</th>
+                      <th style={cell}>Agreement</th>
+                      <th style={cell}>κ</th>
+                      <th style={cell}>α</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.keys(runs.A.coding.questions[current.a]).map((labelA) => {
+                      const row = current.themes.find((t) => t.labelA === labelA);
+                      return (
+                        <tr key={labelA}>
+                          <td style={{ ...cell, textAlign: 'left', whiteSpace: 'normal' }}>{labelA}</td>
+                          <td style={{ ...cell, textAlign: 'left' }}>
+                            <select
+                              value={current.mapping[labelA] || ''}
+                              onChange={(e) => setPair(current.a, current.mapping, labelA, e.target.value)}
+                              style={{ padding: '2px 4px', borderRadius: 6, maxWidth: 260 }}
+                            >
+                              <option value="">(no match, not scored)</option>
+                              {Object.keys(runs.B.coding.questions[current.b]).map((lb) => <option key={lb} value={lb}>{lb}</option>)}
+                            </select>
+                          </td>
+                          <td style={cell}>{row ? `${row.both + row.onlyA} / ${row.both + row.onlyB} / ${row.both}` : '—'}</td>
+                          <td style={cell}>{fmtShare(row?.agreement)}</td>
+                          <td style={{ ...cell, color: coefColor(row?.kappa) }}>{fmtCoef(row?.kappa)}</td>
+                          <td style={{ ...cell, color: coefColor(row?.alpha) }}>{fmtCoef(row?.alpha)}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              {current.unmatchedB.length > 0 && (
+                <div style={{ fontSize: '0.8rem', color: '#718096', marginTop: 6 }}>
+                  Unpaired in B: {current.unmatchedB.join(' · ')}
+                </div>
+              )}
+
+              <div style={{ marginTop: 10 }}>
+                <strong style={{ fontSize: '0.9rem' }}>Disagreeing respondents ({current.disagreements.length})</strong>
+                {current.disagreements.slice(0, MAX_DISAGREEMENTS_SHOWN).map((d) => (
+                  <div key={d.id} style={{ fontSize: '0.85rem', padding: '6px 0', borderBottom: '1px solid #edf2f7' }}>
+                    <code>{d.id}</code>
+                    {d.onlyA.length > 0 && <span> · only A: {d.onlyA.join(', ')}</span>}
+                    {d.onlyB.length > 0 && <span> · only B: {d.onlyB.join(', ')}</span>}
+                    {verbatimsByQuestion?.[current.a]?.get(d.id) && (
+                      <div style={{ color: '#4a5568', marginTop: 2 }}>“{verbatimsByQuestion[current.a].get(d.id)}”</div>
+                    )}
+                  </div>
+                ))}
+                {current.disagreements.length > MAX_DISAGREEMENTS_SHOWN && (
+                  <div style={{ fontSize: '0.8rem', color: '#718096', marginTop: 4 }}>
+                    Showing {MAX_DISAGREEMENTS_SHOWN}; export for the full list.
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          <button type="button" className="btn btn-secondary" onClick={exportDisagreements}>
+            <Download size={16} /> Export disagreements
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+/* ===================== Verbatim viewer (paginated responses behind a theme) ===================== */
+
+const VERBATIMS_PAGE_SIZE = 10;
+
+// Response text with the verified evidence phrase highlighted
+function VerbatimText({ text, quote }) {
+  if (text == null) return <em>(no response text)</em>;
+  const m = quote ? evidenceRegex(quote)?.exec(text) : null;
+  if (!m) return <>{text}</>;
+  return (
+    <>
+      {text.slice(0, m.index)}
+      <mark style={{ background: '#fefcbf', padding: '0 2px' }} title="Evidence for this theme">{m[0]}</mark>
+      {text.slice(m.index + m[0].length)}
+    </>
+  );
+}
+
+// languages: Map id -> detected language; translations: { [id]: English text } when the run translated
+function ThemeVerbatims({ ids, verbatims, evidenceOf, languages, translations }) {
+  const [open, setOpen] = useState(false);
+  const [page, setPage] = useState(0);
+  if (!verbatims || ids.length === 0) return null;
+
+  const pages = Math.max(1, Math.ceil(ids.length / VERBATIMS_PAGE_SIZE));
+  const current = Math.min(page, pages - 1);
+  const slice = ids.slice(current * VERBATIMS_PAGE_SIZE, (current + 1) * VERBATIMS_PAGE_SIZE);
+
+  return (
+    <div style={{ marginTop: 6 }}>
+      <button type="button" className="btn btn-secondary" onClick={() => setOpen((v) => !v)} style={{ padding: '0.2rem 0.6rem', fontSize: '0.8rem' }}>
+        {open ? 'Hide responses' : `Show responses (${ids.length})`}
+      </button>
+      {open && (
+        <div style={{ marginTop: 6, border: '1px solid #e2e8f0', borderRadius: 6, background: 'white', fontSize: '0.85rem' }}>
+          {slice.map((id) => (
+            <div key={id} style={{ display: 'grid', gridTemplateColumns: '90px 1fr', gap: 6, padding: '4px 8px', borderBottom: '1px solid #f0f2f3' }}>
+              <span style={{ fontFamily: 'monospace' }}>{id}</span>
+              <span style={{ color: '#4A5568' }}>
+                {needsTranslation(languages?.get(id)) && (
+                  <span style={{ marginRight: 6, padding: '0 4px', borderRadius: 4, background: '#edf2f7', fontSize: '0.75rem' }} title={LANGUAGE_NAMES[languages.get(id)]}>
+                    {languages.get(id).toUpperCase()}
+                  </span>
+                )}
+                {translations?.[id] ? (
+                  <>
+                    {verbatims.get(id)}
+                    <div style={{ color: '#2d3748', fontStyle: 'italic' }}>
+                      EN: <VerbatimText text={translations[id]} quote={evidenceOf?.(id)} />
+                    </div>
+                  </>
+                ) : (
+                  <VerbatimText text={verbatims.get(id)} quote={evidenceOf?.(id)} />
+                )}
+              </span>
+            </div>
+          ))}
+          {pages > 1 && (
+            <div style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '4px 8px' }}>
+              <button type="button" className="btn btn-secondary" onClick={() => setPage(current - 1)} disabled={current === 0} style={{ padding: '0.15rem 0.5rem' }}>‹ Prev</button>
+              <span>Page {current + 1} of {pages}</span>
+              <button type="button" className="btn btn-secondary" onClick={() => setPage(current + 1)} disabled={current >= pages - 1} style={{ padding: '0.15rem 0.5rem' }}>Next ›</button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ===================== Edit preview (accept/reject proposed ops, see the diff) ===================== */
+
+function EditDiffSummary({ diff }) {
+  const none = !diff.added.length && !diff.removed.length && !diff.renamed.length && !diff.moves.length && !diff.orphaned.length;
+  if (none) return <div style={{ color: '#718096' }}>No changes.</div>;
+  return (
+    <div style={{ display: 'grid', gap: 4 }}>
+      {diff.added.length > 0 && <div style={{ color: '#2f855a' }}>+ Added: {diff.added.join(', ')}</div>}
+      {diff.removed.length > 0 && <div style={{ color: '#c53030' }}>− Removed: {diff.removed.join(', ')}</div>}
+      {diff.renamed.map((r) => <div key={`${r.from}→${r.to}`}>✎ Renamed: {r.from} → {r.to}</div>)}
+      {diff.moves.map((m) => (
+        <div key={`${m.from.join('+')}→${m.to.join('+')}`} title={m.ids.join(', ')}>
+          ⇄ {m.ids.length} ID(s): {m.from.length ? m.from.join(' + ') : '(none)'} → {m.to.length ? m.to.join(' + ') : '(none)'}
+          <span className="participants" style={{ marginLeft: 6 }}>{m.ids.slice(0, 12).join(', ')}{m.ids.length > 12 ? '…' : ''}</span>
+        </div>
+      ))}
+      {diff.orphaned.length > 0 && (
+        <div style={{ color: '#c05621' }}>
+          ⚠️ {diff.orphaned.length} ID(s) orphaned (no theme): <span className="participants">{diff.orphaned.join(', ')}</span>
+        </div>
+      )}
+    </div>
+  );
 }
 
-async function fetchChatContentWithRetry(messages, model) {
-  try {
-    return await fetchChatContent(messages, model, DEFAULT_MAX_COMPLETION_TOKENS);
-  } catch (err) {
-    if (String(err?.message || '').includes('empty content')) {
-      return await fetchChatContent(messages, model, FALLBACK_MAX_COMPLETION_TOKENS);
-    }
-    throw err;
-  }
+function EditPreview({ themes, pending, onToggle, onApply, onDiscard }) {
+  const acceptedOps = pending.ops.filter((_, k) => pending.accepted[k]);
+  const diff = diffThemes(themes, applyStructuredEdits(themes, acceptedOps));
+
+  return (
+    <div style={{ margin: '8px 0 12px', padding: '10px', borderRadius: 8, border: '1px solid #90cdf4', background: '#ebf8ff', fontSize: '0.85rem' }}>
+      <strong>Proposed edits ({pending.ops.length})</strong>
+      <div style={{ marginTop: 6, display: 'grid', gap: 4 }}>
+        {pending.ops.map((op, k) => (
+          <label key={k} style={{ display: 'flex', gap: 8, alignItems: 'flex-start', cursor: 'pointer' }}>
+            <input type="checkbox" checked={pending.accepted[k]} onChange={() => onToggle(k)} style={{ marginTop: 3 }} />
+            <span>{describeEditOp(op, themes)}</span>
+          </label>
+        ))}
+      </div>
+      <div style={{ marginTop: 8, paddingTop: 8, borderTop: '1px solid rgba(0,0,0,0.08)' }}>
+        <div style={{ fontWeight: 600, marginBottom: 4 }}>Result of accepted ops</div>
+        <EditDiffSummary diff={diff} />
+      </div>
+      <div style={{ display: 'flex', gap: 8, marginTop: 10 }}>
+        <button type="button" className="btn" onClick={() => onApply(acceptedOps)} disabled={acceptedOps.length === 0}>
+          Apply {acceptedOps.length} op(s)
+        </button>
+        <button type="button" className="btn btn-secondary" onClick={onDiscard}>Discard</button>
+      </div>
+    </div>
+  );
 }
 
-/* ===== NEW: compute question-level respondent universe (for % coverage) ===== */
-function computeQuestionUniverse(rows, idCol, qcol, skipBlanks = true) {
-  const set = new Set();
-  if (!Array.isArray(rows) || rows.length === 0) return set;
-  for (let i = 0; i < rows.length; i++) {
-    const rid = String(rows[i]?.[idCol] ?? (i + 1));
-    const raw = rows[i]?.[qcol];
-    const txt = String(raw ?? '').replace(/\n/g, ' ').trim();
-    const include = skipBlanks ? isMeaningful(txt) : !!txt;
-    if (include) set.add(rid);
-  }
-  return set;
+/* ===================== ID audit summary (per question) ===================== */
+
+function IdAuditPanel({ audit, liveCovered }) {
+  const [open, setOpen] = useState(false);
+  const covered = liveCovered ?? audit.covered;
+  const full = audit.universe === 0 || covered >= audit.universe;
+  const issues = [
+    { label: 'Unknown IDs removed', ids: audit.unknownRemoved },
+    { label: 'Lost to parse failures (swept to Uncategorized)', ids: audit.lostToParse },
+    { label: 'Missed by model (swept to Uncategorized)', ids: audit.missedByModel },
+  ];
+
+  return (
+    <div style={{ margin: '6px 0 10px', padding: '6px 10px', borderRadius: 8, fontSize: '0.8rem', background: full ? '#f0fff4' : '#fffaf0', border: '1px solid rgba(0,0,0,0.06)' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 12, flexWrap: 'wrap' }}>
+        <strong>ID audit:</strong>
+        <span>{covered}/{audit.universe} covered{full ? ' ✅' : ' ⚠️'}</span>
+        <span>{audit.assignedByModel} assigned by model</span>
+        {issues.map((x) => <span key={x.label}>{x.ids.length} {x.label.split(' (')[0].toLowerCase()}</span>)}
+        <span>{audit.duplicateMentions} duplicate mentions</span>
+        <span>{audit.multiTheme} in 2+ themes</span>
+        {issues.some((x) => x.ids.length > 0) && (
+          <button type="button" className="btn btn-secondary" onClick={() => setOpen((o) => !o)} style={{ padding: '0.2rem 0.5rem', fontSize: '0.75rem' }}>
+            {open ? 'Hide IDs' : 'Show IDs'}
+          </button>
+        )}
+      </div>
+      {open && issues.filter((x) => x.ids.length > 0).map((x) => (
+        <div key={x.label} className="participants" style={{ marginTop: 4 }}>
+          {x.label}: {x.ids.join(', ')}
+        </div>
+      ))}
+    </div>
+  );
 }
 
-/* ===================== Small Tabs component for the config card ===================== */
+/* ===================== Consolidation mapping (which chunk themes were folded together) ===================== */
 
-function ConfigTabs() {
-  const tabStyle = ({ isActive }) => ({
-    padding: '8px 12px',
-    borderRadius: 6,
-    fontWeight: 500,
-    textDecoration: 'none',
-    color: isActive ? 'white' : '#1a365d',
-    background: isActive ? '#1a365d' : 'transparent',
-    border: '1px solid rgba(0,0,0,0.10)',
+function ConsolidationMap({ qcol, info }) {
+  const [open, setOpen] = useState(false);
+
+  if (info.error) {
+    return (
+      <div style={{ fontSize: '0.8rem', color: '#c05621', margin: '6px 0 10px' }}>
+        Consolidation skipped for {qcol} (label-only merge kept): {info.error}
+      </div>
+    );
+  }
+
+  // Group source labels under the unified theme they were folded into
+  const groups = new Map();
+  (info.mapping || []).forEach((m) => {
+    if (!groups.has(m.to)) groups.set(m.to, []);
+    groups.get(m.to).push(m);
   });
+  const folded = Array.from(groups.values()).filter((g) => g.length > 1 || normLabel(g[0].from) !== normLabel(g[0].to)).length;
 
   return (
-    <div className="config-tabs" style={{ display: 'flex', gap: 8, marginBottom: '1rem' }}>
-      <NavLink to="/bot" style={tabStyle}>Verbatims</NavLink>
-      <NavLink to="/toplines" style={tabStyle}>Memos</NavLink>
-      <NavLink to="/chatbot" style={tabStyle}>Chatbot</NavLink>
+    <div style={{ margin: '6px 0 10px' }}>
+      <button
+        type="button"
+        className="btn btn-secondary"
+        onClick={() => setOpen((o) => !o)}
+        aria-expanded={open}
+        style={{ padding: '0.3rem 0.6rem', fontSize: '0.8rem' }}
+      >
+        {open ? 'Hide' : 'Show'} consolidation map ({info.mapping.length} chunk themes → {groups.size}; {folded} changed)
+      </button>
+      {open && (
+        <table style={{ marginTop: 8, width: '100%', fontSize: '0.8rem', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ textAlign: 'left', color: '#4A5568' }}>
+              <th style={{ padding: '4px 6px' }}>Unified theme</th>
+              <th style={{ padding: '4px 6px' }}>Chunk themes folded in (n)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Array.from(groups.entries()).map(([to, items]) => (
+              <tr key={to} style={{ borderTop: '1px solid rgba(0,0,0,0.06)' }}>
+                <td style={{ padding: '4px 6px', fontWeight: 600 }}>{to}</td>
+                <td style={{ padding: '4px 6px' }}>
+                  {items.map((m) => `${m.from} (${m.n})`).join('; ')}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
     </div>
   );
 }
@@ -458,27 +2676,216 @@ function App() {
 
   const [csvData, setCsvData] = useState(null);
   const [fileName, setFileName] = useState('');
+  // The uploaded file and, for .xlsx, its worksheets (switching sheets re-reads the same file)
+  const [dataFile, setDataFile] = useState(null);
+  const [sheetNames, setSheetNames] = useState([]);
+  const [sheetName, setSheetName] = useState('');
+  const [loadProgress, setLoadProgress] = useState(null); // 0..1 while a file is being read (in the data worker)
+  // Column roles (ID, open-end, closed-end, demographic, weight, ignore); only open-ends are coded
+  const [columnRoles, setColumnRoles] = useState({});
+  const openEndColumns = useMemo(() => columnsWithRole(columnRoles, 'open'), [columnRoles]);
   const [isLoading, setIsLoading] = useState(false);
   const [results, setResults] = useState(null);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [isDragging, setIsDragging] = useState(false);
   const [modelName, setModelName] = useState('gpt-5.2');
+  const [exportSpss, setExportSpss] = useState(false);
+  const [runMeta, setRunMeta] = useState(null); // settings of the run that produced `results` (for the workbook README)
   const [showPreview, setShowPreview] = useState(false);
   const [outputFormat] = useState('long'); // kept for compatibility
   const [questionId, setQuestionId] = useState(''); // optional filter (e.g., q24)
   const [idColumn, setIdColumn] = useState('respid'); // default like Python
   const [skipBlankCells, setSkipBlankCells] = useState(true); // remove blanks/placeholders
   const [estimatedCalls, setEstimatedCalls] = useState(null);
+  const [progress, setProgress] = useState(null); // live { done, failed, remaining, total, width } while analyzing
+  const [concurrency, setConcurrency] = useState(() => {
+    try { return Number(localStorage.getItem('verbatimsConcurrency')) || 3; } catch { return 3; }
+  });
   const fileInputRef = useRef(null);
 
+  // Pause / cancel / resume: chunk results are checkpointed in IndexedDB per file hash
+  const [fileHash, setFileHash] = useState('');
+  const [savedChunkCount, setSavedChunkCount] = useState(0);
+  const abortRef = useRef(null);     // AbortController of the running analysis
+  const stopModeRef = useRef(null);  // 'pause' | 'cancel' once the user stops a run
+
+  useEffect(() => {
+    let live = true;
+    countCheckpoints(fileHash).then((n) => { if (live) setSavedChunkCount(n); });
+    return () => { live = false; };
+  }, [fileHash]);
+
+  useEffect(() => {
+    try { localStorage.setItem('verbatimsConcurrency', String(concurrency)); } catch {}
+  }, [concurrency]);
+
+  // Codebook mode: 'discover' invents themes; 'codebook' codes against a prior wave's theme set
+  const [codingMode, setCodingMode] = useState('discover');
+  const [codebook, setCodebook] = useState(null); // { [question]: [{ ThemeLabel, Definition, RepresentativeKeywords }] }
+  const [codebookFileName, setCodebookFileName] = useState('');
+
+  // Question wording per column: { [qcol]: { text, base } } (typed, second header row or datamap CSV)
+  const [questionMeta, setQuestionMeta] = useState({});
+  const [showQuestionMeta, setShowQuestionMeta] = useState(false);
+  const datamapInputRef = useRef(null);
+  const updateQuestionMeta = (qcol, field, value) => setQuestionMeta((prev) => {
+    const entry = { text: '', base: '', ...prev[qcol], [field]: value };
+    const next = { ...prev, [qcol]: entry };
+    if (!entry.text.trim() && !entry.base.trim()) delete next[qcol];
+    return next;
+  });
+  const codebookInputRef = useRef(null);
+
+  // Second-stage LLM consolidation of chunk themes; mapping kept per question for display
+  const [consolidateThemes, setConsolidateThemes] = useState(true);
+  const [pickQuotes, setPickQuotes] = useState(true);
+  const [codeSentiment, setCodeSentiment] = useState(false);
+  const [captureEvidence, setCaptureEvidence] = useState(false);
+  // Self-consistency: extra independent extractions per question, optionally with other models/temperatures
+  const [consistencyRuns, setConsistencyRuns] = useState(1);
+  const [consistencyModels, setConsistencyModels] = useState([]); // PROXY_MODELS values; [] = the selected model
+  const [consistencyTemps, setConsistencyTemps] = useState('');
+  const [consistency, setConsistency] = useState({}); // { [qcol]: summarizeConsistency(...) + { variants, failedRuns } }
+  const [evidence, setEvidence] = useState({}); // { [qcol]: { [id]: { [normLabel]: quote } } }
+  const [evidenceStats, setEvidenceStats] = useState({}); // { [qcol]: { claimed, verified } }
+  const [ruleCoded, setRuleCoded] = useState({}); // { [qcol]: { [id]: [normLabel] } } codes given by auto-code rules
+  const [sentiment, setSentiment] = useState({}); // { [qcol]: { [id]: { sentiment, intensity } } }
+  const [quotes, setQuotes] = useState({}); // { [qcol]: { [ThemeLabel]: [{ id, text }] } }
+  const [quotesLoading, setQuotesLoading] = useState({}); // { [qcol]: true } while re-picking
+
+  // ID -> response text per result column, for the verbatim viewer, quotes and the manual editor
+  const resultColumnsKey = results ? Object.keys(results).join('\u0000') : '';
+  const verbatimsByQuestion = useMemo(() => {
+    const out = {};
+    if (!csvData || !resultColumnsKey) return out;
+    const idCol = resolveIdColumn(csvData, idColumn) || 'respid';
+    resultColumnsKey.split('\u0000').forEach((qcol) => { out[qcol] = buildVerbatimMap(csvData, idCol, qcol); });
+    return out;
+  }, [csvData, idColumn, resultColumnsKey]);
+
+  // PII redaction: every payload is built from maskedRows() (masked copy); the UI and exports keep csvData
+  const [redaction, setRedaction] = useState(() => {
+    const defaults = { enabled: true, rules: Object.fromEntries(REDACTION_RULES.map((r) => [r.id, true])), terms: '' };
+    try { return { ...defaults, ...JSON.parse(localStorage.getItem('verbatimsRedaction') || '{}') }; } catch { return defaults; }
+  });
+  useEffect(() => {
+    try { localStorage.setItem('verbatimsRedaction', JSON.stringify(redaction)); } catch {}
+  }, [redaction]);
+  const [showRedactionPreview, setShowRedactionPreview] = useState(false);
+  // Masked in the data worker: { data, key, cells, stats, samples }. data/key are the rows and settings it
+  // was masked with; the stats and samples shown may trail typing by a debounce, the payloads never do.
+  const [redactionResult, setRedactionResult] = useState(null);
+  const redactionInputKey = JSON.stringify([redaction.rules, parseCustomTerms(redaction.terms), openEndColumns]);
+  useEffect(() => {
+    if (!csvData?.length || !redaction.enabled) { setRedactionResult(null); return; }
+    let stale = false;
+    const timer = setTimeout(() => {
+      runDataTask('redact', { slot: 'verbatims', columns: openEndColumns, rules: redaction.rules, terms: redaction.terms })
+        .then((r) => { if (!stale) setRedactionResult({ data: csvData, key: redactionInputKey, ...r }); })
+        .catch(() => { if (!stale) setRedactionResult(null); });
+    }, ESTIMATE_DEBOUNCE_MS);
+    return () => { stale = true; clearTimeout(timer); };
+  }, [csvData, redaction, openEndColumns]);
+  const redactionView = redaction.enabled && redactionResult?.data === csvData ? redactionResult : null;
+  const redactedRows = useMemo(() => (
+    redactionView && redactionView.key === redactionInputKey ? applyMaskedCells(csvData, redactionView.cells) : null
+  ), [redactionView, redactionInputKey, csvData]);
+  // Rows to build payloads from. Settings changed within the last debounce are masked here and now,
+  // so a quick click on Analyze never sends unmasked text.
+  const maskedRows = () => {
+    if (!csvData || !redaction.enabled) return csvData;
+    if (redactedRows) return redactedRows;
+    const redact = buildRedactor({ rules: redaction.rules, customTerms: parseCustomTerms(redaction.terms) });
+    return redactRows(csvData, openEndColumns, null, redact).rows;
+  };
+  // Part of every checkpoint/prompt hash, so changing the rules never resumes from unmasked output
+  const redactionKey = redaction.enabled ? JSON.stringify([redaction.rules, parseCustomTerms(redaction.terms)]) : '';
+
+  // Pre-processing: duplicate responses are sent once; auto-code rules bypass the model
+  const [dedupeResponses, setDedupeResponses] = useState(true);
+  const [autoCodeRulesText, setAutoCodeRulesText] = useState(() => {
+    try { return localStorage.getItem('verbatimsAutoCodeRules') ?? DEFAULT_AUTO_CODE_RULES; } catch { return DEFAULT_AUTO_CODE_RULES; }
+  });
+  useEffect(() => {
+    try { localStorage.setItem('verbatimsAutoCodeRules', autoCodeRulesText); } catch {}
+  }, [autoCodeRulesText]);
+  const autoCodeRules = useMemo(() => parseAutoCodeRules(autoCodeRulesText), [autoCodeRulesText]);
+  const planFor = (rows, col, idCol) => planColumn(rows, {
+    idCol,
+    col,
+    eligible: (text) => (skipBlankCells ? isMeaningful(text) : !!text),
+    dedupe: dedupeResponses,
+    rules: autoCodeRules.rules,
+  });
+  // Computed in the data worker, on the rows it loaded
+  const [preprocessStats, setPreprocessStats] = useState([]);
+  useEffect(() => {
+    if (!csvData?.length) { setPreprocessStats([]); return; }
+    let stale = false;
+    const timer = setTimeout(() => {
+      runDataTask('preprocessStats', {
+        slot: 'verbatims',
+        idCol: resolveIdColumn(csvData, idColumn) || 'respid',
+        columns: openEndColumns,
+        skipBlanks: skipBlankCells,
+        dedupe: dedupeResponses,
+        autoCodeRulesText,
+      }).then((stats) => { if (!stale) setPreprocessStats(stats); }).catch(() => { if (!stale) setPreprocessStats([]); });
+    }, ESTIMATE_DEBOUNCE_MS);
+    return () => { stale = true; clearTimeout(timer); };
+  }, [csvData, idColumn, skipBlankCells, dedupeResponses, autoCodeRulesText, openEndColumns]);
+  const preprocessKey = dedupeResponses || autoCodeRules.rules.length
+    ? JSON.stringify([dedupeResponses, autoCodeRules.rules.map((r) => [r.source, r.label])])
+    : '';
+  // Languages: detected per response; optional translation to English before coding
+  const [translateResponses, setTranslateResponses] = useState(false);
+  const [outputLanguage, setOutputLanguage] = useState('English');
+  const [translations, setTranslations] = useState({}); // { [qcol]: { [id]: English text } } from the last run
+  // Detected in the data worker per row ({ data, byColumn: { [col]: [[rowIndex, lang]] } }); only the
+  // cheap row -> ID lookup reruns when the ID column changes
+  const [languagesByRow, setLanguagesByRow] = useState(null);
+  useEffect(() => {
+    if (!csvData?.length) { setLanguagesByRow(null); return; }
+    let stale = false;
+    const timer = setTimeout(() => {
+      runDataTask('languages', { slot: 'verbatims', columns: openEndColumns })
+        .then((byColumn) => { if (!stale) setLanguagesByRow({ data: csvData, byColumn }); })
+        .catch(() => { if (!stale) setLanguagesByRow(null); });
+    }, ESTIMATE_DEBOUNCE_MS);
+    return () => { stale = true; clearTimeout(timer); };
+  }, [csvData, openEndColumns]);
+  const responseLanguages = useMemo(() => {
+    const out = {};
+    if (!csvData?.length || languagesByRow?.data !== csvData) return out;
+    const idCol = resolveIdColumn(csvData, idColumn) || 'respid';
+    Object.entries(languagesByRow.byColumn).forEach(([col, found]) => {
+      const byId = new Map();
+      found.forEach(([i, lang]) => byId.set(String(csvData[i]?.[idCol] ?? (i + 1)), lang));
+      out[col] = byId;
+    });
+    return out;
+  }, [csvData, idColumn, languagesByRow]);
+  const languageStats = useMemo(() => Object.entries(responseLanguages).map(([col, byId]) => {
+    const counts = {};
+    byId.forEach((lang) => { counts[lang] = (counts[lang] || 0) + 1; });
+    return { col, counts };
+  }), [responseLanguages]);
+  const [consolidations, setConsolidations] = useState({}); // { [qcol]: { mapping: [{from,to,n}] } | { error } }
+
+  // Ask for response_format json_schema (validated locally either way)
+  const [structuredOutput, setStructuredOutput] = useState(true);
+
+  // Per-question ID audit from the last run (see auditQuestionThemes)
+  const [audits, setAudits] = useState({});
+
   useEffect(() => {
     if (!csvData || csvData.length === 0) {
       setEstimatedCalls(null);
       return;
     }
 
-    const questionColumns = detectQuestionColumns(csvData);
+    const questionColumns = openEndColumns;
     if (questionColumns.length === 0) {
       setEstimatedCalls(0);
       return;
@@ -486,7 +2893,7 @@ function App() {
 
     let resolvedIdCol = resolveIdColumn(csvData, idColumn || 'respid');
     if (!csvData[0] || !(resolvedIdCol in csvData[0])) {
-      const autoId = detectIdColumn(csvData);
+      const autoId = columnsWithRole(columnRoles, 'id')[0] || detectIdColumn(csvData);
       if (autoId && autoId in csvData[0]) resolvedIdCol = autoId;
       else {
         setEstimatedCalls(null);
@@ -505,12 +2912,24 @@ function App() {
       return;
     }
 
-    let total = 0;
-    for (const col of columnsToProcess) {
-      total += estimateChunkCount(csvData, resolvedIdCol, col, MAX_INPUT_CHARS, skipBlankCells);
-    }
-    setEstimatedCalls(total);
-  }, [csvData, questionId, idColumn, skipBlankCells]);
+    // Counted in the data worker; a newer estimate supersedes one still running
+    let stale = false;
+    const timer = setTimeout(() => {
+      runDataTask('estimateCalls', {
+        slot: 'verbatims',
+        idCol: resolvedIdCol,
+        columns: columnsToProcess,
+        skipBlanks: skipBlankCells,
+        dedupe: dedupeResponses,
+        autoCodeRulesText,
+        consolidateColumns: columnsToProcess.filter((col) => consolidatesColumn(consolidateThemes, codingMode, codebook, col)),
+        withQuotes: pickQuotes,
+        extraRuns: Math.max(0, consistencyRuns - 1),
+        translate: translateResponses,
+      }).then((total) => { if (!stale) setEstimatedCalls(total); }).catch(() => { if (!stale) setEstimatedCalls(null); });
+    }, ESTIMATE_DEBOUNCE_MS);
+    return () => { stale = true; clearTimeout(timer); };
+  }, [csvData, questionId, idColumn, skipBlankCells, consolidateThemes, codingMode, codebook, pickQuotes, consistencyRuns, dedupeResponses, autoCodeRulesText, translateResponses, openEndColumns]);
 
   const defaultPrompt = `Your role: You are a senior survey research analyst.
 Your task: Read the list of open-ended responses to the survey question, <INSERT SURVEY QUESTION(S) HERE>, in the attached csv and identify the key themes. It is CRUCIAL that every ParticipantID goes into AT LEAST one theme category for each question. You may include categories for 'Other', 'Don't Know', and 'Refused' if needed.
@@ -520,6 +2939,7 @@ Instructions:
 - ThemeLabel (3–5 neutral words) 
 - Definition (short, factual) 
 - RepresentativeKeywords (5–10 indicative words/phrases) 
+- Net (optional): a broader parent category shared by related themes, e.g., "Price" for "Too expensive" and "Hidden fees"; use null when a theme stands alone 
 - ParticipantID must be the EXACT token after "record=" on each line (e.g., record=AB123 → "AB123").
 - Do NOT use row numbers.
 3) Output ONLY JSON in this format: 
@@ -527,6 +2947,7 @@ Instructions:
 { 
 "ThemeLabel": "Theme Name", 
 "Definition": "Short definition.", 
+"Net": "Parent net or null",
 "RepresentativeKeywords": ["keyword1", "keyword2"],
 "ParticipantID": ["row number1", "row number2"]
  }
@@ -560,6 +2981,7 @@ ALLOWED OPERATIONS (return an array of JSON objects, each with an "op"):
   "indices": [i, j, ...],
   "ThemeLabel": "…",
   "Definition": "…",
+  "Net": "… or null",
   "RepresentativeKeywords": ["…"],
   "ParticipantID": ["…"],
   "insertIndex": k
@@ -570,8 +2992,8 @@ ALLOWED OPERATIONS (return an array of JSON objects, each with an "op"):
   "op": "split",
   "index": i,
   "replacements": [
-    { "ThemeLabel":"…","Definition":"…","RepresentativeKeywords":["…"],"ParticipantID":["…"] },
-    { "ThemeLabel":"…","Definition":"…","RepresentativeKeywords":["…"],"ParticipantID":["…"] }
+    { "ThemeLabel":"…","Definition":"…","Net":"… or null","RepresentativeKeywords":["…"],"ParticipantID":["…"] },
+    { "ThemeLabel":"…","Definition":"…","Net":"… or null","RepresentativeKeywords":["…"],"ParticipantID":["…"] }
   ],
   "insertIndex": k
 }
@@ -580,7 +3002,7 @@ ALLOWED OPERATIONS (return an array of JSON objects, each with an "op"):
 {
   "op": "replace",
   "index": i,
-  "theme": { "ThemeLabel":"…","Definition":"…","RepresentativeKeywords":["…"],"ParticipantID":["…"] }
+  "theme": { "ThemeLabel":"…","Definition":"…","Net":"… or null","RepresentativeKeywords":["…"],"ParticipantID":["…"] }
 }
 
 4) DELETE
@@ -593,7 +3015,7 @@ ALLOWED OPERATIONS (return an array of JSON objects, each with an "op"):
 {
   "op": "insert",
   "index": k,
-  "theme": { "ThemeLabel":"…","Definition":"…","RepresentativeKeywords":["…"],"ParticipantID":["…"] }
+  "theme": { "ThemeLabel":"…","Definition":"…","Net":"… or null","RepresentativeKeywords":["…"],"ParticipantID":["…"] }
 }
 
 HARD RULES:
@@ -601,6 +3023,7 @@ HARD RULES:
 - When MERGING, output exactly ONE merged theme that replaces ALL listed indices (do NOT return duplicates).
 - When SPLITTING, completely remove the original theme and insert the provided replacements (fully assigned IDs).
 - Always provide complete "ParticipantID" arrays for any created/replaced themes. Reassign IDs as needed so each ParticipantID remains in at least one theme for this question.
+- "Net" is the optional parent net a theme is grouped under. Keep each theme's current Net unless asked to regroup; use null for a standalone theme.
 - Return STRICTLY VALID JSON: an array of op objects only (no commentary).`;
 
   const [editPrompt, setEditPrompt] = useState(() => {
@@ -618,7 +3041,7 @@ HARD RULES:
   const resetEditPrompt = () => setEditPrompt(defaultEditPrompt);
 
   /* === Logo reset handlers (logo acts as reset button) === */
-  const SOFT_RESET_KEYS = ['analysisPrompt', 'editPrompt', 'app_version'];
+  const SOFT_RESET_KEYS = ['analysisPrompt', 'editPrompt', 'verbatimsConcurrency', 'app_version'];
 
   function softReset() {
     try {
@@ -642,40 +3065,132 @@ HARD RULES:
 
   /* ===================== File handlers ===================== */
 
-  const handleFileUpload = (file) => {
-    // Robust CSV guard (case-insensitive, also allows text/csv)
-    if (!file || !/\.csv$/i.test(file.name)) {
-      setError('Please upload a valid CSV file (.csv).');
+  // .csv, .xlsx (optionally a given worksheet) or .sav
+  const handleFileUpload = async (file, sheet) => {
+    if (!file || !dataFileKind(file.name)) {
+      setError('Please upload a CSV (.csv), Excel (.xlsx) or SPSS (.sav) file.');
       return;
     }
 
     setFileName(file.name);
     setError('');
     setSuccess('');
+    setFileHash('');
+
+    // Read, role-guessed and wording-split in the data worker, which keeps the rows for later tasks
+    let loaded;
+    setLoadProgress(0);
+    try {
+      loaded = await runDataTask('load', { slot: 'verbatims', file, sheet, savedRoles: savedColumnRoles() }, { onProgress: setLoadProgress });
+    } catch (err) {
+      setError(err?.message || String(err));
+      return;
+    } finally {
+      setLoadProgress(null);
+    }
+    // Each worksheet is its own dataset for checkpoints
+    file.arrayBuffer().then(hashContent)
+      .then((hash) => setFileHash(loaded.sheets.length > 1 ? `${hash}#${loaded.sheet}` : hash))
+      .catch(() => setFileHash(''));
+    setDataFile(file);
+    setSheetNames(loaded.sheets);
+    setSheetName(loaded.sheet);
+
+    // A wording row under the header (Qualtrics-style) became question text, not a response;
+    // SPSS variable labels are the wording too
+    const { rows: data, roles, questionCols, wordingMeta: meta, removed } = loaded;
+    setCsvData(data);
+    setColumnRoles(roles);
+    setQuestionMeta((prev) => ({ ...matchQuestionMeta(prev, questionCols), ...matchQuestionMeta(loaded.meta, questionCols), ...meta }));
+
+    // The mapped ID column wins; otherwise, if the user left the default, try the usual names
+    const mappedId = columnsWithRole(roles, 'id')[0];
+    if (mappedId) setIdColumn(mappedId);
+    else if (idColumn === 'respid') {
+      const auto = detectIdColumn(data);
+      if (auto) setIdColumn(auto);
+    }
+    setXtabWeight(columnsWithRole(roles, 'weight')[0] || '');
+    setXtabDemos(columnsWithRole(roles, 'demo'));
+
+    const notes = [
+      loaded.sheets.length > 1 ? `sheet "${loaded.sheet}"` : '',
+      removed > 0 ? `question wording read from the second header row (${Object.keys(meta).length} question(s))` : '',
+      loaded.kind === 'sav' ? `variable labels used as question wording, value labels applied to ${loaded.labelledColumns} column(s)` : '',
+    ].filter(Boolean);
+    setSuccess(`Successfully loaded ${data.length} rows from ${file.name}${notes.length ? `; ${notes.join('; ')}` : ''}`);
+  };
+
+  const handleCodebookUpload = (file) => {
+    if (!file || !/\.csv$/i.test(file.name)) {
+      setError('Please upload the codebook as a themes_by_question CSV (.csv).');
+      return;
+    }
+    setError('');
+    setSuccess('');
 
     Papa.parse(file, {
       header: true,
       skipEmptyLines: 'greedy',
       transformHeader: (h) => h.replace(/^\uFEFF/, '').trim(),
-      complete: (results) => {
-        if (results.errors.length > 0) {
-          setError('Error parsing CSV file. Please check the file format.');
+      complete: (parsed) => {
+        const cb = parseCodebookRows(parsed.data);
+        const questions = Object.keys(cb);
+        if (questions.length === 0) {
+          setError('No codes found. The codebook needs Question and ThemeLabel columns (the themes_by_question export).');
           return;
         }
-        setCsvData(results.data);
+        setCodebook(cb);
+        setCodebookFileName(file.name);
+        const codeCount = questions.reduce((n, q) => n + cb[q].length, 0);
+        setSuccess(`Loaded codebook with ${codeCount} codes across ${questions.length} question(s) from ${file.name}`);
+      },
+      error: (err) => setError('Error reading codebook CSV: ' + err.message),
+    });
+  };
 
-        // If the user left the default, try to auto-detect a better ID column
-        if (idColumn === 'respid') {
-          const auto = detectIdColumn(results.data);
-          if (auto) setIdColumn(auto);
-        }
+  // Datamap: one row per variable with its wording (Variable/Question + Label/Text, optional Base)
+  const handleDatamapUpload = (file) => {
+    if (!file || !/\.csv$/i.test(file.name)) {
+      setError('Please upload the datamap as a CSV (.csv).');
+      return;
+    }
+    setError('');
+    setSuccess('');
 
-        setSuccess(`Successfully loaded ${results.data.length} rows from ${file.name}`);
+    Papa.parse(file, {
+      header: true,
+      skipEmptyLines: 'greedy',
+      transformHeader: (h) => h.replace(/^\uFEFF/, '').trim(),
+      complete: (parsed) => {
+        const all = parseDatamapRows(parsed.data);
+        if (Object.keys(all).length === 0) {
+          setError('No question wording found. The datamap needs a Variable (or Question) column and a Label (or Question Text) column.');
+          return;
+        }
+        const columns = csvData ? openEndColumns : Object.keys(all);
+        const matched = matchQuestionMeta(all, columns);
+        setQuestionMeta((prev) => ({ ...prev, ...matched }));
+        setShowQuestionMeta(true);
+        setSuccess(`Loaded wording for ${Object.keys(matched).length} question column(s) from ${file.name}`);
       },
-      error: (err) => {
-        setError('Error reading CSV file: ' + err.message);
-      }
+      error: (err) => setError('Error reading datamap CSV: ' + err.message),
     });
+    if (datamapInputRef.current) datamapInputRef.current.value = '';
+  };
+
+  // Edits in the Column roles panel (already remembered for this layout by the panel)
+  const applyColumnRoles = (next) => {
+    setColumnRoles(next);
+    const mappedId = columnsWithRole(next, 'id')[0];
+    if (mappedId) setIdColumn(mappedId);
+    setXtabWeight((prev) => (next[prev] === 'weight' ? prev : columnsWithRole(next, 'weight')[0] || ''));
+  };
+
+  const clearCodebook = () => {
+    setCodebook(null);
+    setCodebookFileName('');
+    if (codebookInputRef.current) codebookInputRef.current.value = '';
   };
 
   const handleDragOver = (e) => { e.preventDefault(); setIsDragging(true); };
@@ -687,7 +3202,7 @@ HARD RULES:
 
   async function llmThemeExtract({ columnName, model, idCol }) {
     // FIX: use state variable skipBlankCells (not "skipBlanks")
-    const payload = buildPayloadForColumn(csvData, idCol, columnName, MAX_INPUT_CHARS, skipBlankCells);
+    const payload = buildPayloadForColumn(maskedRows(), idCol, columnName, MAX_INPUT_CHARS, skipBlankCells);
     if (!payload || !payload.trim()) {
       return { ok: true, content: '[]' }; // nothing to analyze → empty array
     }
@@ -713,52 +3228,249 @@ HARD RULES:
   }
 
   // === NEW: chunked analysis to ensure every eligible response is sent to the model ===
-  async function llmThemeExtractAllChunks({ columnName, model, idCol }) {
-    let startIndex = 0;
-    const parsedChunks = [];
-    const rawChunks = [];
-
-    while (startIndex < csvData.length) {
-      const { payload, nextIndex } = buildPayloadChunk(csvData, idCol, columnName, startIndex, MAX_INPUT_CHARS, skipBlankCells);
-      startIndex = nextIndex;
+  // Answer from the checkpoint store when this exact call already completed; otherwise run it and
+  // save it. Unusable output (isUsable → false) is not saved, so a resume retries that call.
+  async function runCheckpointed(key, pool, call, isUsable = () => true) {
+    const saved = key ? await getCheckpoint(key) : null;
+    if (saved?.content != null) {
+      pool.restore();
+      return saved.content;
+    }
+    const content = await pool.run(call);
+    if (key && isUsable(content)) await putCheckpoint(key, fileHash, content);
+    return content;
+  }
 
-      // If this chunk had zero includable responses, continue
-      if (!payload || !payload.trim()) continue;
+  // When codebookThemes is given, the model only assigns IDs to those locked codes.
+  // Chunks are queued on the shared pool, so chunks of different questions run side by side;
+  // results stay in chunk order.
+  // runTag keeps the checkpoints of self-consistency replicates apart; lean replicates skip evidence and sentiment.
+  // rows: what to send (masked, with grouped and auto-coded responses blanked); defaults to every masked row.
+  async function llmThemeExtractAllChunks({ columnName, model, idCol, codebookThemes = null, pool, requestOpts, runTag = '', lean = false, rows = maskedRows() }) {
+    const withEvidence = captureEvidence && !lean;
+    const withSentiment = codeSentiment && !lean;
+    const baseInstructions = codebookThemes ? buildCodebookPrompt(codebookThemes) : fillQuestionPlaceholder(analysisPrompt, columnName, questionMeta);
+    const instructions = [
+      questionContext(columnName, questionMeta),
+      baseInstructions,
+      codebookThemes ? '' : outputLanguageInstruction(outputLanguage),
+      withEvidence ? EVIDENCE_INSTRUCTIONS : '',
+      withSentiment ? SENTIMENT_INSTRUCTIONS : '',
+    ].filter(Boolean).join('\n\n');
+    // Sentiment and evidence list every record, so their chunks get a budget that grows with the chunk
+    const extractionTokenBudget = (records) => DEFAULT_MAX_COMPLETION_TOKENS
+      + records * ((withSentiment ? SENTIMENT_TOKENS_PER_RECORD : 0) + (withEvidence ? EVIDENCE_TOKENS_PER_RECORD : 0));
+    let schemaDef = codebookThemes ? RESPONSE_SCHEMAS.codebookAssignments : RESPONSE_SCHEMAS.themes;
+    if (withEvidence) schemaDef = withEvidenceSchema(schemaDef);
+    if (withSentiment) schemaDef = withSentimentSchema(schemaDef);
+    const promptHash = await hashContent(JSON.stringify([
+      model, instructions, skipBlankCells, MAX_INPUT_CHARS, MAX_RECORDS_PER_CHUNK,
+      ...(runTag ? [runTag, requestOpts?.temperature ?? null] : []),
+      ...(redactionKey ? [redactionKey] : []),
+      ...(preprocessKey ? [preprocessKey] : []),
+      ...(translateResponses ? ['translated'] : []),
+    ]));
+    // Models the API reports for the chunk calls (checkpointed chunks report none)
+    const served = new Set();
+    const noteServed = (name) => { served.add(name); requestOpts?.onServedModel?.(name); };
+    // Built in the data worker; only the ID and response columns travel there
+    const chunks = await runDataTask('payloadChunks', {
+      rows: rows.map((r) => ({ [idCol]: r?.[idCol], [columnName]: r?.[columnName] })),
+      idCol,
+      col: columnName,
+      skipBlanks: skipBlankCells,
+    });
 
+    const settled = await Promise.allSettled(chunks.map(async ({ payload, chunkStart, includedIds }) => {
       const messages = [
         { role: 'system', content: 'You are a precise, compliance-focused data analyst. Output strictly valid JSON with no commentary.' },
         {
           role: 'user',
           content:
             `Analyze the following open-ended responses for column '${columnName}'.\n\n` +
-            `${analysisPrompt}\n\n` +
+            `${instructions}\n\n` +
             `Use the 'record' value as ParticipantID.\n\n` +
             `RESPONSES (one per line):\n${payload}`
         }
       ];
-
+      // The chunk text is part of the key: a different ID column or edited rows must not resume old answers
+      const key = fileHash ? checkpointKey(fileHash, columnName, chunkStart, await hashContent(promptHash + payload)) : null;
+      return runCheckpointed(
+        key,
+        pool,
+        async () => (await fetchValidatedJson(messages, model, schemaDef, {
+          requestOpts: { ...requestOpts, maxTokens: extractionTokenBudget(includedIds.length), onServedModel: noteServed },
+          structured: structuredOutput,
+        })).content,
+        (content) => readSchemaJson(content, schemaDef).errors.length === 0
+      );
+    }));
+
+    const failure = settled.find((x) => x.status === 'rejected');
+    if (failure) return { ok: false, error: failure.reason };
+
+    const rawChunks = settled.map((x) => x.value);
+    const chunkIds = chunks.map((c) => c.includedIds); // IDs sent in each chunk, for the ID audit
+    const sentimentChunks = [];
+    const parsedChunks = rawChunks.map((content) => {
+      const { value } = readSchemaJson(content, schemaDef);
+      if (value) {
+        if (!withSentiment) return value;
+        sentimentChunks.push(value.sentiment);
+        return value.themes;
+      }
+      // Repairs exhausted: keep whatever array the lenient parser can still find, else null (audited as lost)
       try {
-        const content = await fetchChatContentWithRetry(messages, model);
-        rawChunks.push(content);
-
-        try {
-          const parsed = parseJsonMaybe(content);
-          parsedChunks.push(parsed);
-        } catch (_) {
-          // preserve raw chunk if parse fails
-          parsedChunks.push(null);
-        }
-      } catch (err) {
-        return { ok: false, error: err };
+        const loose = parseJsonMaybe(content);
+        if (Array.isArray(loose?.sentiment)) sentimentChunks.push(loose.sentiment);
+        return Array.isArray(loose) ? loose : (Array.isArray(loose?.themes) ? loose.themes : null);
+      } catch (_) {
+        return null;
       }
+    });
+
+    return { ok: true, parsedChunks, rawChunks, chunkIds, sentimentChunks, served: Array.from(served).join(' / ') };
+  }
 
-      // brief spacing reduces collision with rate limits
-      await sleep(600);
+
+  // Second stage: ask the model for a unified codebook + label mapping, then remap IDs in code
+  async function llmConsolidateThemes({ columnName, model, chunkThemes, pool, requestOpts, runTag = '' }) {
+    const messages = [
+      { role: 'system', content: 'You are a precise, compliance-focused data analyst. Output strictly valid JSON with no commentary.' },
+      { role: 'user', content: buildConsolidationPrompt(columnName, chunkThemes, outputLanguage) }
+    ];
+    try {
+      const key = fileHash
+        ? checkpointKey(fileHash, columnName, runTag ? `consolidate#${runTag}` : 'consolidate', await hashContent(JSON.stringify([model, messages])))
+        : null;
+      const schemaDef = RESPONSE_SCHEMAS.consolidation;
+      const content = await runCheckpointed(
+        key,
+        pool,
+        async () => (await fetchValidatedJson(messages, model, schemaDef, {
+          requestOpts: { ...requestOpts, maxTokens: consolidationTokenBudget(chunkThemes) },
+          structured: structuredOutput,
+        })).content,
+        (text) => readSchemaJson(text, schemaDef).errors.length === 0
+      );
+      const { value: parsed, errors } = readSchemaJson(content, schemaDef);
+      if (!parsed) {
+        throw new Error(`Consolidation response did not match the schema (${errors.slice(0, 3).join('; ')}).`);
+      }
+      return { ok: true, ...applyConsolidation(chunkThemes, parsed) };
+    } catch (err) {
+      return { ok: false, error: err };
     }
+  }
+
+  // Before coding: non-English responses are translated in batches (checkpointed like chunks).
+  // Returns { ok, byId: { [id]: English text }, untranslated }. A batch whose reply still fails the
+  // schema after repairs translates nothing; those records, and any the model skipped, keep their
+  // original text and are counted in `untranslated`.
+  async function llmTranslateColumn({ columnName, model, items, pool, requestOpts }) {
+    const schemaDef = RESPONSE_SCHEMAS.translations;
+    const settled = await Promise.allSettled(batchTranslationItems(items).map(async (batch, k) => {
+      const messages = [
+        { role: 'system', content: 'You are a professional survey translator. Output strictly valid JSON with no commentary.' },
+        { role: 'user', content: buildTranslationPrompt(columnName, batch) }
+      ];
+      const key = fileHash
+        ? checkpointKey(fileHash, columnName, `translate#${k}`, await hashContent(JSON.stringify([model, messages])))
+        : null;
+      const content = await runCheckpointed(
+        key,
+        pool,
+        async () => (await fetchValidatedJson(messages, model, schemaDef, {
+          requestOpts: { ...requestOpts, maxTokens: translationTokenBudget(batch) },
+          structured: structuredOutput,
+        })).content,
+        (text) => readSchemaJson(text, schemaDef).errors.length === 0
+      );
+      const { value, errors } = readSchemaJson(content, schemaDef);
+      if (errors.length > 0) {
+        console.warn(`Translation batch ${k + 1} of ${columnName} failed the schema; ${batch.length} response(s) stay untranslated:`, errors.slice(0, 5));
+        return [];
+      }
+      const sent = new Set(batch.map((x) => x.id));
+      return value.filter((x) => sent.has(String(x.ParticipantID)) && String(x.Translation || '').trim());
+    }));
+    const failure = settled.find((x) => x.status === 'rejected');
+    if (failure) return { ok: false, error: failure.reason };
+    const byId = {};
+    settled.forEach((x) => x.value.forEach((t) => { byId[String(t.ParticipantID)] = String(t.Translation).trim(); }));
+    return { ok: true, byId, untranslated: items.filter((x) => !byId[x.id]).length };
+  }
 
-    return { ok: true, parsedChunks, rawChunks };
+  // Third stage: the model picks which respondents to quote; the text itself is joined from the CSV
+  // promptVerbatims is the (redacted) text shown to the model; the quotes themselves come from `verbatims`
+  async function llmPickQuotes({ columnName, model, themes, verbatims, promptVerbatims = verbatims, pool, requestOpts }) {
+    if (!themes.some((t) => sampleQuoteCandidates(themeIds(t), verbatims).length > 0)) return { ok: true, quotes: {} };
+    const messages = [
+      { role: 'system', content: 'You are a senior survey research analyst. Output strictly valid JSON with no commentary.' },
+      { role: 'user', content: buildQuotePrompt(columnName, themes, promptVerbatims) }
+    ];
+    try {
+      const key = fileHash
+        ? checkpointKey(fileHash, columnName, 'quotes', await hashContent(JSON.stringify([model, messages])))
+        : null;
+      const schemaDef = RESPONSE_SCHEMAS.quotes;
+      const content = await runCheckpointed(
+        key,
+        pool,
+        async () => (await fetchValidatedJson(messages, model, schemaDef, { requestOpts, structured: structuredOutput })).content,
+        (text) => readSchemaJson(text, schemaDef).errors.length === 0
+      );
+      const { value: picks, errors } = readSchemaJson(content, schemaDef);
+      if (!picks) {
+        throw new Error(`Quote response did not match the schema (${errors.slice(0, 3).join('; ')}).`);
+      }
+      return { ok: true, quotes: resolveQuotes(themes, picks, verbatims) };
+    } catch (err) {
+      return { ok: false, error: err };
+    }
   }
 
+  // Re-pick quotes for one question after its themes were edited
+  const refreshQuotes = async (qcol) => {
+    const themes = results?.[qcol];
+    if (!Array.isArray(themes)) return;
+    setQuotesLoading((prev) => ({ ...prev, [qcol]: true }));
+    const r = await llmPickQuotes({
+      columnName: qcol,
+      model: modelName,
+      themes,
+      verbatims: verbatimsByQuestion[qcol] || new Map(),
+      promptVerbatims: buildVerbatimMap(maskedRows(), resolveIdColumn(csvData, idColumn) || 'respid', qcol),
+      pool: createRatePool({ concurrency: 1 }),
+    });
+    setQuotesLoading((prev) => ({ ...prev, [qcol]: false }));
+    if (r.ok) setQuotes((prev) => ({ ...prev, [qcol]: r.quotes }));
+    else setError(`Could not pick quotes for ${qcol}: ${r.error?.response?.data?.error?.message || r.error?.message || String(r.error)}`);
+  };
+
+  // One self-consistency replicate of a question: extraction (+ consolidation) only, no quotes,
+  // evidence or sentiment. Returns { themes, served } (served: the model(s) the API reported; '' when
+  // every call came from a checkpoint), or null when the run failed.
+  async function runConsistencyReplicate({ col, variant, runIndex, idCol, codebookThemes, pool, requestOpts, rows, plan }) {
+    const served = new Set();
+    const opts = {
+      ...requestOpts,
+      ...(variant.temperature != null ? { temperature: variant.temperature } : {}),
+      onServedModel: (name) => served.add(name),
+    };
+    const runTag = `run${runIndex}`;
+    const r = await llmThemeExtractAllChunks({ columnName: col, model: variant.model, idCol, codebookThemes, pool, requestOpts: opts, runTag, lean: true, rows });
+    if (!r.ok) return null;
+    const mergeable = r.parsedChunks.filter(Array.isArray);
+    if (mergeable.length === 0 && plan.autoCoded.length === 0) return null;
+    let themes = codebookThemes ? assignChunksToCodebook(codebookThemes, mergeable) : mergeChunkThemes(mergeable);
+    if (consolidatesColumn(consolidateThemes, codingMode, codebook, col) && mergeable.length > 1) {
+      const c = await llmConsolidateThemes({ columnName: col, model: variant.model, chunkThemes: themes, pool, requestOpts: opts, runTag });
+      if (c.ok) themes = c.themes;
+      else if (isAbortError(c.error)) return null;
+    }
+    return { themes: fanOutThemes(normalizeParticipantIds(themes, csvData, idCol), plan), served: Array.from(served).join(' / ') };
+  }
 
   const analyzeData = async () => {
     // if (false) {
@@ -769,23 +3481,31 @@ HARD RULES:
       setError('Please upload a CSV file first.');
       return;
     }
+    if (codingMode === 'codebook' && !codebook) {
+      setError('Codebook mode is on. Load a themes_by_question CSV from a prior wave first.');
+      return;
+    }
 
     setIsLoading(true);
     setError('');
     setSuccess('');
 
+    const controller = new AbortController();
+    abortRef.current = controller;
+    stopModeRef.current = null;
+
     try {
-      const questionColumns = detectQuestionColumns(csvData);
+      const questionColumns = openEndColumns;
       if (questionColumns.length === 0) {
         setIsLoading(false);
-        setError('No question columns found (Q1, Q2, Q24, etc.). Please check your CSV format.');
+        setError('No open-end columns. Mark the columns to code as "Open-end" under Column roles.');
         return;
       }
 
       // Resolve ID column (case-insensitive)
       let resolvedIdCol = resolveIdColumn(csvData, idColumn || 'respid');
       if (!csvData[0] || !(resolvedIdCol in csvData[0])) {
-        const autoId = detectIdColumn(csvData);
+        const autoId = columnsWithRole(columnRoles, 'id')[0] || detectIdColumn(csvData);
         if (autoId && autoId in csvData[0]) {
           resolvedIdCol = autoId;
           setIdColumn(autoId);
@@ -811,64 +3531,281 @@ HARD RULES:
         }
       }
 
+      const withConsolidation = (col) => consolidatesColumn(consolidateThemes, codingMode, codebook, col);
+      const sendRows = maskedRows();
+      const variants = consistencyVariants(consistencyRuns, consistencyModels, consistencyTemps, modelName);
+      const plans = {};
+      const rowsByColumn = {};
+      const toTranslate = {};
+      columnsToProcess.forEach((col) => {
+        plans[col] = planFor(csvData, col, resolvedIdCol);
+        rowsByColumn[col] = rowsForPlan(sendRows, plans[col], resolvedIdCol, col);
+        toTranslate[col] = translateResponses ? translationItems(rowsByColumn[col], resolvedIdCol, col, skipBlankCells) : [];
+      });
       const callEstimate = columnsToProcess.reduce(
-        (sum, col) => sum + estimateChunkCount(csvData, resolvedIdCol, col, MAX_INPUT_CHARS, skipBlankCells),
+        (sum, col) => sum
+          + estimateCallsForColumn(rowsByColumn[col], resolvedIdCol, col, skipBlankCells, withConsolidation(col), pickQuotes)
+          + variants.length * estimateCallsForColumn(rowsByColumn[col], resolvedIdCol, col, skipBlankCells, withConsolidation(col), false)
+          + batchTranslationItems(toTranslate[col]).length,
         0
       );
       setEstimatedCalls(callEstimate);
-      if (callEstimate === 0) {
+      setRunMeta({
+        date: new Date().toISOString(),
+        fileName,
+        model: modelName,
+        codingMode,
+        codebookFileName: codingMode === 'codebook' ? codebookFileName : '',
+        prompt: analysisPrompt,
+        idCol: resolvedIdCol,
+        skipBlankCells,
+        structuredOutput,
+        consolidate: columnsToProcess.some(withConsolidation),
+        quotes: pickQuotes,
+        sentiment: codeSentiment,
+        evidence: captureEvidence,
+        consistencyRuns: variants.length + 1,
+        dedupe: dedupeResponses,
+        translated: translateResponses,
+        outputLanguage: outputLanguageInstruction(outputLanguage) ? outputLanguage.trim() : 'English',
+        autoCodeRules: autoCodeRules.rules.map((r) => `${r.source} => ${r.label}`),
+        redaction: redaction.enabled
+          ? [...REDACTION_RULES.filter((r) => redaction.rules[r.id]).map((r) => r.label), ...(parseCustomTerms(redaction.terms).length ? ['custom terms'] : [])].join(', ') || 'none'
+          : '',
+      });
+      if (callEstimate === 0 && !columnsToProcess.some((col) => plans[col].autoCoded.length > 0)) {
         setIsLoading(false);
         setError('No eligible responses found (all responses are blank or placeholders).');
         return;
       }
 
       const allResults = {};
+      const allConsolidations = {};
+      const allAudits = {};
+      const allQuotes = {};
+      const allSentiment = {};
+      const allEvidence = {};
+      const allRuleCoded = {};
+      const allEvidenceStats = {};
+      const allConsistency = {};
+      const allTranslations = {};
+      const untranslatedByColumn = {};
       
       const model = modelName;
 
-      for (const col of columnsToProcess) {
-        const r = await llmThemeExtractAllChunks({ columnName: col, model, idCol: resolvedIdCol });
+      // One pool for every chunk of every question; 429s/Retry-After narrow it for everyone
+      const pool = createRatePool({ concurrency, expectedTotal: callEstimate, onProgress: setProgress, signal: controller.signal });
+      const requestOpts = {
+        signal: controller.signal,
+        onBackoff: ({ status, waitMs }) => { if (status === 429) pool.rateLimited(waitMs); },
+      };
+      setProgress(pool.snapshot());
+
+      const uncodedColumns = columnsToProcess.filter((col) => codingMode === 'codebook' && !codebookForColumn(codebook, col));
+
+      const processColumn = async (col) => {
+        const codebookThemes = codingMode === 'codebook' ? codebookForColumn(codebook, col) : null;
+        // Replicates share the pool with the main run; they never reject (a failed replicate is null)
+        const plan = plans[col];
+
+        // Translation comes first: the main run and every replicate code the English text
+        let translated = null;
+        let untranslated = 0;
+        if (toTranslate[col].length > 0) {
+          const t = await llmTranslateColumn({ columnName: col, model, items: toTranslate[col], pool, requestOpts });
+          if (!t.ok) {
+            if (isAbortError(t.error)) return { aborted: true };
+            const msg = t.error?.response?.data?.error?.message || t.error?.message || String(t.error);
+            return { result: { _error: `Translation failed: ${msg}` } };
+          }
+          translated = fanOutById(t.byId, plan);
+          untranslated = t.untranslated;
+        }
+        const colRows = rowsWithTranslations(rowsByColumn[col], resolvedIdCol, col, translated);
+
+        const replicates = Promise.all(variants.map((variant, k) => runConsistencyReplicate({
+          col, variant, runIndex: k + 2, idCol: resolvedIdCol, codebookThemes, pool, requestOpts, rows: colRows, plan,
+        }).catch(() => null)));
+        const r = await llmThemeExtractAllChunks({ columnName: col, model, idCol: resolvedIdCol, codebookThemes, pool, requestOpts, rows: colRows });
 
         if (!r.ok) {
+          if (isAbortError(r.error)) return { aborted: true };
+          await replicates; // let replicate calls settle before the run is reported finished
           const status = r.error?.response?.status;
           const msg = r.error?.response?.data?.error?.message || r.error?.message || String(r.error);
-          allResults[col] = { _error: `HTTP ${status || ''} ${msg}`.trim() };
-          await sleep(1200);
-          continue;
+          return { result: { _error: `HTTP ${status || ''} ${msg}`.trim() } };
         }
 
         // Merge themes across chunks; keep raw if parsing fails.
         const mergeable = Array.isArray(r.parsedChunks) ? r.parsedChunks.filter(Array.isArray) : [];
-        if (mergeable.length > 0) {
-          let mergedThemes = mergeChunkThemes(mergeable);
+        const parseFailedIds = expandToMembers(r.parsedChunks.flatMap((p, k) => (Array.isArray(p) ? [] : (r.chunkIds[k] || []))), plan);
+        const universe = computeQuestionUniverse(csvData, resolvedIdCol, col, skipBlankCells);
+        if (mergeable.length > 0 || plan.autoCoded.length > 0) {
+          const verbatims = buildVerbatimMap(csvData, resolvedIdCol, col);
+          const sentVerbatims = sendRows !== csvData || translated
+            ? buildVerbatimMap(rowsWithTranslations(sendRows, resolvedIdCol, col, translated), resolvedIdCol, col)
+            : verbatims;
+          // Evidence phrases quote what the model saw, so they are checked against the masked (and translated) text
+          let collected = captureEvidence ? collectEvidence(mergeable, sentVerbatims, rowNumberToRecordId(csvData, resolvedIdCol)) : null;
+          let mergedThemes = codebookThemes
+            ? assignChunksToCodebook(codebookThemes, mergeable)
+            : mergeChunkThemes(mergeable);
+
+          // Fold near-duplicate labels from different chunks (exact-label merge misses these)
+          let consolidation;
+          if (withConsolidation(col) && mergeable.length > 1) {
+            const c = await llmConsolidateThemes({ columnName: col, model, chunkThemes: mergedThemes, pool, requestOpts });
+            if (c.ok) {
+              mergedThemes = c.themes;
+              consolidation = { mapping: c.mapping };
+              if (collected) collected = { ...collected, evidence: remapEvidence(collected.evidence, c.mapping) };
+            } else if (isAbortError(c.error)) {
+              return { aborted: true };
+            } else {
+              consolidation = { error: c.error?.message || String(c.error) };
+            }
+          }
 
           // NEW: if the model used row numbers, convert them to record IDs
           mergedThemes = normalizeParticipantIds(mergedThemes, csvData, resolvedIdCol);
+
+          // Grouped duplicates get their representative's codes; auto-coded responses get their rule's theme
+          mergedThemes = fanOutThemes(mergedThemes, plan);
+          if (collected) {
+            const ruleCodedById = {};
+            plan.autoCoded.forEach(({ label, ids }) => ids.forEach((id) => {
+              (ruleCodedById[id] = ruleCodedById[id] || []).push(normLabel(label));
+            }));
+            collected = { ...collected, evidence: fanOutById(collected.evidence, plan), ruleCoded: ruleCodedById };
+          }
           
-          const universe = computeQuestionUniverse(csvData, resolvedIdCol, col, skipBlankCells);
-          allResults[col] = ensureAllIdsAssigned(mergedThemes, universe);
-          
-        } else {
-          // Fall back to raw chunk text for debugging.
-          allResults[col] = { _rawChunks: r.rawChunks };
+          const audited = auditQuestionThemes(mergedThemes, universe, {
+            parseFailedIds,
+            duplicateMentions: countDuplicateMentions(mergeable),
+          });
+
+          // Quotes are a nice-to-have: a failed or interrupted pick still keeps the themes
+          let quotesByLabel;
+          if (pickQuotes) {
+            const q = await llmPickQuotes({ columnName: col, model, themes: audited.themes, verbatims, promptVerbatims: sentVerbatims, pool, requestOpts });
+            if (q.ok) quotesByLabel = q.quotes;
+            else if (!isAbortError(q.error)) console.warn(`Quote selection failed for ${col}:`, q.error);
+          }
+          const sentimentById = codeSentiment ? fanOutById(collectSentiment(r.sentimentChunks, universe, rowNumberToRecordId(csvData, resolvedIdCol)), plan) : null;
+
+          let stability;
+          if (variants.length > 0) {
+            const replicateThemes = await replicates;
+            if (controller.signal.aborted) return { aborted: true };
+            const done = replicateThemes
+              .map((rep, k) => (rep ? { themes: rep.themes, variant: { ...variants[k], served: rep.served } } : null))
+              .filter(Boolean);
+            if (done.length > 0) {
+              stability = {
+                ...summarizeConsistency([themeRunSet(audited.themes), ...done.map((d) => themeRunSet(d.themes))]),
+                variants: [{ model, temperature: null, served: r.served }, ...done.map((d) => d.variant)],
+                failedRuns: variants.length - done.length,
+              };
+            }
+          }
+          return { result: audited.themes, audit: audited.audit, consolidation, quotes: quotesByLabel, sentiment: sentimentById, evidence: collected, consistency: stability, translations: translated, untranslated };
         }
 
-        await sleep(1200);
-      }
+        // Fall back to raw chunk text for debugging.
+        await replicates;
+        return {
+          result: { _rawChunks: r.rawChunks },
+          audit: auditQuestionThemes([], universe, { parseFailedIds }).audit,
+        };
+      };
 
-      setResults(allResults);
-      setSuccess(`Analysis completed for ${Object.keys(allResults).length} question column(s)!`);
+      // Questions run concurrently; results are collected back in column order
+      const outcomes = await Promise.all(columnsToProcess.map(processColumn));
+      columnsToProcess.forEach((col, k) => {
+        const { result, audit, consolidation, quotes: quotesByLabel, sentiment: sentimentById, evidence: collected, consistency: stability, translations: translated, untranslated, aborted } = outcomes[k];
+        if (aborted) return; // unfinished; its completed chunks stay checkpointed
+        allResults[col] = result;
+        if (audit) allAudits[col] = audit;
+        if (consolidation) allConsolidations[col] = consolidation;
+        if (quotesByLabel) allQuotes[col] = quotesByLabel;
+        if (sentimentById) allSentiment[col] = sentimentById;
+        if (stability) allConsistency[col] = stability;
+        if (translated) allTranslations[col] = translated;
+        if (untranslated) untranslatedByColumn[col] = untranslated;
+        if (collected) {
+          allEvidence[col] = collected.evidence;
+          allEvidenceStats[col] = collected.stats;
+          allRuleCoded[col] = collected.ruleCoded;
+        }
+      });
+      setProgress(pool.snapshot());
+
+      setResults(Object.keys(allResults).length > 0 ? allResults : null);
+      setEditHistory({});
+      setReviewLog([]);
+      setPendingEdits({});
+      setConsolidations(allConsolidations);
+      setAudits(allAudits);
+      setQuotes(allQuotes);
+      setSentiment(allSentiment);
+      setEvidence(allEvidence);
+      setEvidenceStats(allEvidenceStats);
+      setRuleCoded(allRuleCoded);
+      setConsistency(allConsistency);
+      setTranslations(allTranslations);
+
+      const stopMode = controller.signal.aborted ? stopModeRef.current : null;
+      const doneCount = Object.keys(allResults).length;
+      const hadErrors = Object.values(allResults).some((r) => r && !Array.isArray(r));
+      // Checkpoints only matter for resuming: drop them once the run is finished or cancelled
+      if (stopMode === 'cancel' || (!stopMode && !hadErrors)) await clearCheckpoints(fileHash);
+      setSavedChunkCount(await countCheckpoints(fileHash));
+
+      if (stopMode === 'pause') {
+        setSuccess(`Paused after ${doneCount} of ${columnsToProcess.length} question column(s). Completed chunks are saved; click Resume to continue.`);
+      } else if (stopMode === 'cancel') {
+        setSuccess(`Analysis cancelled. Kept ${doneCount} completed question column(s).`);
+      } else {
+        const uncodedNote = uncodedColumns.length
+          ? ` No codebook entries for ${uncodedColumns.join(', ')}; new themes were extracted for those.`
+          : '';
+        const restoredNote = pool.snapshot().restored > 0 ? ` (${pool.snapshot().restored} call(s) restored from checkpoint)` : '';
+        const untranslatedNote = Object.keys(untranslatedByColumn).length
+          ? ` Untranslated responses, coded in their original language: ${Object.entries(untranslatedByColumn).map(([c, n]) => `${c} ${n}`).join(', ')}.`
+          : '';
+        setSuccess(`Analysis completed for ${doneCount} question column(s)!${restoredNote}${uncodedNote}${untranslatedNote}`);
+      }
     } catch (err) {
       console.error('API Error:', err);
       const msg = err?.response?.data?.error?.message || err.message;
       setError(`OpenAI API Error: ${msg}`);
     } finally {
+      abortRef.current = null;
       setIsLoading(false);
     }
   };
 
+  // Pause keeps checkpoints for Resume; Cancel discards them. Both keep finished questions.
+  const stopAnalysis = (mode) => {
+    if (!abortRef.current) return;
+    stopModeRef.current = mode;
+    abortRef.current.abort();
+  };
+
+  const discardCheckpoints = async () => {
+    await clearCheckpoints(fileHash);
+    setSavedChunkCount(await countCheckpoints(fileHash));
+  };
+
   /* ===================== Export (LONG + WIDE) ===================== */
 
+  // Language columns are added to the exports once any coded question has a non-English response
+  const hasMultilingualResults = () => Object.keys(results || {}).some((qcol) => {
+    let found = false;
+    responseLanguages[qcol]?.forEach((lang) => { if (needsTranslation(lang)) found = true; });
+    return found;
+  });
+
   const exportBothCSVs = () => {
     if (!results || Object.keys(results).length === 0) {
       setError('No results to export.');
@@ -877,6 +3814,8 @@ HARD RULES:
   
     try {
       // ---------- LONG
+      const hasSentiment = Object.keys(sentiment).length > 0;
+      const hasLanguages = hasMultilingualResults();
       const longRows = [];
       Object.entries(results).forEach(([questionCol, themes]) => {
         if (Array.isArray(themes)) {
@@ -886,84 +3825,316 @@ HARD RULES:
               : (theme.ParticipantID != null ? [theme.ParticipantID] : []);
             longRows.push({
               Question: questionCol,
+              QuestionText: questionMeta[questionCol]?.text || '',
+              Net: themeNet(theme),
               ThemeLabel: theme.ThemeLabel || `Theme ${idx + 1}`,
               Definition: theme.Definition || '',
               Keywords: Array.isArray(theme.RepresentativeKeywords)
                 ? theme.RepresentativeKeywords.join(', ')
                 : (theme.RepresentativeKeywords || ''),
-              ParticipantIDs: idsArr.map(v => (v == null ? '' : String(v))).filter(Boolean).join('; ')
+              ParticipantIDs: idsArr.map(v => (v == null ? '' : String(v))).filter(Boolean).join('; '),
+              RepresentativeQuotes: formatQuotes(quotesForTheme(quotes[questionCol], theme)),
+              ...(hasSentiment ? sentimentExportColumns(themeIds(theme), sentiment[questionCol]) : {})
             });
           });
         } else {
           longRows.push({
             Question: questionCol,
+            QuestionText: questionMeta[questionCol]?.text || '',
+            Net: '',
             ThemeLabel: '_parse_error',
             Definition: 'Raw LLM text was kept internally.',
             Keywords: '',
-            ParticipantIDs: ''
+            ParticipantIDs: '',
+            RepresentativeQuotes: '',
+            ...(hasSentiment ? sentimentExportColumns([], null) : {})
+          });
+        }
+      });
+      const longCsv = Papa.unparse(longRows);
+      const longName = `themes_by_question_${new Date().toISOString().split( 'T')[0]}.csv`;
+  
+      // ---------- WIDE
+      const resolvedIdCol = resolveIdColumn(csvData, idColumn) || 'user_id';
+      const allIds = new Set();
+      Object.values(results).forEach((themes) => {
+        if (Array.isArray(themes)) {
+          themes.forEach((t) => {
+            const ids = Array.isArray(t.ParticipantID) ? t.ParticipantID : [t.ParticipantID];
+            ids.forEach((id) => id != null && id !== '' && allIds.add(String(id)));
+          });
+        }
+      });
+  
+      const wide = [];
+      Array.from(allIds).forEach((participantId) => {
+        const rowOut = { [resolvedIdCol]: participantId };
+        Object.entries(results).forEach(([questionCol, themes]) => {
+          if (Array.isArray(themes)) {
+            // Net column (union of its sub-codes) first, then each sub-code
+            groupThemesByNet(themes).forEach((group) => {
+              if (group.net) {
+                const netName = group.net.replace(/\s+/g, ' ');
+                rowOut[`${questionCol}_NET_${netName}`] = netIds(group).includes(String(participantId)) ? 1 : 0;
+              }
+              group.items.forEach(({ theme, index: idx }) => {
+                const ids = Array.isArray(theme.ParticipantID) ? theme.ParticipantID : [theme.ParticipantID];
+                const themeName = (theme.ThemeLabel || `Theme_${idx + 1}`).toString().replace(/\s+/g, ' ');
+                const colName = `${questionCol}_${themeName}`;
+                rowOut[colName] = ids.map(String).includes(String(participantId)) ? 1 : 0;
+              });
+            });
+          }
+          if (hasSentiment) {
+            const s = sentiment[questionCol]?.[String(participantId)];
+            rowOut[`${questionCol}_Sentiment`] = s?.sentiment ?? '';
+            rowOut[`${questionCol}_Intensity`] = s?.intensity ?? '';
+          }
+        });
+        wide.push(rowOut);
+      });
+      const wideCsv = Papa.unparse(wide);
+      const wideName = `codes_by_question_${new Date().toISOString().split('T')[0]}.csv`;
+  
+      // ---------- trigger both downloads
+      const download = (csvText, filename) => downloadBlob(new Blob([csvText], { type: 'text/csv;charset=utf-8;' }), filename);
+  
+      // ---------- LONG per record (one row per respondent × theme, with their response and evidence)
+      const recordRows = [];
+      Object.entries(results).forEach(([questionCol, themes]) => {
+        if (!Array.isArray(themes)) return;
+        const verbatims = verbatimsByQuestion[questionCol] || buildVerbatimMap(csvData, resolvedIdCol, questionCol);
+        const languages = responseLanguages[questionCol];
+        themes.forEach((theme, idx) => {
+          themeIds(theme).forEach((id) => {
+            recordRows.push({
+              question: questionCol,
+              question_text: questionMeta[questionCol]?.text || '',
+              record: id,
+              ThemeLabel: theme.ThemeLabel || `Theme ${idx + 1}`,
+              Definition: theme.Definition || '',
+              Keywords: (theme.RepresentativeKeywords || []).join(', '),
+              response: verbatims.get(id) ?? '',
+              ...(hasLanguages ? { language: languages?.get(id) ?? '', response_translated: translations[questionCol]?.[id] ?? '' } : {}),
+              evidence: evidenceFor(evidence[questionCol], theme, id),
+            });
           });
+        });
+      });
+      const recordName = `themes_by_question_long_${new Date().toISOString().split('T')[0]}.csv`;
+
+      download(longCsv, longName);
+      setTimeout(() => download(wideCsv, wideName), 200);
+      if (recordRows.length > 0) setTimeout(() => download(Papa.unparse(recordRows), recordName), 300);
+
+      // ---------- AUDIT (only when this session produced one)
+      const auditRows = auditToRows(audits, questionMeta);
+      if (auditRows.length > 0) {
+        const auditName = `id_audit_by_question_${new Date().toISOString().split('T')[0]}.csv`;
+        setTimeout(() => download(Papa.unparse(auditRows), auditName), 400);
+      }
+
+      // ---------- VOLATILE respondents (self-consistency runs disagreed on at least one of their codes)
+      const volatileRows = [];
+      Object.entries(consistency).forEach(([questionCol, info]) => {
+        const verbatims = verbatimsByQuestion[questionCol] || buildVerbatimMap(csvData, resolvedIdCol, questionCol);
+        info.volatile.forEach((v) => v.codes.forEach((c) => volatileRows.push({
+          question: questionCol,
+          question_text: questionMeta[questionCol]?.text || '',
+          record: v.id,
+          ThemeLabel: c.label,
+          in_shown_run: c.inPrimary ? 1 : 0,
+          runs_coded: c.votes,
+          runs_total: info.runCount,
+          response: verbatims.get(v.id) ?? '',
+        })));
+      });
+      if (volatileRows.length > 0) {
+        const volatileName = `volatile_respondents_${new Date().toISOString().split('T')[0]}.csv`;
+        setTimeout(() => download(Papa.unparse(volatileRows), volatileName), 500);
+      }
+
+      // ---------- SPSS bundle (optional): data CSV with legal names + syntax that reads and labels it
+      const exported = [
+        'Long', 'Wide',
+        ...(recordRows.length > 0 ? ['Long per record'] : []),
+        ...(auditRows.length > 0 ? ['ID audit'] : []),
+        ...(volatileRows.length > 0 ? ['Volatile respondents'] : []),
+        ...(reviewLog.length > 0 ? ['Review audit trail'] : []),
+      ];
+      if (reviewLog.length > 0) setTimeout(exportReviewLog, 550);
+      if (exportSpss) {
+        const dataFileName = `coded_open_ends_spss_${new Date().toISOString().split('T')[0]}.csv`;
+        const { csv, sps } = buildSpssBundle({
+          questions: codeFramesForResults(results, csvData || [], resolvedIdCol, skipBlankCells),
+          rows: csvData || [],
+          idCol: resolvedIdCol,
+          sentiment,
+          questionMeta,
+          dataFileName,
+          sourceName: fileName,
+        });
+        setTimeout(() => download(csv, dataFileName), 600);
+        setTimeout(() => downloadBlob(new Blob([sps], { type: 'text/plain;charset=utf-8;' }), dataFileName.replace(/\.csv$/, '.sps')), 800);
+        exported.push('SPSS (.csv + .sps)');
+      }
+  
+      setSuccess(`Exported ${exported.join(', ')}!`);
+    } catch (err) {
+      setError('Failed to export results: ' + (err?.message || String(err)));
+    }
+  };
+  
+
+  // One .xlsx: README (run metadata), Codebook, wide numeric coding, and one verbatim sheet per question
+  const exportWorkbook = async () => {
+    if (!results || Object.keys(results).length === 0) {
+      setError('No results to export.');
+      return;
+    }
+
+    try {
+      const idCol = resolveIdColumn(csvData, idColumn) || 'respid';
+      const rows = Array.isArray(csvData) ? csvData : [];
+      const rowId = (row, i) => String(row?.[idCol] ?? (i + 1));
+      const today = new Date().toISOString().split('T')[0];
+
+      const questions = codeFramesForResults(results, rows, idCol, skipBlankCells);
+
+      // ---------- README
+      const meta = runMeta || {};
+      const yesNo = (v) => (v ? 'yes' : 'no');
+      const readme = [
+        ['Field', 'Value'],
+        ['Exported', new Date().toISOString()],
+        ['Analysis run', meta.date || ''],
+        ['Source file', meta.fileName || fileName],
+        ['Model', meta.model || modelName],
+        ['Coding mode', meta.codingMode === 'codebook' ? `Codebook (${meta.codebookFileName || 'loaded codebook'})` : 'Extract new themes'],
+        ['ID column', idCol],
+        ['Questions', questions.map((q) => q.qcol).join(', ')],
+        ['Question wording', questions
+          .filter((q) => questionMeta[q.qcol]?.text)
+          .map((q) => `${questionTitle(q.qcol, questionMeta)}${questionMeta[q.qcol].base ? ` (Base: ${questionMeta[q.qcol].base})` : ''}`)
+          .join('\n') || 'none'],
+        ['Skip blank/placeholder responses', yesNo(meta.skipBlankCells ?? skipBlankCells)],
+        ['Structured JSON output', yesNo(meta.structuredOutput)],
+        ['Consolidation pass', yesNo(meta.consolidate)],
+        ['Representative quotes', yesNo(meta.quotes)],
+        ['Sentiment coding', yesNo(meta.sentiment)],
+        ['Evidence spans', yesNo(meta.evidence)],
+        ['Self-consistency runs', meta.consistencyRuns > 1 ? String(meta.consistencyRuns) : 'Off'],
+        ['PII redaction before sending', meta.redaction || 'Off'],
+        ['Duplicate responses sent once', yesNo(meta.dedupe)],
+        ['Non-English responses translated before coding', yesNo(meta.translated)],
+        ['Theme output language', meta.outputLanguage || 'English'],
+        ['Auto-code rules (bypass the model)', meta.autoCodeRules?.length ? meta.autoCodeRules.join('\n') : 'none'],
+        ['Edits after the run', Object.values(editHistory).some((h) => h?.past?.length) ? 'yes (manual or AI edits applied)' : 'no'],
+        ['Analysis prompt', meta.prompt || analysisPrompt],
+        ['Sheets', 'Codebook = codes per question with n and %; Coding = one 0/1 column per code (blank = did not answer); one sheet per question with each verbatim and its codes.'],
+      ];
+
+      // ---------- Codebook
+      const codebookRows = [['Question', 'Question text', 'Code', 'Column', 'Net', 'Label', 'Definition', 'Keywords', 'n', '%']];
+      questions.forEach(({ qcol, coded, frame, base }) => {
+        const wording = questionMeta[qcol]?.text || '';
+        if (!coded) {
+          codebookRows.push([qcol, wording, '', '', '', '_parse_error', 'Raw LLM text was kept internally.', '', '', '']);
+          return;
         }
+        frame.forEach((c) => {
+          const n = c.ids.size;
+          codebookRows.push([
+            qcol, wording, c.code, `${qcol}_${c.code}`, c.isNet ? '' : c.net, c.label, c.definition, c.keywords.join(', '),
+            n, base.size ? Math.round((n / base.size) * 1000) / 10 : 0,
+          ]);
+        });
       });
-      const longCsv = Papa.unparse(longRows);
-      const longName = `themes_by_question_${new Date().toISOString().split( 'T')[0]}.csv`;
-  
-      // ---------- WIDE
-      const resolvedIdCol = resolveIdColumn(csvData, idColumn) || 'user_id';
-      const allIds = new Set();
-      Object.values(results).forEach((themes) => {
-        if (Array.isArray(themes)) {
-          themes.forEach((t) => {
-            const ids = Array.isArray(t.ParticipantID) ? t.ParticipantID : [t.ParticipantID];
-            ids.forEach((id) => id != null && id !== '' && allIds.add(String(id)));
-          });
-        }
+
+      // ---------- Wide coding (numeric code columns; blank where the respondent did not answer)
+      const wideHeader = [idCol];
+      questions.forEach(({ qcol, frame }) => {
+        frame.forEach((c) => wideHeader.push(`${qcol}_${c.code}`));
+        if (sentiment[qcol]) wideHeader.push(`${qcol}_Sentiment`, `${qcol}_Intensity`);
       });
-  
-      const wide = [];
-      Array.from(allIds).forEach((participantId) => {
-        const rowOut = { [resolvedIdCol]: participantId };
-        Object.entries(results).forEach(([questionCol, themes]) => {
-          if (Array.isArray(themes)) {
-            themes.forEach((theme, idx) => {
-              const ids = Array.isArray(theme.ParticipantID) ? theme.ParticipantID : [theme.ParticipantID];
-              const themeName = (theme.ThemeLabel || `Theme_${idx + 1}`).toString().replace(/\s+/g, ' ');
-              const colName = `${questionCol}_${themeName}`;
-              rowOut[colName] = ids.map(String).includes(String(participantId)) ? 1 : 0;
-            });
+      const wideRows = [wideHeader];
+      rows.forEach((row, i) => {
+        const id = rowId(row, i);
+        const out = [id];
+        questions.forEach(({ qcol, frame, base }) => {
+          const answered = base.has(id);
+          frame.forEach((c) => out.push(answered ? (c.ids.has(id) ? 1 : 0) : ''));
+          if (sentiment[qcol]) {
+            const sv = sentiment[qcol][id];
+            out.push(sv?.sentiment ?? '', sv?.intensity ?? '');
           }
         });
-        wide.push(rowOut);
+        wideRows.push(out);
       });
-      const wideCsv = Papa.unparse(wide);
-      const wideName = `codes_by_question_${new Date().toISOString().split('T')[0]}.csv`;
-  
-      // ---------- trigger both downloads
-      const download = (csvText, filename) => {
-        const blob = new Blob([csvText], { type: 'text/csv;charset=utf-8;' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        a.remove();
-        setTimeout(() => URL.revokeObjectURL(url), 1000);
-      };
-  
-      download(longCsv, longName);
-      setTimeout(() => download(wideCsv, wideName), 200);
-  
-      setSuccess('Exported both Long and Wide CSVs!');
+
+      // ---------- One sheet per question: verbatim next to its codes
+      const hasLanguages = hasMultilingualResults();
+      const questionSheets = questions.filter((q) => q.coded).map(({ qcol, frame, base }) => {
+        const subCodes = frame.filter((c) => !c.isNet);
+        const header = [
+          idCol, 'Response', ...(hasLanguages ? ['Language', 'Response (English)'] : []),
+          'Codes', 'Code labels', ...(sentiment[qcol] ? ['Sentiment', 'Intensity'] : []),
+        ];
+        const body = [];
+        rows.forEach((row, i) => {
+          const id = rowId(row, i);
+          if (!base.has(id)) return;
+          const mine = subCodes.filter((c) => c.ids.has(id));
+          const sv = sentiment[qcol]?.[id];
+          body.push([
+            id,
+            String(row?.[qcol] ?? '').trim(),
+            ...(hasLanguages ? [responseLanguages[qcol]?.get(id) ?? '', translations[qcol]?.[id] ?? ''] : []),
+            mine.map((c) => c.code).join('; '),
+            mine.map((c) => c.label).join('; '),
+            ...(sentiment[qcol] ? [sv?.sentiment ?? '', sv?.intensity ?? ''] : []),
+          ]);
+        });
+        return { name: qcol, rows: [header, ...body], colWidths: [14, 80, ...(hasLanguages ? [10, 80] : []), 14, 40, ...(sentiment[qcol] ? [12, 10] : [])] };
+      });
+
+      const blob = await buildXlsx([
+        { name: 'README', rows: readme, colWidths: [32, 100] },
+        { name: 'Codebook', rows: codebookRows },
+        { name: 'Coding', rows: wideRows },
+        ...questionSheets,
+      ]);
+      downloadBlob(blob, `coded_open_ends_${today}.xlsx`);
+      setSuccess(`Exported Excel workbook (${questionSheets.length} question sheet${questionSheets.length === 1 ? '' : 's'}).`);
     } catch (err) {
-      setError('Failed to export results: ' + (err?.message || String(err)));
+      setError('Failed to export workbook: ' + (err?.message || String(err)));
     }
   };
-  
 
   const clearData = () => {
+    runDataTask('release', { slot: 'verbatims' }).catch(() => {});
     setCsvData(null);
     setFileName('');
+    setDataFile(null);
+    setSheetNames([]);
+    setSheetName('');
+    setColumnRoles({});
+    setQuestionMeta({});
+    setRunMeta(null);
+    setFileHash('');
     setResults(null);
+    setConsolidations({});
+    setAudits({});
+    setQuotes({});
+    setSentiment({});
+    setEvidence({});
+    setEvidenceStats({});
+    setRuleCoded({});
+    setConsistency({});
+    setTranslations({});
+    setEditHistory({});
+    setReviewLog([]);
+    setPendingEdits({});
     setError('');
     setSuccess('');
     if (fileInputRef.current) fileInputRef.current.value = '';
@@ -995,135 +4166,182 @@ HARD RULES:
     setSelectedEdits((prev) => ({ ...prev, [qcol]: [] }));
   };
 
-  function clamp(n, lo, hi) { return Math.max(lo, Math.min(hi, n)); }
-
-  function applyLegacyPatches(arr, patches) {
-    const copy = [...arr];
-    patches.forEach((p) => {
-      const i = Number(p.index);
-      if (!Number.isFinite(i) || i < 0 || i >= copy.length) return;
-      copy[i] = {
-        ThemeLabel: p.ThemeLabel ?? copy[i]?.ThemeLabel ?? `Theme ${i + 1}`,
-        Definition: p.Definition ?? copy[i]?.Definition ?? '',
-        RepresentativeKeywords: Array.isArray(p.RepresentativeKeywords) ? p.RepresentativeKeywords : (copy[i]?.RepresentativeKeywords || []),
-        ParticipantID: Array.isArray(p.ParticipantID) ? p.ParticipantID.map(String) : (copy[i]?.ParticipantID || [])
-      };
+  /* ===================== Edit history (undo/redo) + pending AI edits ===================== */
+
+  const MAX_HISTORY = 50;
+  // { [qcol]: { past: [{ themes, label }], future: [{ themes, label }] } }
+  const [editHistory, setEditHistory] = useState({});
+  // AI-proposed ops awaiting review: { [qcol]: { ops, accepted: boolean[] } }
+  const [pendingEdits, setPendingEdits] = useState({});
+
+  // Every change to a question's themes goes through here so it can be undone
+  // review: the record a human review decision changed, so undo/redo can be written to the audit trail
+  const commitThemes = (qcol, nextThemes, label, review = null) => {
+    const current = results?.[qcol];
+    setEditHistory((prev) => {
+      const h = prev[qcol] || { past: [], future: [] };
+      return { ...prev, [qcol]: { past: [...h.past, { themes: current, label, review }].slice(-MAX_HISTORY), future: [] } };
     });
-    return copy;
-  }
+    setResults((prev) => ({ ...prev, [qcol]: nextThemes }));
+    setSelectedEdits((prev) => ({ ...prev, [qcol]: [] })); // indices shift after edits
+  };
 
-  function applyStructuredEdits(original, edits) {
-    let arr = [...original];
-    if (!Array.isArray(edits) || edits.length === 0) return arr;
+  const stepHistory = (qcol, direction) => {
+    const h = editHistory[qcol];
+    const from = direction === 'undo' ? h?.past : h?.future;
+    if (!from?.length) return;
+    const entry = from[from.length - 1];
+    const current = { themes: results?.[qcol], label: entry.label, review: entry.review };
+    setEditHistory((prev) => {
+      const cur = prev[qcol] || { past: [], future: [] };
+      return direction === 'undo'
+        ? { ...prev, [qcol]: { past: cur.past.slice(0, -1), future: [...cur.future, current] } }
+        : { ...prev, [qcol]: { past: [...cur.past, current], future: cur.future.slice(0, -1) } };
+    });
+    setResults((prev) => ({ ...prev, [qcol]: entry.themes }));
+    setSelectedEdits((prev) => ({ ...prev, [qcol]: [] }));
+    // Undoing a review decision reopens it (the log keeps both steps); redoing closes it again
+    if (entry.review != null) {
+      setReviewLog((prev) => [...prev, {
+        at: new Date().toISOString(),
+        reviewer: reviewer.trim(),
+        question: qcol,
+        record: entry.review,
+        reasons: '',
+        action: direction === 'undo' ? 'undone' : 'redone',
+        before: themeLabelsFor(Array.isArray(results?.[qcol]) ? results[qcol] : [], entry.review).join('; '),
+        after: themeLabelsFor(Array.isArray(entry.themes) ? entry.themes : [], entry.review).join('; '),
+        note: '',
+      }]);
+    }
+    setSuccess(`${direction === 'undo' ? 'Undid' : 'Redid'} “${entry.label}” on ${qcol}.`);
+  };
 
-    const looksLegacy = edits.every(e => typeof e === 'object' && !('op' in e));
-    if (looksLegacy) return applyLegacyPatches(arr, edits);
+  const applyEditPatches = (qcol, patchesOrOps, label = 'AI edit') => {
+    const arr = Array.isArray(results?.[qcol]) ? results[qcol] : [];
+    commitThemes(qcol, applyStructuredEdits(arr, patchesOrOps), label);
+  };
 
-    const ops = edits.map(e => ({ ...e }));
+  /* ===================== Manual editing ===================== */
 
-    const normalizeTheme = (t, fallbackLabel = 'Theme') => ({
-      ThemeLabel: t?.ThemeLabel ?? fallbackLabel,
-      Definition: t?.Definition ?? '',
-      RepresentativeKeywords: Array.isArray(t?.RepresentativeKeywords) ? t.RepresentativeKeywords : [],
-      ParticipantID: Array.isArray(t?.ParticipantID) ? t.ParticipantID.map(String) : []
-    });
+  const [manualEditQ, setManualEditQ] = useState({}); // { [qcol]: true } while hand-editing
+  const [manualIdSel, setManualIdSel] = useState({}); // { [qcol]: string[] } respondents checked for moving
 
-    // 1) MERGE & SPLIT
-    ops.filter(o => o.op === 'merge' || o.op === 'split').forEach(op => {
-      if (op.op === 'merge') {
-        const indices = Array.isArray(op.indices) ? Array.from(new Set(op.indices)).sort((a,b)=>a-b) : [];
-        if (indices.length === 0) return;
+  const [collapsedNets, setCollapsedNets] = useState({}); // { [qcol]: { [normalized net]: true } }
 
-        const insertIndex = Number.isFinite(op.insertIndex) ? clamp(op.insertIndex, 0, arr.length) : indices[0];
-        const merged = normalizeTheme(op, 'Merged Theme');
+  // Crosstabs: breakout + weight columns apply to every question; each question opens its own table
+  const [xtabDemos, setXtabDemos] = useState([]);
+  const [xtabWeight, setXtabWeight] = useState('');
+  const [showXtab, setShowXtab] = useState({}); // { [qcol]: true }
+  const xtabIdCol = csvData ? (resolveIdColumn(csvData, idColumn) || 'respid') : '';
+  const xtabDemoOptions = useMemo(() => crosstabDemoCandidates(csvData, xtabIdCol, openEndColumns), [csvData, xtabIdCol, openEndColumns]);
+  const xtabWeightOptions = useMemo(() => numericColumns(csvData), [csvData]);
 
-        for (let k = indices.length - 1; k >= 0; k--) {
-          const idx = indices[k];
-          if (idx >= 0 && idx < arr.length) arr.splice(idx, 1);
-        }
-        const ii = clamp(insertIndex, 0, arr.length);
-        arr.splice(ii, 0, {
-          ThemeLabel: merged.ThemeLabel,
-          Definition: merged.Definition,
-          RepresentativeKeywords: merged.RepresentativeKeywords,
-          ParticipantID: merged.ParticipantID
-        });
-      }
+  const toggleNetCollapsed = (qcol, netKey) => {
+    setCollapsedNets((prev) => ({ ...prev, [qcol]: { ...prev[qcol], [netKey]: !prev[qcol]?.[netKey] } }));
+  };
 
-      if (op.op === 'split') {
-        const idx = Number(op.index);
-        if (!Number.isFinite(idx) || idx < 0 || idx >= arr.length) return;
+  const commitManualOps = (qcol, ops, label) => {
+    applyEditPatches(qcol, ops, label);
+    setManualIdSel((prev) => ({ ...prev, [qcol]: [] }));
+  };
 
-        const replacements = Array.isArray(op.replacements) ? op.replacements.map((t, j) => normalizeTheme(t, `Split ${j+1}`)) : [];
-        if (replacements.length === 0) return;
+  const toggleManualId = (qcol, id) => {
+    setManualIdSel((prev) => {
+      const cur = prev[qcol] || [];
+      return { ...prev, [qcol]: cur.includes(id) ? cur.filter((x) => x !== id) : [...cur, id] };
+    });
+  };
 
-        arr.splice(idx, 1);
+  const addManualTheme = (qcol) => {
+    const arr = Array.isArray(results?.[qcol]) ? results[qcol] : [];
+    const theme = { ThemeLabel: `New theme ${arr.length + 1}`, Definition: '', RepresentativeKeywords: [], ParticipantID: [] };
+    commitManualOps(qcol, [{ op: 'insert', index: arr.length, theme }], 'Manual: add theme');
+  };
 
-        const insertIndex = Number.isFinite(op.insertIndex) ? clamp(op.insertIndex, 0, arr.length) : idx;
-        const toInsert = replacements.map(r => ({
-          ThemeLabel: r.ThemeLabel,
-          Definition: r.Definition,
-          RepresentativeKeywords: r.RepresentativeKeywords,
-          ParticipantID: r.ParticipantID
-        }));
-        arr.splice(insertIndex, 0, ...toInsert);
-      }
-    });
+  // Drop target for ID chips dragged out of a ThemeManualEditor
+  const dropIdsOnTheme = (qcol, toIdx, e) => {
+    e.preventDefault();
+    let data;
+    try { data = JSON.parse(e.dataTransfer.getData(ID_DRAG_TYPE) || 'null'); } catch { data = null; }
+    if (!data || data.qcol !== qcol || data.from === toIdx) return;
+    const arr = results?.[qcol] || [];
+    const ops = buildMoveOps(arr, data.from, toIdx, data.ids);
+    if (ops.length) commitManualOps(qcol, ops, `Manual: move ${data.ids.length} ID(s) “${arr[data.from]?.ThemeLabel}” → “${arr[toIdx]?.ThemeLabel}”`);
+  };
 
-    // 2) DELETE
-    ops.filter(o => o.op === 'delete').forEach(op => {
-      const indices = Array.isArray(op.indices) ? Array.from(new Set(op.indices)).sort((a,b)=>b-a) : [];
-      indices.forEach(i => {
-        if (i >= 0 && i < arr.length) arr.splice(i, 1);
-      });
-    });
+  /* ===================== Human review queue ===================== */
 
-    // 3) REPLACE
-    ops.filter(o => o.op === 'replace').forEach(op => {
-      const i = Number(op.index);
-      if (!Number.isFinite(i) || i < 0 || i >= arr.length) return;
-      const t = normalizeTheme(op.theme, `Theme ${i+1}`);
-      arr[i] = {
-        ThemeLabel: t.ThemeLabel,
-        Definition: t.Definition,
-        RepresentativeKeywords: t.RepresentativeKeywords,
-        ParticipantID: t.ParticipantID
-      };
-    });
+  const [reviewQ, setReviewQ] = useState({}); // { [qcol]: true } while reviewing
+  const [reviewLog, setReviewLog] = useState([]); // audit trail: one entry per human decision
+  const [reviewer, setReviewer] = useState(() => {
+    try { return localStorage.getItem('AV_REVIEWER') || ''; } catch { return ''; }
+  });
+  useEffect(() => {
+    try { localStorage.setItem('AV_REVIEWER', reviewer); } catch {}
+  }, [reviewer]);
+
+  // Respondents whose latest logged step is a decision (an undone decision puts them back in the queue)
+  const reviewedIdsFor = (qcol) => {
+    const last = new Map();
+    reviewLog.forEach((e) => { if (e.question === qcol) last.set(e.record, e.action); });
+    return new Set(Array.from(last).filter(([, action]) => action !== 'undone').map(([record]) => record));
+  };
 
-    // 4) INSERT
-    ops.filter(o => o.op === 'insert').forEach(op => {
-      const i = Number(op.index);
-      if (!Number.isFinite(i)) return;
-      const idx = clamp(i, 0, arr.length);
-      const t = normalizeTheme(op.theme, `Theme ${idx+1}`);
-      arr.splice(idx, 0, {
-        ThemeLabel: t.ThemeLabel,
-        Definition: t.Definition,
-        RepresentativeKeywords: t.RepresentativeKeywords,
-        ParticipantID: t.ParticipantID
-      });
-    });
+  // Writes the decision into results (as an undoable edit) and appends it to the audit trail
+  const decideReview = (qcol, item, chosen, note) => {
+    const arr = Array.isArray(results?.[qcol]) ? results[qcol] : [];
+    const before = themeLabelsFor(arr, item.id);
+    const ops = buildReviewOps(arr, item.id, chosen);
+    const after = ops.length ? themeLabelsFor(applyStructuredEdits(arr, ops), item.id) : before;
+    if (ops.length) commitThemes(qcol, applyStructuredEdits(arr, ops), `Review: ${item.id}`, item.id);
+    setReviewLog((prev) => [...prev, {
+      at: new Date().toISOString(),
+      reviewer: reviewer.trim(),
+      question: qcol,
+      record: item.id,
+      reasons: item.reasons.map((r) => REVIEW_REASONS[r]).join('; '),
+      action: ops.length ? 'changed' : 'confirmed',
+      before: before.join('; '),
+      after: after.join('; '),
+      note,
+    }]);
+  };
 
-    return arr;
-  }
+  const exportReviewLog = () => {
+    const csv = Papa.unparse(reviewLog.map((entry) => ({ ...entry, question_text: questionMeta[entry.question]?.text || '' })));
+    downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8;' }), `review_audit_trail_${new Date().toISOString().split('T')[0]}.csv`);
+  };
+
+  const togglePendingOp = (qcol, k) => {
+    setPendingEdits((prev) => {
+      const p = prev[qcol];
+      if (!p) return prev;
+      return { ...prev, [qcol]: { ...p, accepted: p.accepted.map((v, j) => (j === k ? !v : v)) } };
+    });
+  };
 
-  const applyEditPatches = (qcol, patchesOrOps) => {
-    setResults((prev) => {
+  const discardPendingEdits = (qcol) => {
+    setPendingEdits((prev) => {
       const next = { ...prev };
-      const arr = Array.isArray(next[qcol]) ? [...next[qcol]] : [];
-      const updated = applyStructuredEdits(arr, patchesOrOps);
-      next[qcol] = updated;
+      delete next[qcol];
       return next;
     });
   };
 
+  const acceptPendingEdits = (qcol, acceptedOps) => {
+    const kinds = Array.from(new Set(acceptedOps.map((o) => o.op || 'update'))).join(', ');
+    applyEditPatches(qcol, acceptedOps, `AI edit: ${kinds}`);
+    discardPendingEdits(qcol);
+    setSuccess(`Applied ${acceptedOps.length} edit operation(s) to ${qcol}.`);
+  };
+
   async function llmEditThemes({ qcol, selectedIdx, model, idCol, headers }) {
     const themesArr = Array.isArray(results?.[qcol]) ? results[qcol] : null;
     if (!themesArr) throw new Error('No themes available to edit for the selected question.');
     if (!selectedIdx?.length) throw new Error('No themes selected to edit.');
 
-    const responsesPayload = buildPayloadForColumn(csvData, idCol, qcol, MAX_INPUT_CHARS, true);
+    const responsesPayload = buildPayloadForColumn(maskedRows(), idCol, qcol, MAX_INPUT_CHARS, true);
 
     const currentThemesJson = JSON.stringify(themesArr, null, 2);
     const allowedIndices = JSON.stringify(selectedIdx);
@@ -1132,7 +4350,7 @@ HARD RULES:
 You will return ONLY JSON (no prose).
 SCHEMA: an array of operation objects, each with an "op" field, following this spec:
 
-- MERGE: {"op":"merge","indices":[...],"ThemeLabel":"…","Definition":"…","RepresentativeKeywords":["…"],"ParticipantID":["…"],"insertIndex":<optional>}
+- MERGE: {"op":"merge","indices":[...],"ThemeLabel":"…","Definition":"…","Net":"…"|null,"RepresentativeKeywords":["…"],"ParticipantID":["…"],"insertIndex":<optional>}
 - SPLIT: {"op":"split","index":i,"replacements":[{theme},{theme},...],"insertIndex":<optional>}
 - REPLACE: {"op":"replace","index":i,"theme":{…}}
 - DELETE: {"op":"delete","indices":[...]}
@@ -1143,6 +4361,7 @@ HARD RULES:
 - MERGE must output exactly one merged theme for all merged indices and remove the originals.
 - SPLIT must remove the original index and insert the replacement themes with full ID assignment.
 - For any theme you create or replace, provide complete "ParticipantID" lists (reassign as needed).
+- Themes may carry an optional parent "Net" (string or null). Keep it unless the instruction regroups themes into nets.
 - Ensure each ID remains assigned to at least one theme for this question.
 - Return strictly valid JSON (array of operation objects only).`;
 
@@ -1150,7 +4369,7 @@ HARD RULES:
       { role: 'system', content: 'You are a precise, compliance-focused data analyst. Output strictly valid JSON with no commentary.' },
       { role: 'user', content:
         `QUESTION COLUMN: ${qcol}
-CURRENT THEMES (JSON):
+${questionContext(qcol, questionMeta) ? `${questionContext(qcol, questionMeta)}\n` : ''}CURRENT THEMES (JSON):
 ${currentThemesJson}
 
 ALLOWED TO EDIT (0-based indices): ${allowedIndices}
@@ -1165,8 +4384,9 @@ ${responsesPayload}`
       }
     ];
 
-    const content = await fetchChatContentWithRetry(messages, model);
-    return content;
+    const { value: ops, errors } = await fetchValidatedJson(messages, model, RESPONSE_SCHEMAS.editOps, { structured: structuredOutput });
+    if (!ops) throw new Error(`The model did not return valid JSON for structured edits (${errors.slice(0, 3).join('; ')}).`);
+    return ops;
   }
 
   const onEditSelectedForQuestion = async (qcol) => {
@@ -1183,7 +4403,7 @@ ${responsesPayload}`
     try {
       let resolvedIdCol = resolveIdColumn(csvData, idColumn || 'respid');
       if (!csvData[0] || !(resolvedIdCol in csvData[0])) {
-        const autoId = detectIdColumn(csvData);
+        const autoId = columnsWithRole(columnRoles, 'id')[0] || detectIdColumn(csvData);
         if (autoId && autoId in csvData[0]) { resolvedIdCol = autoId; setIdColumn(autoId); }
         else throw new Error('ID column could not be resolved for editing.');
       }
@@ -1191,14 +4411,15 @@ ${responsesPayload}`
       const headers = { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' };
       const model = modelName;
 
-      const content = await llmEditThemes({ qcol, selectedIdx, model, idCol: resolvedIdCol, headers });
+      // Validated against RESPONSE_SCHEMAS.editOps (with repair calls) before anything is applied
+      const ops = await llmEditThemes({ qcol, selectedIdx, model, idCol: resolvedIdCol, headers });
 
-      let ops = [];
-      try { ops = parseJsonMaybe(content); } catch { throw new Error('The model did not return valid JSON for structured edits.'); }
-      if (!Array.isArray(ops)) throw new Error('Edits must be a JSON array.');
-
-      applyEditPatches(qcol, ops);
-      setSuccess(`Applied ${ops.length} edit operation(s) to ${qcol}.`);
+      if (ops.length === 0) {
+        setSuccess(`The model proposed no changes for ${qcol}.`);
+      } else {
+        setPendingEdits((prev) => ({ ...prev, [qcol]: { ops, accepted: ops.map(() => true) } }));
+        setSuccess(`Review ${ops.length} proposed edit operation(s) for ${qcol} before applying.`);
+      }
     } catch (err) {
       console.error(err);
       const msg = err?.response?.data?.error?.message || err.message || String(err);
@@ -1263,7 +4484,7 @@ ${responsesPayload}`
 
           {/* Upload */}
           <div className="card">
-            <h2><Upload size={20} /> Upload CSV File</h2>
+            <h2><Upload size={20} /> Upload Data File</h2>
             <div className="form-group">
               <div
                 className={`file-upload ${isDragging ? 'dragover' : ''}`}
@@ -1273,35 +4494,48 @@ ${responsesPayload}`
                 onClick={() => fileInputRef.current?.click()}
               >
                 <FileText size={48} style={{ marginBottom: '1rem', color: '#00457f' }} />
-                <p>Drag and drop your CSV file here, or click to browse</p>
+                <p>Drag and drop your CSV, Excel (.xlsx) or SPSS (.sav) file here, or click to browse</p>
                 <p style={{ fontSize: '0.875rem', color: '#718096', marginTop: '0.5rem' }}>
                   {fileName || 'No file selected'}
+                  {loadProgress != null && ` · reading… ${Math.round(loadProgress * 100)}%`}
                 </p>
               </div>
               <input
                 ref={fileInputRef}
                 type="file"
-                accept=".csv,text/csv"
+                accept={DATA_FILE_ACCEPT}
                 onChange={handleFileInputChange}
                 style={{ display: 'none' }}
               />
             </div>
 
+            {sheetNames.length > 1 && (
+              <div className="form-group">
+                <label htmlFor="sheetSelect">Worksheet</label>
+                <select
+                  id="sheetSelect"
+                  value={sheetName}
+                  onChange={(e) => handleFileUpload(dataFile, e.target.value)}
+                  style={{ width: 260, padding: '6px 8px', borderRadius: 6 }}
+                >
+                  {sheetNames.map((name) => <option key={name} value={name}>{name}</option>)}
+                </select>
+              </div>
+            )}
+
             {csvData && (
               <div className="form-group">
                 <p><strong>Loaded:</strong> {csvData.length} rows</p>
-                {(() => {
-                  const questionCols = detectQuestionColumns(csvData);
-                  return questionCols.length > 0 ? (
-                    <p style={{ color: '#2f855a', fontSize: '0.875rem', marginTop: '0.5rem' }}>
-                      ✅ Detected question columns: {questionCols.join(', ')}
-                    </p>
-                  ) : (
-                    <p style={{ color: '#e53e3e', fontSize: '0.875rem', marginTop: '0.5rem' }}>
-                      ⚠️ No question columns found (Q1, Q2, Q24, etc.). Please check your CSV format.
-                    </p>
-                  );
-                })()}
+                {openEndColumns.length > 0 ? (
+                  <p style={{ color: '#2f855a', fontSize: '0.875rem', marginTop: '0.5rem' }}>
+                    ✅ Open-end columns: {openEndColumns.join(', ')}
+                  </p>
+                ) : (
+                  <p style={{ color: '#e53e3e', fontSize: '0.875rem', marginTop: '0.5rem' }}>
+                    ⚠️ No open-end columns detected. Mark the columns to code as "Open-end" under Column roles.
+                  </p>
+                )}
+                <ColumnRoleMapper rows={csvData} roles={columnRoles} onChange={applyColumnRoles} defaultOpen={openEndColumns.length === 0} />
 
                 {csvData.length > 1000 && (
                   <p style={{ color: '#e53e3e', fontSize: '0.875rem', marginTop: '0.5rem' }}>
@@ -1364,6 +4598,22 @@ ${responsesPayload}`
               </select>
             </div>
 
+            <div className="form-group">
+              <label htmlFor="bot-concurrency">Parallel Requests</label>
+              <input
+                type="number"
+                id="bot-concurrency"
+                min={1}
+                max={8}
+                value={concurrency}
+                onChange={(e) => setConcurrency(Math.max(1, Math.min(8, Number(e.target.value) || 1)))}
+                style={{ width: '80px' }}
+              />
+              <span style={{ fontSize: '0.8rem', color: '#718096', marginLeft: 8 }}>
+                Slows down automatically on rate limits (429).
+              </span>
+            </div>
+
             <div className="form-group">
               <label htmlFor="bot-idColumn">ID Column Name</label>
               <input
@@ -1389,6 +4639,358 @@ ${responsesPayload}`
               </div>
             </div>
 
+            {/* Coding mode: discover new themes vs. code against a prior wave's codebook */}
+            <div className="form-group">
+              <label htmlFor="bot-codingMode">Coding Mode</label>
+              <select
+                id="bot-codingMode"
+                value={codingMode}
+                onChange={(e) => setCodingMode(e.target.value)}
+                style={{ width: 260, padding: '6px 8px', borderRadius: 6 }}
+              >
+                <option value="discover">Discover new themes</option>
+                <option value="codebook">Code against codebook</option>
+              </select>
+
+              {codingMode === 'codebook' && (
+                <div style={{ marginTop: 8, display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+                  <button
+                    type="button"
+                    className="btn btn-secondary"
+                    onClick={() => codebookInputRef.current?.click()}
+                    title="Load a themes_by_question CSV exported from a prior wave"
+                  >
+                    <Upload size={16} /> {codebook ? 'Replace Codebook' : 'Load Codebook'}
+                  </button>
+                  {codebook && (
+                    <button type="button" className="btn btn-secondary" onClick={clearCodebook}>
+                      Clear Codebook
+                    </button>
+                  )}
+                  <input
+                    ref={codebookInputRef}
+                    type="file"
+                    accept=".csv,text/csv"
+                    onChange={(e) => handleCodebookUpload(e.target.files[0])}
+                    style={{ display: 'none' }}
+                  />
+                  <span style={{ fontSize: '0.8rem', color: '#718096' }}>
+                    {codebook
+                      ? `${codebookFileName}: ${Object.entries(codebook).map(([q, list]) => `${q} (${list.length})`).join(', ')}`
+                      : 'No codebook loaded'}
+                  </span>
+                </div>
+              )}
+              {codingMode === 'codebook' && (
+                <div style={{ fontSize: '0.8rem', color: '#718096', marginTop: 6 }}>
+                  Codes are locked; responses that fit none of them go to “{UNMATCHED_LABEL}”.
+                </div>
+              )}
+            </div>
+
+            {/* Question wording: flows into the prompts, the results headers and every export */}
+            {csvData && openEndColumns.length > 0 && (
+              <div className="form-group">
+                <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+                  <button
+                    type="button"
+                    onClick={() => setShowQuestionMeta((v) => !v)}
+                    style={{ background: 'transparent', border: 0, padding: 0, cursor: 'pointer', fontWeight: 500, color: '#1a365d' }}
+                  >
+                    {showQuestionMeta ? '▾' : '▸'} Question wording ({Object.keys(matchQuestionMeta(questionMeta, openEndColumns)).length} of {openEndColumns.length})
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-secondary"
+                    onClick={() => datamapInputRef.current?.click()}
+                    title="CSV with one row per variable: Variable (or Question), Label (or Question Text), optional Base"
+                    style={{ padding: '0.2rem 0.6rem', fontSize: '0.8rem' }}
+                  >
+                    <Upload size={14} /> Import datamap
+                  </button>
+                  <input
+                    ref={datamapInputRef}
+                    type="file"
+                    accept=".csv,text/csv"
+                    onChange={(e) => handleDatamapUpload(e.target.files[0])}
+                    style={{ display: 'none' }}
+                  />
+                </div>
+                {showQuestionMeta && (
+                  <div style={{ marginTop: 8, display: 'grid', gridTemplateColumns: '70px 1fr 200px', gap: 6, alignItems: 'center', fontSize: '0.85rem' }}>
+                    <span />
+                    <span style={{ color: '#718096' }}>Question text</span>
+                    <span style={{ color: '#718096' }}>Base / universe (optional)</span>
+                    {openEndColumns.map((qcol) => (
+                      <React.Fragment key={qcol}>
+                        <strong>{qcol}</strong>
+                        <input
+                          type="text"
+                          value={questionMeta[qcol]?.text || ''}
+                          onChange={(e) => updateQuestionMeta(qcol, 'text', e.target.value)}
+                          placeholder="e.g., Why do you say that?"
+                        />
+                        <input
+                          type="text"
+                          value={questionMeta[qcol]?.base || ''}
+                          onChange={(e) => updateQuestionMeta(qcol, 'base', e.target.value)}
+                          placeholder="e.g., Asked of those who disapprove"
+                        />
+                      </React.Fragment>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            <div className="form-group">
+              <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontWeight: 500 }}>
+                <input
+                  type="checkbox"
+                  checked={structuredOutput}
+                  onChange={(e) => setStructuredOutput(e.target.checked)}
+                />
+                Structured JSON output (schema-enforced; invalid replies get an automatic repair call)
+              </label>
+            </div>
+
+            {codingMode !== 'codebook' && (
+              <div className="form-group">
+                <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontWeight: 500 }}>
+                  <input
+                    type="checkbox"
+                    checked={consolidateThemes}
+                    onChange={(e) => setConsolidateThemes(e.target.checked)}
+                  />
+                  Consolidate chunk themes into one codebook (one extra call per multi-chunk question)
+                </label>
+              </div>
+            )}
+
+            <div className="form-group">
+              <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontWeight: 500 }}>
+                <input
+                  type="checkbox"
+                  checked={pickQuotes}
+                  onChange={(e) => setPickQuotes(e.target.checked)}
+                />
+                Pick 2–3 representative quotes per theme (one extra call per question)
+              </label>
+            </div>
+
+            <div className="form-group">
+              <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontWeight: 500 }}>
+                <input
+                  type="checkbox"
+                  checked={codeSentiment}
+                  onChange={(e) => setCodeSentiment(e.target.checked)}
+                />
+                Code sentiment and intensity per response (positive / neutral / negative / mixed, 1–{MAX_INTENSITY})
+              </label>
+            </div>
+
+            <div className="form-group">
+              <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontWeight: 500 }}>
+                <input
+                  type="checkbox"
+                  checked={captureEvidence}
+                  onChange={(e) => setCaptureEvidence(e.target.checked)}
+                />
+                Capture an evidence phrase for every assignment (checked against the response text)
+              </label>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="bot-consistency-runs">Self-consistency runs</label>
+              <input
+                type="number"
+                id="bot-consistency-runs"
+                min={1}
+                max={MAX_CONSISTENCY_RUNS}
+                value={consistencyRuns}
+                onChange={(e) => setConsistencyRuns(Math.max(1, Math.min(MAX_CONSISTENCY_RUNS, Number(e.target.value) || 1)))}
+                style={{ width: '80px' }}
+              />
+              <span style={{ fontSize: '0.8rem', color: '#718096', marginLeft: 8 }}>
+                1 = off. Each extra run re-extracts every question independently to measure which themes and assignments are stable.
+              </span>
+              {consistencyRuns > 1 && (
+                <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', marginTop: 6 }}>
+                  <select
+                    multiple
+                    aria-label="Models for extra runs"
+                    value={consistencyModels}
+                    onChange={(e) => setConsistencyModels(Array.from(e.target.selectedOptions, (o) => o.value))}
+                    size={PROXY_MODELS.length}
+                    title={`Models for extra runs (Ctrl/Cmd-click for several; none = ${modelName})`}
+                    style={{ flex: 2, minWidth: 220, borderRadius: 6 }}
+                  >
+                    {PROXY_MODELS.map((m) => <option key={m.value} value={m.value}>{m.label}</option>)}
+                  </select>
+                  <input
+                    type="text"
+                    value={consistencyTemps}
+                    onChange={(e) => setConsistencyTemps(e.target.value)}
+                    disabled={!consistencyModelList(consistencyModels, modelName).some(supportsTemperature)}
+                    placeholder="Temperatures (e.g. 0.2, 1.0; default: model's)"
+                    style={{ flex: 1, minWidth: 160, alignSelf: 'flex-start' }}
+                  />
+                  <span style={{ fontSize: '0.8rem', color: '#718096', flexBasis: '100%' }}>
+                    Models for the extra runs: Ctrl/Cmd-click for several, cycled across runs; none picked = {modelName}.
+                  </span>
+                </div>
+              )}
+              {consistencyRuns > 1 && !consistencyModelList(consistencyModels, modelName).every(supportsTemperature) && (
+                <div style={{ fontSize: '0.8rem', color: '#718096', marginTop: 4 }}>
+                  GPT-5 and o-series models only run at their default temperature; temperatures apply to the other models listed.
+                </div>
+              )}
+            </div>
+
+            <div className="form-group">
+              <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontWeight: 500 }}>
+                <input
+                  type="checkbox"
+                  checked={redaction.enabled}
+                  onChange={(e) => setRedaction((prev) => ({ ...prev, enabled: e.target.checked }))}
+                />
+                Redact personal data before responses are sent (the loaded file and exports keep the original text)
+              </label>
+              {redaction.enabled && (
+                <div style={{ marginTop: 6, marginLeft: 24 }}>
+                  <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap', fontSize: '0.85rem' }}>
+                    {REDACTION_RULES.map((r) => (
+                      <label key={r.id} style={{ display: 'flex', alignItems: 'center', gap: 4 }} title={`Replaced with ${r.mask}`}>
+                        <input
+                          type="checkbox"
+                          checked={!!redaction.rules[r.id]}
+                          onChange={(e) => setRedaction((prev) => ({ ...prev, rules: { ...prev.rules, [r.id]: e.target.checked } }))}
+                        />
+                        {r.label}
+                      </label>
+                    ))}
+                  </div>
+                  <textarea
+                    value={redaction.terms}
+                    onChange={(e) => setRedaction((prev) => ({ ...prev, terms: e.target.value }))}
+                    rows={2}
+                    placeholder={`Custom terms to mask as ${CUSTOM_TERM_MASK}: names, employers, places (one per line or comma-separated)`}
+                    style={{ width: '100%', marginTop: 6, fontSize: '0.85rem' }}
+                  />
+                  {redactionView && (
+                    <div style={{ fontSize: '0.8rem', color: '#4A5568', marginTop: 4 }}>
+                      {Object.entries(redactionView.stats).filter(([, st]) => st.masks > 0).length === 0
+                        ? 'Nothing to mask in the question columns.'
+                        : Object.entries(redactionView.stats).filter(([, st]) => st.masks > 0).map(([col, st]) => (
+                          <div key={col}>
+                            <strong>{col}</strong>: {st.masks} mask{st.masks === 1 ? '' : 's'} in {st.records} response{st.records === 1 ? '' : 's'}
+                            {' '}({Object.entries(st.byRule).map(([id, n]) => `${REDACTION_RULES.find((r) => r.id === id)?.label || 'Custom terms'} ${n}`).join(', ')})
+                          </div>
+                        ))}
+                      {Object.values(redactionView.samples).some((list) => list.length > 0) && (
+                        <button
+                          type="button"
+                          onClick={() => setShowRedactionPreview((v) => !v)}
+                          style={{ background: 'transparent', border: 0, padding: 0, marginTop: 4, cursor: 'pointer', color: '#00457f', textDecoration: 'underline' }}
+                        >
+                          {showRedactionPreview ? 'Hide preview' : 'Preview masked responses'}
+                        </button>
+                      )}
+                      {showRedactionPreview && Object.entries(redactionView.samples).map(([col, list]) => list.map((x) => (
+                        <div key={`${col}|${x.index}`} style={{ marginTop: 6, padding: '4px 8px', borderLeft: '3px solid #e2e8f0' }}>
+                          <div style={{ color: '#718096' }}>{col} · {String(csvData[x.index]?.[resolveIdColumn(csvData, idColumn) || 'respid'] ?? x.id)}</div>
+                          <div style={{ textDecoration: 'line-through', color: '#a0aec0' }}>{x.before}</div>
+                          <div>{x.after}</div>
+                        </div>
+                      )))}
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+
+            <div className="form-group">
+              <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontWeight: 500 }}>
+                <input
+                  type="checkbox"
+                  checked={dedupeResponses}
+                  onChange={(e) => setDedupeResponses(e.target.checked)}
+                />
+                Send identical responses once and copy their codes to the duplicates (exact match after ignoring case, punctuation and stretched letters; similar wording is not grouped)
+              </label>
+              <label htmlFor="bot-autocode" style={{ marginTop: 8 }}>Auto-code rules (bypass the model)</label>
+              <textarea
+                id="bot-autocode"
+                value={autoCodeRulesText}
+                onChange={(e) => setAutoCodeRulesText(e.target.value)}
+                rows={4}
+                spellCheck={false}
+                style={{ fontFamily: 'monospace', fontSize: '0.8rem', width: '100%' }}
+              />
+              <div style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: '0.8rem', color: '#718096' }}>
+                One "regex =&gt; label" per line, matched against the response in lower case without punctuation.
+                <button
+                  type="button"
+                  onClick={() => setAutoCodeRulesText(DEFAULT_AUTO_CODE_RULES)}
+                  style={{ background: 'transparent', border: 0, padding: 0, cursor: 'pointer', color: '#00457f', textDecoration: 'underline' }}
+                >
+                  Reset rules
+                </button>
+              </div>
+              {autoCodeRules.errors.length > 0 && (
+                <div style={{ fontSize: '0.8rem', color: '#c53030', marginTop: 4 }}>
+                  Ignored: {autoCodeRules.errors.join('; ')}
+                </div>
+              )}
+              {preprocessStats.some((st) => st.grouped > 0 || st.autoCoded > 0) && (
+                <div style={{ fontSize: '0.8rem', color: '#4A5568', marginTop: 4 }}>
+                  {preprocessStats.filter((st) => st.grouped > 0 || st.autoCoded > 0).map((st) => (
+                    <div key={st.col}>
+                      <strong>{st.col}</strong>: {st.sent} of {st.responses} responses sent
+                      {st.grouped > 0 && ` · ${st.grouped} duplicate${st.grouped === 1 ? '' : 's'} grouped`}
+                      {st.autoCoded > 0 && ` · ${st.autoCoded} auto-coded`}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="form-group">
+              <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontWeight: 500 }}>
+                <input
+                  type="checkbox"
+                  checked={translateResponses}
+                  onChange={(e) => setTranslateResponses(e.target.checked)}
+                />
+                Translate non-English responses to English before coding (the original text is kept)
+              </label>
+              <label htmlFor="bot-output-language" style={{ marginTop: 8 }}>Theme output language</label>
+              <input
+                id="bot-output-language"
+                type="text"
+                value={outputLanguage}
+                onChange={(e) => setOutputLanguage(e.target.value)}
+                placeholder="English"
+                style={{ width: 220 }}
+              />
+              <div style={{ fontSize: '0.8rem', color: '#718096', marginTop: 4 }}>
+                Language of theme labels, definitions and keywords (new themes only; codebook labels are kept).
+              </div>
+              {languageStats.some((st) => Object.keys(st.counts).some(needsTranslation)) && (
+                <div style={{ fontSize: '0.8rem', color: '#4A5568', marginTop: 4 }}>
+                  {languageStats.filter((st) => Object.keys(st.counts).some(needsTranslation)).map((st) => (
+                    <div key={st.col}>
+                      <strong>{st.col}</strong>:{' '}
+                      {Object.entries(st.counts)
+                        .sort((a, b) => b[1] - a[1])
+                        .map(([lang, n]) => `${LANGUAGE_NAMES[lang] || lang} ${n}`)
+                        .join(' · ')}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
             {/* Analysis Prompt (editable, with reset) */}
             <div className="form-group">
               <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
@@ -1420,15 +5022,49 @@ ${responsesPayload}`
 
             <div className="actions" style={{ marginTop: 12 }}>
               <button className="btn" onClick={analyzeData} disabled={isLoading}>
-                {isLoading ? (<><div className="spinner"></div>Analyzing…</>) : (<>Analyze</>)}
+                {isLoading
+                  ? (<><div className="spinner"></div>Analyzing…</>)
+                  : (<>{savedChunkCount > 0 ? `Resume (${savedChunkCount} saved)` : 'Analyze'}</>)}
               </button>
+              {isLoading && (
+                <>
+                  <button className="btn btn-secondary" onClick={() => stopAnalysis('pause')} title="Stop now and keep completed chunks for Resume">
+                    Pause
+                  </button>
+                  <button className="btn btn-secondary" onClick={() => stopAnalysis('cancel')} title="Stop now and discard saved chunks">
+                    Cancel
+                  </button>
+                </>
+              )}
+              {!isLoading && savedChunkCount > 0 && (
+                <button className="btn btn-secondary" onClick={discardCheckpoints} title="Forget saved chunks and start fresh next time">
+                  Discard saved progress
+                </button>
+              )}
               <button className="btn btn-secondary" onClick={exportBothCSVs} disabled={!results || isLoading}>
                 <Download size={16} /> Export CSVs
               </button>
+              <button className="btn btn-secondary" onClick={exportWorkbook} disabled={!results || isLoading}>
+                <Download size={16} /> Export Excel
+              </button>
+              <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: '0.85rem' }} title="Also download an SPSS-ready CSV (Q24_01-style names) and a .sps syntax file with labels and MRSETS">
+                <input type="checkbox" checked={exportSpss} onChange={(e) => setExportSpss(e.target.checked)} />
+                + SPSS bundle
+              </label>
             </div>
-            {estimatedCalls != null && (
+            {isLoading && progress ? (
+              <div style={{ fontSize: '0.8rem', color: '#718096', marginTop: 8 }}>
+                API calls: {progress.done} done · {progress.failed} failed · {progress.remaining} remaining (of {progress.total})
+                {progress.restored > 0 && ` · ${progress.restored} restored from checkpoint`}
+                {progress.width < concurrency && ` · throttled to ${progress.width} parallel`}
+                <div style={{ marginTop: 4, height: 6, borderRadius: 3, background: '#edf2f7', overflow: 'hidden' }}>
+                  <div style={{ width: `${progress.total ? ((progress.done + progress.failed) / progress.total) * 100 : 0}%`, height: '100%', background: '#00457f' }} />
+                </div>
+              </div>
+            ) : estimatedCalls != null && (
               <div style={{ fontSize: '0.8rem', color: '#718096', marginTop: 8 }}>
                 Estimated API calls: {estimatedCalls}
+                {progress && ` · last run: ${progress.done} done, ${progress.failed} failed`}
               </div>
             )}
           </div>
@@ -1451,6 +5087,16 @@ ${responsesPayload}`
             <div className="card">
               <h2>Themes</h2>
 
+              {reviewLog.length > 0 && (
+                <div style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: '0.85rem', color: '#4a5568', marginBottom: 8 }}>
+                  {reviewLog.length} review decision{reviewLog.length === 1 ? '' : 's'} recorded
+                  ({reviewLog.filter((e) => e.action === 'changed').length} changed codes)
+                  <button type="button" className="btn btn-secondary" style={{ padding: '2px 8px' }} onClick={exportReviewLog}>
+                    <Download size={14} /> Audit trail
+                  </button>
+                </div>
+              )}
+
               {/* Collapsible Edit Prompt inside the Themes card */}
               <div className="form-group" style={{ marginTop: 8, marginBottom: 12 }}>
                 <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8 }}>
@@ -1501,6 +5147,37 @@ ${responsesPayload}`
                 )}
               </div>
 
+              {/* Crosstab settings (shared by every question's crosstab) */}
+              <div className="form-group" style={{ marginBottom: 12 }}>
+                <label>Crosstabs: demographic breakouts</label>
+                {xtabDemoOptions.length === 0 ? (
+                  <div style={{ fontSize: '0.85rem', color: '#718096' }}>
+                    No columns with {MAX_XTAB_LEVELS} or fewer distinct values found in the uploaded CSV.
+                  </div>
+                ) : (
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, marginTop: 4 }}>
+                    {xtabDemoOptions.map((col) => (
+                      <label key={col} style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: '0.85rem', padding: '2px 8px', border: '1px solid #e2e8f0', borderRadius: 6, background: xtabDemos.includes(col) ? 'rgba(0, 69, 127, 0.08)' : 'white' }}>
+                        <input
+                          type="checkbox"
+                          checked={xtabDemos.includes(col)}
+                          onChange={() => setXtabDemos((prev) => (prev.includes(col) ? prev.filter((c) => c !== col) : [...prev, col]))}
+                          style={{ margin: 0 }}
+                        />
+                        {col}
+                      </label>
+                    ))}
+                  </div>
+                )}
+                <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 8, fontSize: '0.85rem' }}>
+                  <label htmlFor="xtab-weight" style={{ margin: 0 }}>Weight column</label>
+                  <select id="xtab-weight" value={xtabWeight} onChange={(e) => setXtabWeight(e.target.value)} style={{ padding: '4px 6px', borderRadius: 6 }}>
+                    <option value="">(none)</option>
+                    {xtabWeightOptions.map((c) => <option key={c} value={c}>{c}</option>)}
+                  </select>
+                </div>
+              </div>
+
               <div className="results">
                 {Object.entries(results).map(([qcol, themes]) => {
                   // ---- Percent coverage denominator for this question ----
@@ -1519,12 +5196,183 @@ ${responsesPayload}`
                   }
                   const denom = universe.size > 0 ? universe.size : unionAssigned.size;
                   const safeDenom = denom > 0 ? denom : 1; // avoid divide-by-zero
+                  const verbatims = verbatimsByQuestion[qcol];
+                  const reviewQueue = buildReviewQueue(themes, {
+                    evidenceById: evidence[qcol],
+                    ruleCodedById: ruleCoded[qcol],
+                    consistencyInfo: consistency[qcol],
+                    reviewedIds: reviewedIdsFor(qcol),
+                  });
+                  const renderThemeCard = (t, i) => {
+                    const idsArr = Array.isArray(t.ParticipantID)
+                      ? t.ParticipantID
+                      : (t.ParticipantID != null ? [t.ParticipantID] : []);
+                    const themeCount = new Set(idsArr.map((v) => String(v))).size;
+                    const pct = Math.round((themeCount / safeDenom) * 1000) / 10; // one decimal
+                    const themeQuotes = quotesForTheme(quotes[qcol], t);
+                    const stability = consistency[qcol]?.themes.find((x) => x.label === String(t.ThemeLabel || `Theme ${i + 1}`));
+
+                    return (
+                      <div
+                        key={i}
+                        style={{ marginBottom: 12, padding: '8px 10px', borderRadius: 8, background: '#f9fafb' }}
+                        onDragOver={manualEditQ[qcol] ? (e) => e.preventDefault() : undefined}
+                        onDrop={manualEditQ[qcol] ? (e) => dropIdsOnTheme(qcol, i, e) : undefined}
+                      >
+                        <div style={{ display: 'flex', alignItems: 'flex-start', gap: 8 }}>
+                          <input
+                            type="checkbox"
+                            checked={(selectedEdits[qcol] || []).includes(i)}
+                            onChange={() => toggleThemeSelection(qcol, i)}
+                            aria-label={`Select theme ${i+1} for editing`}
+                            style={{ marginTop: 4 }}
+                          />
+                          <div style={{ flex: 1 }}>
+                            <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+                              <strong>{t.ThemeLabel || `Theme ${i + 1}`}</strong>
+                              {/* Coverage badge */}
+                              <span
+                                title={`Coverage of respondent universe for ${qcol}`}
+                                style={{
+                                  fontSize: '0.75rem',
+                                  padding: '2px 6px',
+                                  borderRadius: 999,
+                                  background: '#edf2f7',
+                                  border: '1px solid rgba(0,0,0,0.08)'
+                                }}
+                              >
+                                {pct}% ({themeCount}/{denom})
+                              </span>
+                              {stability && (
+                                <span
+                                  title={`Mean respondent overlap with the matching theme across ${consistency[qcol].runCount} runs`}
+                                  style={{ fontSize: '0.75rem', padding: '2px 6px', borderRadius: 999, border: `1px solid ${STABILITY_COLORS[stability.status]}`, color: STABILITY_COLORS[stability.status] }}
+                                >
+                                  {stability.status} ({Math.round(stability.meanJaccard * 100)}%)
+                                </span>
+                              )}
+                            </div>
+
+                            {t.Definition && <p style={{ marginTop: 4 }}>{t.Definition}</p>}
+                            {sentiment[qcol] && <SentimentBar summary={summarizeSentiment(themeIds(t), sentiment[qcol])} />}
+                            {Array.isArray(t.RepresentativeKeywords) && t.RepresentativeKeywords.length > 0 && (
+                              <div className="keywords" style={{ marginTop: 4 }}>
+                                {t.RepresentativeKeywords.map((k, j) => (
+                                  <span className="keyword" key={j}>{k}</span>
+                                ))}
+                              </div>
+                            )}
+                            {themeQuotes.length > 0 && (
+                              <div style={{ marginTop: 6, display: 'grid', gap: 4 }}>
+                                {themeQuotes.map((q) => (
+                                  <blockquote key={q.id} style={{ margin: 0, padding: '2px 8px', borderLeft: '3px solid #cbd5e0', color: '#4A5568', fontSize: '0.85rem' }}>
+                                    “{q.text}” <span style={{ fontFamily: 'monospace', color: '#718096' }}>— {q.id}</span>
+                                  </blockquote>
+                                ))}
+                              </div>
+                            )}
+                            {manualEditQ[qcol] ? (
+                              <ThemeManualEditor
+                                evidenceOf={(id) => evidenceFor(evidence[qcol], t, id)}
+                                key={`${t.ThemeLabel}|${themeNet(t)}|${t.Definition}|${(t.RepresentativeKeywords || []).join(',')}`}
+                                qcol={qcol}
+                                theme={t}
+                                index={i}
+                                themes={themes}
+                                verbatims={verbatims}
+                                selectedIds={manualIdSel[qcol] || []}
+                                onToggleId={(id) => toggleManualId(qcol, id)}
+                                onCommit={(ops, label) => commitManualOps(qcol, ops, label)}
+                              />
+                            ) : idsArr.length > 0 && (
+                              <>
+                                <div className="participants" style={{ marginTop: 4 }}>
+                                  IDs: {idsArr.join(', ')}
+                                </div>
+                                <ThemeVerbatims
+                                  ids={themeIds(t)}
+                                  verbatims={verbatims}
+                                  evidenceOf={(id) => evidenceFor(evidence[qcol], t, id)}
+                                  languages={responseLanguages[qcol]}
+                                  translations={translations[qcol]}
+                                />
+                              </>
+                            )}
+                          </div>
+                        </div>
+                      </div>
+                    );
+                  };
+
 
                   return (
                     <div key={qcol} className="theme-item" style={{ borderBottom: '1px solid rgba(0,0,0,0.06)', paddingBottom: 12, marginBottom: 16 }}>
                       <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
-                        <h3 style={{ marginRight: 12 }}>{qcol}</h3>
-                        <div style={{ display: 'flex', gap: 8 }}>
+                        <div style={{ marginRight: 12 }}>
+                          <h3 style={{ margin: 0 }}>{qcol}</h3>
+                          {questionMeta[qcol]?.text && (
+                            <div style={{ fontSize: '0.85rem', color: '#4A5568' }}>
+                              {questionMeta[qcol].text}
+                              {questionMeta[qcol].base && <span style={{ color: '#718096' }}> · Base: {questionMeta[qcol].base}</span>}
+                            </div>
+                          )}
+                        </div>
+                        <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', justifyContent: 'flex-end' }}>
+                          <button
+                            className="btn btn-secondary"
+                            onClick={() => setManualEditQ((prev) => ({ ...prev, [qcol]: !prev[qcol] }))}
+                            disabled={!Array.isArray(themes)}
+                            aria-pressed={!!manualEditQ[qcol]}
+                          >
+                            {manualEditQ[qcol] ? 'Done editing' : 'Edit by hand'}
+                          </button>
+                          {manualEditQ[qcol] && (
+                            <button className="btn btn-secondary" onClick={() => addManualTheme(qcol)}>
+                              Add theme
+                            </button>
+                          )}
+                          <button
+                            className="btn btn-secondary"
+                            onClick={() => stepHistory(qcol, 'undo')}
+                            disabled={!editHistory[qcol]?.past.length}
+                            title={editHistory[qcol]?.past.length ? `Undo “${editHistory[qcol].past.at(-1).label}”` : 'Nothing to undo'}
+                          >
+                            Undo
+                          </button>
+                          <button
+                            className="btn btn-secondary"
+                            onClick={() => stepHistory(qcol, 'redo')}
+                            disabled={!editHistory[qcol]?.future.length}
+                            title={editHistory[qcol]?.future.length ? `Redo “${editHistory[qcol].future.at(-1).label}”` : 'Nothing to redo'}
+                          >
+                            Redo
+                          </button>
+                          <button
+                            className="btn btn-secondary"
+                            onClick={() => setReviewQ((prev) => ({ ...prev, [qcol]: !prev[qcol] }))}
+                            disabled={!Array.isArray(themes) || (!reviewQ[qcol] && reviewQueue.length === 0)}
+                            aria-pressed={!!reviewQ[qcol]}
+                            title="Walk through uncategorized, low-confidence and multi-theme respondents one at a time"
+                          >
+                            {reviewQ[qcol] ? 'Close review' : `Review (${reviewQueue.length})`}
+                          </button>
+                          <button
+                            className="btn btn-secondary"
+                            onClick={() => setShowXtab((prev) => ({ ...prev, [qcol]: !prev[qcol] }))}
+                            disabled={!Array.isArray(themes) || xtabDemos.length === 0}
+                            aria-pressed={!!showXtab[qcol]}
+                            title={xtabDemos.length ? 'Theme × demographic table and chart' : 'Pick demographic breakouts above first'}
+                          >
+                            {showXtab[qcol] ? 'Hide crosstab' : 'Crosstab'}
+                          </button>
+                          <button
+                            className="btn btn-secondary"
+                            onClick={() => refreshQuotes(qcol)}
+                            disabled={isLoading || quotesLoading[qcol] || !Array.isArray(themes)}
+                            title="Ask the model to pick representative quotes for the current themes"
+                          >
+                            {quotesLoading[qcol] ? 'Picking…' : (quotes[qcol] ? 'Re-pick quotes' : 'Pick quotes')}
+                          </button>
                           <button className="btn btn-secondary" onClick={() => selectAllThemesForQuestion(qcol)} disabled={!Array.isArray(themes)}>
                             Select all
                           </button>
@@ -1542,57 +5390,87 @@ ${responsesPayload}`
                         </div>
                       </div>
 
-                      {Array.isArray(themes) ? (
-                        themes.map((t, i) => {
-                          const idsArr = Array.isArray(t.ParticipantID)
-                            ? t.ParticipantID
-                            : (t.ParticipantID != null ? [t.ParticipantID] : []);
-                          const themeCount = new Set(idsArr.map((v) => String(v))).size;
-                          const pct = Math.round((themeCount / safeDenom) * 1000) / 10; // one decimal
+                      {reviewQ[qcol] && Array.isArray(themes) && (
+                        <ReviewQueuePanel
+                          qcol={qcol}
+                          themes={themes}
+                          queue={reviewQueue}
+                          verbatims={verbatims}
+                          evidenceById={evidence[qcol]}
+                          reviewer={reviewer}
+                          onReviewerChange={setReviewer}
+                          onDecide={(item, chosen, note) => decideReview(qcol, item, chosen, note)}
+                          onClose={() => setReviewQ((prev) => ({ ...prev, [qcol]: false }))}
+                        />
+                      )}
+
+                      {pendingEdits[qcol] && Array.isArray(themes) && (
+                        <EditPreview
+                          themes={themes}
+                          pending={pendingEdits[qcol]}
+                          onToggle={(k) => togglePendingOp(qcol, k)}
+                          onApply={(ops) => acceptPendingEdits(qcol, ops)}
+                          onDiscard={() => discardPendingEdits(qcol)}
+                        />
+                      )}
 
+                      {evidenceStats[qcol] && (
+                        <div style={{ fontSize: '0.8rem', color: '#4A5568', margin: '4px 0' }}>
+                          Evidence: {evidenceStats[qcol].verified} of {evidenceStats[qcol].claimed} quoted phrases found verbatim in the responses
+                          {evidenceStats[qcol].claimed > evidenceStats[qcol].verified && ' (unverified phrases were dropped)'}
+                        </div>
+                      )}
+
+                      {consistency[qcol] && (
+                        <ConsistencyPanel info={consistency[qcol]} verbatims={verbatimsByQuestion[qcol]} />
+                      )}
+
+                      {audits[qcol] && (
+                        <IdAuditPanel audit={audits[qcol]} liveCovered={Array.from(universe).filter((id) => unionAssigned.has(id)).length} />
+                      )}
+
+                      {consolidations[qcol] && (
+                        <ConsolidationMap qcol={qcol} info={consolidations[qcol]} />
+                      )}
+
+                      {showXtab[qcol] && Array.isArray(themes) && xtabDemos.length > 0 && (
+                        <ThemeCrosstab
+                          themes={themes}
+                          rows={csvData}
+                          idCol={resolvedIdCol}
+                          baseIds={universe.size > 0 ? universe : unionAssigned}
+                          demoCols={xtabDemos}
+                          weightCol={xtabWeight}
+                        />
+                      )}
+
+                      {Array.isArray(themes) ? (
+                        groupThemesByNet(themes).map((group) => {
+                          if (!group.net) return renderThemeCard(group.items[0].theme, group.items[0].index);
+                          const netKey = normLabel(group.net);
+                          const collapsed = !!collapsedNets[qcol]?.[netKey];
+                          const netCount = netIds(group).length;
+                          const netPct = Math.round((netCount / safeDenom) * 1000) / 10;
                           return (
-                            <div key={i} style={{ marginBottom: 12, padding: '8px 10px', borderRadius: 8, background: '#f9fafb' }}>
-                              <div style={{ display: 'flex', alignItems: 'flex-start', gap: 8 }}>
-                                <input
-                                  type="checkbox"
-                                  checked={(selectedEdits[qcol] || []).includes(i)}
-                                  onChange={() => toggleThemeSelection(qcol, i)}
-                                  aria-label={`Select theme ${i+1} for editing`}
-                                  style={{ marginTop: 4 }}
-                                />
-                                <div style={{ flex: 1 }}>
-                                  <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
-                                    <strong>{t.ThemeLabel || `Theme ${i + 1}`}</strong>
-                                    {/* Coverage badge */}
-                                    <span
-                                      title={`Coverage of respondent universe for ${qcol}`}
-                                      style={{
-                                        fontSize: '0.75rem',
-                                        padding: '2px 6px',
-                                        borderRadius: 999,
-                                        background: '#edf2f7',
-                                        border: '1px solid rgba(0,0,0,0.08)'
-                                      }}
-                                    >
-                                      {pct}% ({themeCount}/{denom})
-                                    </span>
-                                  </div>
-
-                                  {t.Definition && <p style={{ marginTop: 4 }}>{t.Definition}</p>}
-                                  {Array.isArray(t.RepresentativeKeywords) && t.RepresentativeKeywords.length > 0 && (
-                                    <div className="keywords" style={{ marginTop: 4 }}>
-                                      {t.RepresentativeKeywords.map((k, j) => (
-                                        <span className="keyword" key={j}>{k}</span>
-                                      ))}
-                                    </div>
-                                  )}
-                                  {idsArr.length > 0 && (
-                                    <div className="participants" style={{ marginTop: 4 }}>
-                                      IDs: {idsArr.join(', ')}
-                                    </div>
-                                  )}
+                            <div key={`net:${netKey}`} style={{ marginBottom: 12 }}>
+                              <button
+                                type="button"
+                                onClick={() => toggleNetCollapsed(qcol, netKey)}
+                                aria-expanded={!collapsed}
+                                style={{ display: 'flex', alignItems: 'center', gap: 8, width: '100%', padding: '6px 10px', borderRadius: 8, border: '1px solid #e2e8f0', background: '#edf2f7', cursor: 'pointer', textAlign: 'left' }}
+                              >
+                                <span style={{ width: 12 }}>{collapsed ? '▸' : '▾'}</span>
+                                <strong>NET: {group.net}</strong>
+                                <span style={{ fontSize: '0.75rem', padding: '2px 6px', borderRadius: 999, background: 'white', border: '1px solid rgba(0,0,0,0.08)' }}>
+                                  {netPct}% ({netCount}/{denom})
+                                </span>
+                                <span style={{ fontSize: '0.8rem', color: '#718096' }}>{group.items.length} sub-code{group.items.length === 1 ? '' : 's'}</span>
+                              </button>
+                              {!collapsed && (
+                                <div style={{ marginTop: 8, marginLeft: 20 }}>
+                                  {group.items.map(({ theme, index }) => renderThemeCard(theme, index))}
                                 </div>
-                              </div>
+                              )}
                             </div>
                           );
                         })
@@ -1605,6 +5483,14 @@ ${responsesPayload}`
               </div>
             </div>
           )}
+
+          <ReliabilityPanel
+            results={results}
+            rows={csvData}
+            idCol={resolveIdColumn(csvData, idColumn) || 'respid'}
+            questionColumns={openEndColumns}
+            verbatimsByQuestion={verbatimsByQuestion}
+          />
         </main>
       </div>
     </div>
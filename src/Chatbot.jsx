@@ -7,6 +7,7 @@ import { Upload, Send, FileText, AlertCircle, CheckCircle, X } from "lucide-reac
 import logoUrl from "./assets/av-logo3.png";
 import logoGif from "./assets/av-logo-gif-no_background.gif";
 import { API_CHAT_URL } from "./apiBase";
+import { ROLE_LABELS, rolesForRows, columnsWithRole } from "./columnRoles";
 
 /* ===================== Shared constants & helpers (matches your apps) ===================== */
 
@@ -105,15 +106,18 @@ async function readFileText(file) {
     try {
       const parsed = Papa.parse(csvText, { header: true, skipEmptyLines: "greedy" });
       const rows = Array.isArray(parsed.data) ? parsed.data : [];
-      // Flatten into a human-friendly previewable text block
-      const headers = rows.length ? Object.keys(rows[0]) : [];
+      // Flatten into a human-friendly previewable text block. Column roles (remembered from Verbatims /
+      // Memos for this layout, else guessed) label each column; ignored columns are left out.
+      const { roles } = rolesForRows(rows);
+      const headers = (rows.length ? Object.keys(rows[0]) : []).filter((h) => roles[h] !== "ignore");
+      const idCol = columnsWithRole(roles, "id")[0];
       const lines = [];
-      lines.push(`COLUMNS: ${headers.join(", ")}`);
+      lines.push(`COLUMNS: ${headers.map((h) => `${h} (${ROLE_LABELS[roles[h]] || roles[h]})`).join(", ")}`);
       const cap = Math.min(100, rows.length);
       for (let i = 0; i < cap; i++) {
         const r = rows[i] || {};
-        const cells = headers.map((h) => `${h}=${String(r[h] ?? "").replace(/\s+/g, " ").slice(0, 200)}`);
-        lines.push(`row=${i + 1} | ${cells.join(" | ")}`);
+        const cells = headers.filter((h) => h !== idCol).map((h) => `${h}=${String(r[h] ?? "").replace(/\s+/g, " ").slice(0, 200)}`);
+        lines.push(`row=${idCol ? String(r[idCol] ?? i + 1) : i + 1} | ${cells.join(" | ")}`);
       }
       if (rows.length > cap) lines.push(`... (${rows.length - cap} more rows not shown)`);
       return lines.join("\n");
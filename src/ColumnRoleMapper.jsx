@@ -0,0 +1,77 @@
+// ColumnRoleMapper.jsx — the column-role step after upload (shared by Verbatims and Memos).
+// Every change is remembered for the file's layout, so the next file with the same headers
+// (and the Chatbot's CSV attachments) start from it.
+import React, { useMemo, useState } from 'react';
+import {
+  COLUMN_ROLES, profileColumn, classifyColumns, columnsWithRole, assignRole,
+  loadColumnRoles, saveColumnRoles, forgetColumnRoles,
+} from './columnRoles';
+
+export default function ColumnRoleMapper({ rows, roles, onChange, defaultOpen = false }) {
+  const [open, setOpen] = useState(defaultOpen);
+  const headers = useMemo(() => (rows?.length ? Object.keys(rows[0]) : []), [rows]);
+  const profiles = useMemo(() => Object.fromEntries(headers.map((h) => [h, profileColumn(rows, h)])), [rows, headers]);
+  const remembered = useMemo(() => !!loadColumnRoles(headers), [headers, roles]);
+
+  if (headers.length === 0) return null;
+
+  const setRole = (col, role) => {
+    const next = assignRole(roles, col, role);
+    saveColumnRoles(headers, next);
+    onChange(next);
+  };
+  const resetToGuess = () => {
+    forgetColumnRoles(headers);
+    onChange(classifyColumns(rows));
+  };
+
+  const summary = COLUMN_ROLES
+    .filter((r) => r.id !== 'ignore')
+    .map((r) => {
+      const cols = columnsWithRole(roles, r.id);
+      if (cols.length === 0) return null;
+      return r.id === 'id' || r.id === 'weight' ? `${r.label}: ${cols.join(', ')}` : `${cols.length} ${r.label.toLowerCase()}${cols.length === 1 ? '' : 's'}`;
+    })
+    .filter(Boolean)
+    .join(' · ');
+
+  return (
+    <div style={{ marginTop: '0.5rem', fontSize: '0.85rem' }}>
+      <button
+        type="button"
+        onClick={() => setOpen((v) => !v)}
+        style={{ background: 'transparent', border: 0, padding: 0, cursor: 'pointer', fontWeight: 500, color: '#1a365d', textAlign: 'left' }}
+      >
+        {open ? '▾' : '▸'} Column roles{remembered ? ' (remembered for this layout)' : ''}
+      </button>
+      <div style={{ color: '#4A5568', marginTop: 2 }}>{summary || 'No columns classified.'}</div>
+
+      {open && (
+        <div style={{ marginTop: 6, border: '1px solid #e2e8f0', borderRadius: 6, background: 'white', maxHeight: 320, overflow: 'auto' }}>
+          {headers.map((h) => (
+            <div key={h} style={{ display: 'grid', gridTemplateColumns: '1fr 120px', gap: 6, alignItems: 'center', padding: '4px 8px', borderBottom: '1px solid #f0f2f3' }}>
+              <div style={{ minWidth: 0 }}>
+                <div style={{ fontWeight: 500, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={h}>{h}</div>
+                <div style={{ color: '#718096', fontSize: '0.75rem', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={profiles[h].sample}>
+                  {profiles[h].distinct} distinct{profiles[h].sample ? ` · e.g. ${profiles[h].sample}` : ' · empty'}
+                </div>
+              </div>
+              <select value={roles[h] || 'ignore'} onChange={(e) => setRole(h, e.target.value)} style={{ padding: '2px 4px', borderRadius: 4 }}>
+                {COLUMN_ROLES.map((r) => <option key={r.id} value={r.id}>{r.label}</option>)}
+              </select>
+            </div>
+          ))}
+          <div style={{ padding: '4px 8px' }}>
+            <button
+              type="button"
+              onClick={resetToGuess}
+              style={{ background: 'transparent', border: 0, padding: 0, cursor: 'pointer', color: '#00457f', textDecoration: 'underline', fontSize: '0.8rem' }}
+            >
+              Reset to detected roles
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -11,6 +11,11 @@ import {
 import logoUrl from "./assets/av-logo3.png";
 import logoGif from "./assets/av-logo-gif-no_background.gif";
 import { API_CHAT_URL } from "./apiBase";
+import { columnsWithRole, savedColumnRoles } from "./columnRoles";
+import ColumnRoleMapper from "./ColumnRoleMapper";
+import { DATA_FILE_ACCEPT, dataFileKind } from "./dataFile";
+import { runDataTask } from "./dataWorkerClient";
+import { parseDatamapRows, matchQuestionMeta, questionTitle } from "./questionMeta";
 
 /* ===================== Shared helpers & constants (matches your App.jsx style) ===================== */
 
@@ -69,14 +74,6 @@ async function postChatWithBackoff(
   }
 }
 
-// Column detection like your App.jsx
-const QUESTION_COL_RE = /^q\d+/i;
-const detectQuestionColumns = (rows) => {
-  if (!rows?.length || typeof rows[0] !== "object") return [];
-  const columns = Object.keys(rows[0]);
-  return columns.filter((c) => QUESTION_COL_RE.test(String(c)));
-};
-
 // ID column helpers (kept for parity / future use)
 const COMMON_ID_NAMES = [
   "respid","record","responseid","response_id",
@@ -113,40 +110,17 @@ const isMeaningful = (text, minChars = 1) => {
 
 /* ===================== Toplines-specific helpers ===================== */
 
-// Weighted frequency table: returns [{ val, pct, w }]
-function weightedFreq(rows, valueCol, weightCol) {
-  const sums = new Map(); // key: string value => sumW
-  let total = 0;
-
-  for (const row of rows) {
-    let v = row?.[valueCol];
-    if (v == null || v === "") v = "Missing";
-    v = String(v);
-
-    const w = Number(weightCol ? (row?.[weightCol] ?? 0) : 1) || (weightCol ? 0 : 1);
-    if (w <= 0) continue;
-
-    sums.set(v, (sums.get(v) || 0) + w);
-    total += w;
-  }
-
-  const arr = Array.from(sums.entries()).map(([val, w]) => ({
-    val,
-    w,
-    pct: total > 0 ? (w / total) * 100 : 0,
-  }));
-  arr.sort((a, b) => b.pct - a.pct);
-  return arr;
-}
-
 // Build AI summary prompt from per-question tables (Total + demo splits)
 const STYLE_PROMPTS = {
   "Executive Brief": "Write a single clear paragraph summarizing the key findings in a professional, executive-ready tone.",
   "Bullet-Point Insights": "Write 3–5 bullet points highlighting the key findings. Be concise, like topline insights in a slide deck.",
   "Detailed Narrative": "Write a detailed narrative (2–3 paragraphs) describing the key findings and demographic differences, as if for an analyst memo.",
 };
-function buildSummaryPrompt(questionLabel, demosDict, styleKey) {
-  let text = `Survey question: ${questionLabel}\n\n`;
+// questionMeta: { [column]: { text, base } } — the wording replaces the bare column name when known
+function buildSummaryPrompt(questionLabel, demosDict, styleKey, questionMeta) {
+  let text = `Survey question: ${questionTitle(questionLabel, questionMeta)}\n`;
+  if (questionMeta?.[questionLabel]?.base) text += `Base: ${questionMeta[questionLabel].base}\n`;
+  text += "\n";
   Object.entries(demosDict).forEach(([demoName, tbl]) => {
     text += `${demoName}:\n`;
     tbl.forEach((r) => {
@@ -162,13 +136,14 @@ ${text}`;
 }
 
 // Build a tidy long CSV out of toplines dict
-function toplinesToLong(toplinesDict) {
+function toplinesToLong(toplinesDict, questionMeta) {
   const rows = [];
   Object.entries(toplinesDict).forEach(([q, groups]) => {
     Object.entries(groups).forEach(([grp, tbl]) => {
       tbl.forEach((r) => {
         rows.push({
           Question: q,
+          QuestionText: questionMeta?.[q]?.text || "",
           Group: grp,
           Value: String(r.val),
           Percent: Number(r.pct.toFixed(4)),
@@ -402,7 +377,7 @@ function normalizeChartData(table) {
   }));
 }
 
-function QuestionBlock({ q, groups, summaries, selectedGroup, onChangeGroup }) {
+function QuestionBlock({ q, groups, summaries, selectedGroup, onChangeGroup, questionMeta }) {
   const groupList = groupNamesForQuestion(groups);
   const safeGroup = groupList.includes(selectedGroup) ? selectedGroup : (groupList[0] || "Total");
   const table = groups[safeGroup] || [];
@@ -411,7 +386,15 @@ function QuestionBlock({ q, groups, summaries, selectedGroup, onChangeGroup }) {
   return (
     <div style={{ marginBottom: 24 }}>
       <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12, marginBottom: 8 }}>
-        <h3 style={{ margin: 0 }}>{q}</h3>
+        <div>
+          <h3 style={{ margin: 0 }}>{q}</h3>
+          {questionMeta?.[q]?.text && (
+            <div style={{ fontSize: "0.85rem", color: "#4A5568" }}>
+              {questionMeta[q].text}
+              {questionMeta[q].base && <span style={{ color: "#718096" }}> · Base: {questionMeta[q].base}</span>}
+            </div>
+          )}
+        </div>
         <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
           <label style={{ fontSize: 12, color: "#4A5568" }}>Group:</label>
           <select
@@ -464,6 +447,13 @@ export default function ToplinesApp() {
 
   const [csvData, setCsvData] = useState(null);
   const [fileName, setFileName] = useState("");
+  // The uploaded file and, for .xlsx, its worksheets (switching sheets re-reads the same file)
+  const [dataFile, setDataFile] = useState(null);
+  const [sheetNames, setSheetNames] = useState([]);
+  const [sheetName, setSheetName] = useState("");
+  // 0..1 while the data worker reads the file / computes the tables
+  const [loadProgress, setLoadProgress] = useState(null);
+  const [tablesProgress, setTablesProgress] = useState(null);
   const fileInputRef = useRef(null);
   const [isDragging, setIsDragging] = useState(false);
 
@@ -473,6 +463,25 @@ export default function ToplinesApp() {
   const [questionCols, setQuestionCols] = useState([]);
   const [styleChoice, setStyleChoice] = useState("Executive Brief");
 
+  // Column roles from the shared mapping step; closed-ends, demographics and the weight pre-fill the selectors
+  const [columnRoles, setColumnRoles] = useState({});
+  const applyColumnRoles = (roles) => {
+    setColumnRoles(roles);
+    setWeightCol(columnsWithRole(roles, "weight")[0] || "");
+    setDemoCols(columnsWithRole(roles, "demo"));
+    setQuestionCols(columnsWithRole(roles, "closed"));
+  };
+
+  // Question wording per column (second header row, datamap CSV or typed in)
+  const [questionMeta, setQuestionMeta] = useState({}); // { [q]: { text, base } }
+  const datamapInputRef = useRef(null);
+  const updateQuestionMeta = (q, field, value) => setQuestionMeta((prev) => {
+    const entry = { text: "", base: "", ...prev[q], [field]: value };
+    const next = { ...prev, [q]: entry };
+    if (!entry.text.trim() && !entry.base.trim()) delete next[q];
+    return next;
+  });
+
   // Main controls / outputs
   const [modelName, setModelName] = useState("gpt-4o-mini");  // valid default model
   const [isLoading, setIsLoading] = useState(false);
@@ -499,38 +508,76 @@ export default function ToplinesApp() {
 
   /* ===================== File handlers ===================== */
 
-  const handleFileUpload = (file) => {
-    if (!file || !file.name.endsWith(".csv")) {
-      setError("Please upload a valid CSV file.");
+  // .csv, .xlsx (optionally a given worksheet) or .sav; SPSS value labels arrive already applied,
+  // so tables show "Strongly agree" rather than "1"
+  const handleFileUpload = async (file, sheet) => {
+    if (!file || !dataFileKind(file.name)) {
+      setError("Please upload a CSV (.csv), Excel (.xlsx) or SPSS (.sav) file.");
       return;
     }
     setError("");
     setSuccess("");
     setFileName(file.name);
 
+    // Read, role-guessed and wording-split in the data worker, which keeps the rows for the tables
+    let loaded;
+    setLoadProgress(0);
+    try {
+      loaded = await runDataTask("load", { slot: "memos", file, sheet, savedRoles: savedColumnRoles() }, { onProgress: setLoadProgress });
+    } catch (err) {
+      setError(err?.message || String(err));
+      return;
+    } finally {
+      setLoadProgress(null);
+    }
+    setDataFile(file);
+    setSheetNames(loaded.sheets);
+    setSheetName(loaded.sheet);
+
+    // A wording row under the header (Qualtrics-style) became question text, not an answer;
+    // SPSS variable labels are the wording too
+    const { rows: data, roles, questionCols: detected, wordingMeta: meta, removed } = loaded;
+    setCsvData(data);
+    setQuestionMeta((prev) => ({ ...matchQuestionMeta(prev, detected), ...matchQuestionMeta(loaded.meta, detected), ...meta }));
+
+    // initialize selectable columns from the column roles
+    if (data?.length) applyColumnRoles(roles);
+
+    const notes = [
+      loaded.sheets.length > 1 ? `sheet "${loaded.sheet}"` : "",
+      removed > 0 ? `question wording read from the second header row (${Object.keys(meta).length} question(s))` : "",
+      loaded.kind === "sav" ? `variable labels used as question wording, value labels applied to ${loaded.labelledColumns} column(s)` : "",
+    ].filter(Boolean);
+    setSuccess(`Successfully loaded ${data.length} rows from ${file.name}${notes.length ? `; ${notes.join("; ")}` : ""}`);
+  };
+
+  // Datamap CSV: Variable (or Question) + Label (or Question Text), optional Base
+  const handleDatamapUpload = (file) => {
+    if (!file || !file.name.toLowerCase().endsWith(".csv")) {
+      setError("Please upload the datamap as a CSV file.");
+      return;
+    }
+    setError("");
+    setSuccess("");
+
     Papa.parse(file, {
       header: true,
       skipEmptyLines: "greedy",
       transformHeader: (h) => h.replace(/^\uFEFF/, "").trim(),
-      complete: (results) => {
-        if (results.errors.length > 0) {
-          setError("Error parsing CSV file. Please check the file format.");
+      complete: (parsed) => {
+        const all = parseDatamapRows(parsed.data);
+        if (Object.keys(all).length === 0) {
+          setError("No question wording found. The datamap needs a Variable (or Question) column and a Label (or Question Text) column.");
           return;
         }
-        const data = results.data;
-        setCsvData(data);
-
-        // initialize selectable columns
-        if (data?.length) {
-          setWeightCol("");         // default none
-          setDemoCols([]);          // clear
-          setQuestionCols(detectQuestionColumns(data)); // pre-fill Q columns if present
-        }
-
-        setSuccess(`Successfully loaded ${results.data.length} rows from ${file.name}`);
+        const headerCols = csvData?.length ? Object.keys(csvData[0]) : Object.keys(all);
+        const matched = matchQuestionMeta(all, headerCols);
+        setQuestionMeta((prev) => ({ ...prev, ...matched }));
+        setSuccess(`Loaded wording for ${Object.keys(matched).length} column(s) from ${file.name}`);
       },
-      error: (err) => setError("Error reading CSV file: " + err.message),
+      error: (err) => setError("Error reading datamap CSV: " + err.message),
     });
+    if (datamapInputRef.current) datamapInputRef.current.value = "";
   };
 
   const handleDragOver = (e) => { e.preventDefault(); setIsDragging(true); };
@@ -549,33 +596,19 @@ export default function ToplinesApp() {
     setSuccess("");
 
     try {
-      // Build toplines object
-      const newToplines = {};
-      for (const q of questionCols) {
-        // Total
-        newToplines[q] = { Total: weightedFreq(csvData, q, weightCol || null) };
-
-        // Each demo & level
-        for (const demo of demoCols) {
-          const levels = Array.from(
-            new Set(csvData.map((r) => (r?.[demo] == null || r[demo] === "" ? "Missing" : String(r[demo]))))
-          );
-          for (const level of levels) {
-            const subset = csvData.filter((r) => {
-              const v = r?.[demo] == null || r[demo] === "" ? "Missing" : String(r[demo]);
-              return v === level;
-            });
-            const key = `${demo}: ${level}`;
-            newToplines[q][key] = weightedFreq(subset, q, weightCol || null);
-          }
-        }
-      }
+      // Total + each demo & level, tabulated in the data worker
+      setTablesProgress(0);
+      const newToplines = await runDataTask(
+        "toplines",
+        { slot: "memos", questionCols, demoCols, weightCol: weightCol || null },
+        { onProgress: setTablesProgress }
+      ).finally(() => setTablesProgress(null));
 
       // Optional: call OpenAI for summaries (per question) if apiKey present
       const newSummaries = {};
       if (apiKey.trim()) {
         for (const q of questionCols) {
-          const prompt = buildSummaryPrompt(q, newToplines[q], styleChoice);
+          const prompt = buildSummaryPrompt(q, newToplines[q], styleChoice, questionMeta);
           const messages = [{ role: "user", content: prompt }];
 
           try {
@@ -610,7 +643,7 @@ export default function ToplinesApp() {
 
   function exportCsv() {
     if (!toplines) { setError("Nothing to export yet."); return; }
-    const rows = toplinesToLong(toplines);
+    const rows = toplinesToLong(toplines, questionMeta);
     downloadCsv(rows, `toplines_long_${new Date().toISOString().slice(0,10)}.csv`);
     setSuccess("Exported CSV!");
   }
@@ -618,7 +651,7 @@ export default function ToplinesApp() {
   /* ===================== UI ===================== */
 
   const headers = csvData?.length ? Object.keys(csvData[0]) : [];
-  const qDetected = csvData?.length ? detectQuestionColumns(csvData) : [];
+  const qDetected = columnsWithRole(columnRoles, "closed");
   const questionCandidates = Array.from(new Set([...(qDetected || []), ...headers]));
 
   return (
@@ -683,7 +716,7 @@ export default function ToplinesApp() {
 
           {/* Upload */}
           <div className="card">
-            <h2><Upload size={20} /> Upload CSV File</h2>
+            <h2><Upload size={20} /> Upload Data File</h2>
             <div className="form-group">
               <div
                 className={`file-upload ${isDragging ? "dragover" : ""}`}
@@ -693,36 +726,44 @@ export default function ToplinesApp() {
                 onClick={() => fileInputRef.current?.click()}
               >
                 <FileText size={48} style={{ marginBottom: "1rem", color: "#00457f" }} />
-                <p>Drag and drop your CSV file here, or click to browse</p>
+                <p>Drag and drop your CSV, Excel (.xlsx) or SPSS (.sav) file here, or click to browse</p>
                 <p style={{ fontSize: "0.875rem", color: "#718096", marginTop: "0.5rem" }}>
                   {fileName || "No file selected"}
+                  {loadProgress != null && ` · reading… ${Math.round(loadProgress * 100)}%`}
                 </p>
               </div>
-              <input ref={fileInputRef} type="file" accept=".csv" onChange={handleFileInputChange} style={{ display: "none" }} />
+              <input ref={fileInputRef} type="file" accept={DATA_FILE_ACCEPT} onChange={handleFileInputChange} style={{ display: "none" }} />
             </div>
 
+            {sheetNames.length > 1 && (
+              <div className="form-group">
+                <label htmlFor="sheetSelect">Worksheet</label>
+                <select id="sheetSelect" value={sheetName} onChange={(e) => handleFileUpload(dataFile, e.target.value)} style={{ width: 260, padding: "6px 8px", borderRadius: 6 }}>
+                  {sheetNames.map((name) => <option key={name} value={name}>{name}</option>)}
+                </select>
+              </div>
+            )}
+
             {csvData && (
               <div className="form-group">
                 <p><strong>Loaded:</strong> {csvData.length} rows</p>
-                {(() => {
-                  const qcols = qDetected;
-                  return qcols.length > 0 ? (
-                    <p style={{ color: "#2f855a", fontSize: "0.875rem", marginTop: "0.5rem" }}>
-                      ✅ Detected question columns: {qcols.join(", ")}
-                    </p>
-                  ) : (
-                    <p style={{ color: "#e53e3e", fontSize: "0.875rem", marginTop: "0.5rem" }}>
-                      ⚠️ No question columns found (Q1, Q2, Q24, etc.). Please check your CSV format.
-                    </p>
-                  );
-                })()}
+                {qDetected.length > 0 ? (
+                  <p style={{ color: "#2f855a", fontSize: "0.875rem", marginTop: "0.5rem" }}>
+                    ✅ Closed-end question columns: {qDetected.join(", ")}
+                  </p>
+                ) : (
+                  <p style={{ color: "#e53e3e", fontSize: "0.875rem", marginTop: "0.5rem" }}>
+                    ⚠️ No closed-end question columns detected. Set them under Column roles or pick them below.
+                  </p>
+                )}
+                <ColumnRoleMapper rows={csvData} roles={columnRoles} onChange={applyColumnRoles} defaultOpen={qDetected.length === 0} />
 
                 {/* Preview + Clear */}
                 <div className="actions" style={{ marginTop: 12 }}>
                   <button className="btn btn-secondary" onClick={() => setShowPreview(!showPreview)} style={{ marginRight: "0.5rem" }}>
                     {showPreview ? "Hide" : "Show"} Preview
                   </button>
-                  <button className="btn btn-secondary" onClick={() => { setCsvData(null); setFileName(""); setToplines(null); setSummaries(null); if (fileInputRef.current) fileInputRef.current.value = ""; }}>
+                  <button className="btn btn-secondary" onClick={() => { runDataTask("release", { slot: "memos" }).catch(() => {}); setCsvData(null); setFileName(""); setDataFile(null); setSheetNames([]); setSheetName(""); setColumnRoles({}); setQuestionMeta({}); setToplines(null); setSummaries(null); if (fileInputRef.current) fileInputRef.current.value = ""; }}>
                     Clear Data
                   </button>
                 </div>
@@ -792,6 +833,51 @@ export default function ToplinesApp() {
                   placeholder="Filter questions…"
                 />
 
+                {/* Question wording (used in the summary prompt, chart titles and the export) */}
+                {questionCols.length > 0 && (
+                  <div className="form-group">
+                    <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 8 }}>
+                      <label style={{ fontWeight: 600 }}>Question Wording (optional)</label>
+                      <button
+                        type="button"
+                        onClick={() => datamapInputRef.current?.click()}
+                        title="CSV with one row per variable: Variable (or Question), Label (or Question Text), optional Base"
+                        style={{
+                          padding: "3px 8px",
+                          fontSize: "0.75rem",
+                          borderRadius: "4px",
+                          background: "#f7fafc",
+                          border: "1px solid #cbd5e0",
+                          cursor: "pointer",
+                          color: "#2d3748"
+                        }}
+                      >
+                        Import datamap
+                      </button>
+                      <input ref={datamapInputRef} type="file" accept=".csv" onChange={(e) => handleDatamapUpload(e.target.files[0])} style={{ display: "none" }} />
+                    </div>
+                    <div style={{ display: "grid", gridTemplateColumns: "120px 1fr 200px", gap: 6, alignItems: "center", fontSize: "0.85rem" }}>
+                      {questionCols.map((q) => (
+                        <React.Fragment key={q}>
+                          <strong style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }} title={q}>{q}</strong>
+                          <input
+                            type="text"
+                            value={questionMeta[q]?.text || ""}
+                            onChange={(e) => updateQuestionMeta(q, "text", e.target.value)}
+                            placeholder="Question text"
+                          />
+                          <input
+                            type="text"
+                            value={questionMeta[q]?.base || ""}
+                            onChange={(e) => updateQuestionMeta(q, "base", e.target.value)}
+                            placeholder="Base (optional)"
+                          />
+                        </React.Fragment>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 {/* Style */}
                 <div className="form-group">
                   <label>Summary Style</label>
@@ -821,7 +907,7 @@ export default function ToplinesApp() {
 
             <div className="actions" style={{ marginTop: 12 }}>
               <button className="btn" onClick={generateToplines} disabled={isLoading || !csvData?.length}>
-                {isLoading ? (<><div className="spinner"></div>Generating…</>) : (<>Generate</>)}
+                {isLoading ? (<><div className="spinner"></div>{tablesProgress != null ? `Tabulating… ${Math.round(tablesProgress * 100)}%` : "Generating…"}</>) : (<>Generate</>)}
               </button>
               <button className="btn btn-secondary" onClick={exportCsv} disabled={!toplines || isLoading}>
                 <Download size={16} /> Export CSV
@@ -854,6 +940,7 @@ export default function ToplinesApp() {
                   summaries={summaries}
                   selectedGroup={activeGroups[q] || "Total"}
                   onChangeGroup={setActiveGroupForQ}
+                  questionMeta={questionMeta}
                 />
               ))}
 
@@ -0,0 +1,89 @@
+// checkpointStore.js — IndexedDB cache of per-chunk model output so long Verbatims runs can resume
+// after a pause, a proxy 504 or a browser crash. Every call degrades to a no-op when IndexedDB
+// is unavailable (private mode, old browsers), so callers never need their own try/catch.
+
+const DB_NAME = 'av-verbatims';
+const DB_VERSION = 1;
+const STORE = 'chunkCheckpoints';
+
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, { keyPath: 'key' });
+        store.createIndex('fileHash', 'fileHash', { unique: false });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  try {
+    const db = await openDb();
+    if (!db) return null;
+    return await new Promise((resolve) => {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req?.result ?? null);
+      tx.onerror = () => resolve(null);
+      tx.onabort = () => resolve(null);
+    });
+  } catch {
+    return null;
+  }
+}
+
+// Stable key for one chunk call: same file + column + chunk start + prompt/payload hash => same answer
+export function checkpointKey(fileHash, column, startIndex, promptHash) {
+  return [fileHash, column, startIndex, promptHash].join('|');
+}
+
+export function getCheckpoint(key) {
+  return withStore('readonly', (store) => store.get(key));
+}
+
+export function putCheckpoint(key, fileHash, content) {
+  return withStore('readwrite', (store) => store.put({ key, fileHash, content, savedAt: Date.now() }));
+}
+
+export async function countCheckpoints(fileHash) {
+  if (!fileHash) return 0;
+  const n = await withStore('readonly', (store) => store.index('fileHash').count(fileHash));
+  return n || 0;
+}
+
+export function clearCheckpoints(fileHash) {
+  if (!fileHash) return Promise.resolve(null);
+  return withStore('readwrite', (store) => {
+    const req = store.index('fileHash').openKeyCursor(IDBKeyRange.only(fileHash));
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      store.delete(cursor.primaryKey);
+      cursor.continue();
+    };
+    return null;
+  });
+}
+
+// SHA-256 hex of a string or ArrayBuffer; falls back to FNV-1a where crypto.subtle is missing (plain http)
+export async function hashContent(input) {
+  const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : new Uint8Array(input);
+  if (globalThis.crypto?.subtle) {
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+  }
+  let h = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    h ^= bytes[i];
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return `fnv${h.toString(16)}-${bytes.length}`;
+}
@@ -0,0 +1,139 @@
+// columnRoles.js — what each column of an uploaded file is (ID, open-end, closed-end, demographic,
+// weight or ignored). Columns are pre-classified from header names and cell contents; the user's
+// corrections are remembered per file layout (the exact header list) in localStorage and shared by
+// Verbatims, Memos and the Chatbot.
+
+export const COLUMN_ROLES = [
+  { id: 'id', label: 'ID' },
+  { id: 'open', label: 'Open-end' },
+  { id: 'closed', label: 'Closed-end' },
+  { id: 'demo', label: 'Demographic' },
+  { id: 'weight', label: 'Weight' },
+  { id: 'ignore', label: 'Ignore' },
+];
+export const ROLE_LABELS = Object.fromEntries(COLUMN_ROLES.map((r) => [r.id, r.label]));
+
+const ID_NAMES = new Set([
+  'respid', 'record', 'responseid', 'response_id', 'respondentid', 'respondent_id', 'participantid',
+  'participant_id', 'id', 'user_id', 'userid', 'caseid', 'case_id',
+]);
+const ID_NAME_RE = /(^|[_\s])(resp(ondent)?|participant|case|record|response|user)[_\s]?id$/i;
+const WEIGHT_NAME_RE = /^(weights?|wts?|wgts?)([_\s.]?\w*)?$|[_\s](weight|wt|wgt)$/i;
+const DEMO_NAME_RE = /(^|[_\s])(age|gender|sex|region|state|county|zip|income|educ|race|ethnic|hispanic|party|ideolog|marital|employ|relig|urban|rural|child|household|generation|cohort)/i;
+const QUESTION_NAME_RE = /^(q\d+|qs?_|question|oe_?\d|open|why_|comment|verbatim|feedback)|(_oe|_other|_text|_why)$/i;
+const META_NAME_RE = /date|time|duration|ip_?address|^ip$|latitude|longitude|email|user_?agent|progress|finished|distribution|recipient|external_?ref|location|^status$|userlanguage/i;
+
+const SAMPLE_ROWS = 500;
+export const MAX_CLOSED_LEVELS = 30; // more distinct answers than this is not a closed list
+const OPEN_MEAN_CHARS = 15;          // average answer length that reads as free text
+
+const isNumber = (s) => s !== '' && Number.isFinite(Number(s));
+
+// Per-column content profile over the first SAMPLE_ROWS rows
+export function profileColumn(rows, col) {
+  const values = [];
+  for (let i = 0; i < rows.length && i < SAMPLE_ROWS; i++) {
+    const v = String(rows[i]?.[col] ?? '').trim();
+    if (v) values.push(v);
+  }
+  const distinct = new Set(values).size;
+  return {
+    nonEmpty: values.length,
+    distinct,
+    uniqueShare: values.length ? distinct / values.length : 0,
+    numericShare: values.length ? values.filter(isNumber).length / values.length : 0,
+    meanLength: values.length ? values.reduce((s, v) => s + v.length, 0) / values.length : 0,
+    sample: values[0] ?? '',
+  };
+}
+
+function guessRole(col, p, isFirst) {
+  if (p.nonEmpty === 0) return 'ignore';
+  const name = String(col).trim();
+  const allUnique = p.distinct === p.nonEmpty;
+  if ((ID_NAMES.has(name.toLowerCase()) || ID_NAME_RE.test(name)) && allUnique) return 'id';
+  if (WEIGHT_NAME_RE.test(name) && p.numericShare >= 0.95) return 'weight';
+  if (DEMO_NAME_RE.test(name) && (p.distinct <= MAX_CLOSED_LEVELS || p.numericShare >= 0.95)) return 'demo';
+  if (META_NAME_RE.test(name)) return 'ignore';
+  if (isFirst && allUnique && p.meanLength <= 40 && p.nonEmpty > 1) return 'id';
+
+  const textual = p.numericShare < 0.5;
+  if (textual && p.meanLength >= OPEN_MEAN_CHARS && p.uniqueShare >= 0.3) return 'open';
+  if (textual && QUESTION_NAME_RE.test(name) && p.distinct > MAX_CLOSED_LEVELS) return 'open';
+  if (textual && p.uniqueShare >= 0.8 && p.meanLength >= 8 && p.distinct > 5) return 'open'; // sparse "other, specify"
+  if (p.distinct <= MAX_CLOSED_LEVELS) return QUESTION_NAME_RE.test(name) ? 'closed' : 'demo';
+  if (textual && p.meanLength >= 8) return 'open';
+  return 'ignore';
+}
+
+// -> { [column]: role }. At most one ID column (the first candidate wins; later ones are ignored).
+export function classifyColumns(rows) {
+  const list = Array.isArray(rows) ? rows : [];
+  const headers = list.length && typeof list[0] === 'object' ? Object.keys(list[0]) : [];
+  const roles = {};
+  let haveId = false;
+  headers.forEach((col, k) => {
+    let role = guessRole(col, profileColumn(list, col), k === 0);
+    if (role === 'id' && haveId) role = 'ignore';
+    if (role === 'id') haveId = true;
+    roles[col] = role;
+  });
+  return roles;
+}
+
+/* Remembered mappings: { [layoutKey]: { roles, savedAt } }, most recent MAX_SAVED_LAYOUTS kept */
+
+const STORAGE_KEY = 'AV_COLUMN_ROLES';
+const MAX_SAVED_LAYOUTS = 25;
+
+// The same header list (in order) is the same layout, e.g. every wave of a tracker
+export function layoutKey(headers) {
+  const text = (headers || []).join('\u001f');
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) hash = (hash * 31 + text.charCodeAt(i)) | 0;
+  return `${(headers || []).length}:${(hash >>> 0).toString(36)}`;
+}
+
+// Every remembered mapping; pass it along where localStorage is out of reach (the data worker)
+export const savedColumnRoles = () => {
+  try { return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') || {}; } catch { return {}; }
+};
+
+export function loadColumnRoles(headers, all = savedColumnRoles()) {
+  const saved = all[layoutKey(headers)]?.roles;
+  if (!saved) return null;
+  return Object.fromEntries((headers || []).filter((h) => saved[h]).map((h) => [h, saved[h]]));
+}
+
+export function saveColumnRoles(headers, roles) {
+  const all = savedColumnRoles();
+  all[layoutKey(headers)] = { roles, savedAt: Date.now() };
+  const kept = Object.entries(all).sort((a, b) => (b[1].savedAt || 0) - (a[1].savedAt || 0)).slice(0, MAX_SAVED_LAYOUTS);
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(kept))); } catch {}
+}
+
+export function forgetColumnRoles(headers) {
+  const all = savedColumnRoles();
+  delete all[layoutKey(headers)];
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(all)); } catch {}
+}
+
+// Roles for a freshly loaded file: the remembered mapping for its layout over the heuristic guess.
+// -> { roles, remembered }. `all` defaults to the mappings in localStorage.
+export function rolesForRows(rows, all = savedColumnRoles()) {
+  const list = Array.isArray(rows) ? rows : [];
+  const headers = list.length && typeof list[0] === 'object' ? Object.keys(list[0]) : [];
+  const saved = loadColumnRoles(headers, all);
+  return { roles: { ...classifyColumns(list), ...(saved || {}) }, remembered: !!saved };
+}
+
+// Columns with a role, in file order
+export const columnsWithRole = (roles, role) => Object.keys(roles || {}).filter((c) => roles[c] === role);
+
+// Sets one column's role; choosing ID demotes the previous ID column to "ignore"
+export function assignRole(roles, col, role) {
+  const next = { ...roles };
+  if (role === 'id') Object.keys(next).forEach((c) => { if (next[c] === 'id') next[c] = 'ignore'; });
+  next[col] = role;
+  return next;
+}
@@ -0,0 +1,107 @@
+// dataFile.js — reads an uploaded survey data file (.csv, .xlsx or .sav) into the rows both pages
+// work with: Papa-style objects of strings keyed by header. Workbooks bring their sheet list; SPSS
+// files bring variable labels (as question wording) and have their value labels applied to the data.
+// No DOM or localStorage here: uploads are read in the data worker (see dataTasks.js).
+import Papa from 'papaparse';
+import { readXlsx } from './xlsxReader';
+import { readSav, formatSavNumber } from './savReader';
+import { rolesForRows, columnsWithRole } from './columnRoles';
+import { splitQuestionTextRows } from './questionMeta';
+
+export const DATA_FILE_ACCEPT = '.csv,text/csv,.xlsx,.sav';
+
+// 'csv' | 'xlsx' | 'sav' | null
+export function dataFileKind(name) {
+  const m = String(name || '').toLowerCase().match(/\.(csv|xlsx|sav)$/);
+  return m ? m[1] : null;
+}
+
+const cleanHeader = (h) => String(h ?? '').replace(/^\uFEFF/, '').trim();
+
+// Header row + data rows -> row objects. Blank headers become "Column N"; repeats get "_1", "_2"
+// (as Papa does); fully blank rows are dropped.
+export function matrixToRows(matrix) {
+  const list = (matrix || []).filter((row) => (row || []).some((v) => String(v ?? '').trim() !== ''));
+  if (list.length === 0) return [];
+  const seen = {};
+  const headers = list[0].map((h, k) => {
+    const base = cleanHeader(h) || `Column ${k + 1}`;
+    seen[base] = (seen[base] ?? -1) + 1;
+    return seen[base] ? `${base}_${seen[base]}` : base;
+  });
+  return list.slice(1).map((row) => Object.fromEntries(headers.map((h, k) => [h, String(row?.[k] ?? '')])));
+}
+
+const CSV_CHUNK_BYTES = 1024 * 1024;
+
+// Streamed in 1 MB chunks so onProgress(0..1) can follow along
+function parseCsv(file, onProgress) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    let failed = false;
+    let chunks = 0;
+    Papa.parse(file, {
+      header: true,
+      skipEmptyLines: 'greedy',
+      transformHeader: cleanHeader,
+      chunkSize: CSV_CHUNK_BYTES,
+      chunk: (results) => {
+        if (results.errors.length > 0) failed = true;
+        for (const row of results.data) rows.push(row);
+        chunks++;
+        if (file.size) onProgress?.(Math.min(1, (chunks * CSV_CHUNK_BYTES) / file.size));
+      },
+      complete: () => (failed
+        ? reject(new Error('Error parsing CSV file. Please check the file format.'))
+        : resolve(rows)),
+      error: (err) => reject(new Error('Error reading CSV file: ' + err.message)),
+    });
+  });
+}
+
+// SPSS cases -> rows with value labels applied; variable labels -> { [column]: { text, base } }
+export function savToRows({ variables, cases }) {
+  const rows = cases.map((values) => Object.fromEntries(variables.map((v, k) => {
+    const raw = values[k];
+    const key = v.type === 'numeric' ? (raw == null ? '' : String(raw)) : raw;
+    const labelled = key !== '' ? v.valueLabels[key] : undefined;
+    return [v.name, labelled ?? (v.type === 'numeric' ? formatSavNumber(raw, v.format) : raw)];
+  })));
+  const meta = {};
+  variables.forEach((v) => {
+    if (v.label && v.label !== v.name) meta[v.name] = { text: v.label.replace(/\s+/g, ' ').trim(), base: '' };
+  });
+  return { rows, meta, labelledColumns: variables.filter((v) => Object.keys(v.valueLabels).length > 0).length };
+}
+
+// -> { kind, rows, sheets, sheet, meta, labelledColumns }. `sheet` picks a worksheet of an .xlsx
+// (the first visible one otherwise); sheets is [] for other kinds. onProgress(0..1) is only called
+// while a CSV streams in.
+export async function readDataFile(file, { sheet, onProgress } = {}) {
+  const kind = dataFileKind(file?.name);
+  if (kind === 'csv') {
+    return { kind, rows: await parseCsv(file, onProgress), sheets: [], sheet: '', meta: {}, labelledColumns: 0 };
+  }
+  if (kind === 'xlsx') {
+    const book = await readXlsx(await file.arrayBuffer(), sheet);
+    return { kind, rows: matrixToRows(book.matrix), sheets: book.sheets, sheet: book.sheet, meta: {}, labelledColumns: 0 };
+  }
+  if (kind === 'sav') {
+    const { rows, meta, labelledColumns } = savToRows(await readSav(await file.arrayBuffer()));
+    return { kind, rows, sheets: [], sheet: '', meta, labelledColumns };
+  }
+  throw new Error('Please upload a CSV (.csv), Excel (.xlsx) or SPSS (.sav) file.');
+}
+
+// The whole upload step shared by Verbatims and Memos: read the file, guess the column roles and lift a
+// Qualtrics-style wording row out of the data. savedRoles are the remembered role mappings (from
+// savedColumnRoles(); the worker has no localStorage).
+// -> readDataFile's result with the final rows, plus { roles, questionCols, wordingMeta, removed }
+export async function loadSurveyData(file, { sheet, savedRoles, onProgress } = {}) {
+  const loaded = await readDataFile(file, { sheet, onProgress });
+  const guessed = rolesForRows(loaded.rows, savedRoles).roles;
+  const questionCols = [...columnsWithRole(guessed, 'open'), ...columnsWithRole(guessed, 'closed')];
+  const { rows, meta, removed } = splitQuestionTextRows(loaded.rows, questionCols);
+  const roles = removed > 0 ? rolesForRows(rows, savedRoles).roles : guessed;
+  return { ...loaded, rows, roles, questionCols, wordingMeta: meta, removed };
+}
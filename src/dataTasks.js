@@ -0,0 +1,100 @@
+// dataTasks.js — the heavy data work behind both pages: loading an upload, Verbatims' pre-run stats,
+// PII masks, response languages, call estimates and payload chunks, and Memos' topline tables. Runs in the data worker (see
+// dataWorkerClient.js). Loaded rows stay here per page ("slot"), so later tasks only send settings.
+import { loadSurveyData } from './dataFile';
+import { planColumn, rowsForPlan, parseAutoCodeRules } from './preprocess';
+import { isMeaningful, buildPayloadChunks, estimateCallsForColumn, translationItems, batchTranslationItems } from './payload';
+import { buildToplines } from './weighting';
+import { buildRedactor, parseCustomTerms, redactRows, maskedCells } from './redaction';
+import { detectLanguage } from './language';
+
+const datasets = new Map(); // slot -> rows
+
+function rowsIn(slot) {
+  const rows = datasets.get(slot);
+  if (!rows) throw new Error('No data loaded.');
+  return rows;
+}
+
+// Same plan as Verbatims' run: blank gate, duplicate grouping and auto-code rules
+const planFor = (rows, col, { idCol, skipBlanks, dedupe, autoCodeRulesText }) => planColumn(rows, {
+  idCol,
+  col,
+  eligible: (text) => (skipBlanks ? isMeaningful(text) : !!text),
+  dedupe,
+  rules: parseAutoCodeRules(autoCodeRulesText || '').rules,
+});
+
+export const TASKS = {
+  // { slot, file, sheet, savedRoles } -> loadSurveyData's result; the rows are kept for later tasks
+  async load({ slot, file, sheet, savedRoles }, onProgress) {
+    const data = await loadSurveyData(file, { sheet, savedRoles, onProgress });
+    datasets.set(slot, data.rows);
+    return data;
+  },
+
+  release({ slot }) {
+    datasets.delete(slot);
+    return true;
+  },
+
+  // Verbatims: grouped / auto-coded counts per open-end -> [{ col, ...plan.stats }]
+  preprocessStats({ slot, columns, ...settings }) {
+    const rows = rowsIn(slot);
+    return columns.map((col) => ({ col, ...planFor(rows, col, settings).stats }));
+  },
+
+  // Verbatims: PII masks for the open ends -> { cells: maskedCells(), stats, samples } (see redactRows)
+  redact({ slot, columns, rules, terms }) {
+    const rows = rowsIn(slot);
+    const redact = buildRedactor({ rules, customTerms: parseCustomTerms(terms) });
+    const { rows: masked, stats, samples } = redactRows(rows, columns, null, redact);
+    return { cells: maskedCells(rows, masked, columns), stats, samples };
+  },
+
+  // Verbatims: language of every non-blank response -> { [col]: [[rowIndex, lang]] }. Keyed by row, so
+  // picking another ID column does not detect everything again.
+  languages({ slot, columns }) {
+    const rows = rowsIn(slot);
+    return Object.fromEntries(columns.map((col) => {
+      const found = [];
+      rows.forEach((row, i) => {
+        const txt = String(row?.[col] ?? '').replace(/\n/g, ' ').trim();
+        if (txt) found.push([i, detectLanguage(txt)]);
+      });
+      return [col, found];
+    }));
+  },
+
+  // Verbatims: API calls a run would make (chunks, consolidation, quotes, replicates, translation)
+  // consolidateColumns: the columns that get a consolidation call (consolidatesColumn() on the page)
+  estimateCalls({ slot, columns, consolidateColumns, withQuotes, extraRuns, translate, ...settings }) {
+    const all = rowsIn(slot);
+    const { idCol, skipBlanks } = settings;
+    let total = 0;
+    for (const col of columns) {
+      const rows = rowsForPlan(all, planFor(all, col, settings), idCol, col);
+      const withConsolidation = consolidateColumns.includes(col);
+      total += estimateCallsForColumn(rows, idCol, col, skipBlanks, withConsolidation, withQuotes);
+      total += extraRuns * estimateCallsForColumn(rows, idCol, col, skipBlanks, withConsolidation, false);
+      if (translate) total += batchTranslationItems(translationItems(rows, idCol, col, skipBlanks)).length;
+    }
+    return total;
+  },
+
+  // Verbatims: one column's chunks; rows come with the task (masked and planned on the page)
+  payloadChunks({ rows, idCol, col, skipBlanks }) {
+    return buildPayloadChunks(rows, idCol, col, skipBlanks);
+  },
+
+  // Memos: topline tables of the loaded rows
+  toplines({ slot, questionCols, demoCols, weightCol }, onProgress) {
+    return buildToplines(rowsIn(slot), { questionCols, demoCols, weightCol }, onProgress);
+  },
+};
+
+export async function runTask(type, args, onProgress) {
+  const task = TASKS[type];
+  if (!task) throw new Error(`Unknown data task: ${type}`);
+  return task(args, onProgress);
+}
@@ -0,0 +1,12 @@
+// dataWorker.js — the data worker itself (started by dataWorkerClient.js). In: { id, type, args };
+// out: { id, progress } while a task runs, then { id, result } or { id, error }.
+import { runTask } from './dataTasks';
+
+self.onmessage = async ({ data: { id, type, args } }) => {
+  try {
+    const result = await runTask(type, args, (progress) => self.postMessage({ id, progress }));
+    self.postMessage({ id, result });
+  } catch (err) {
+    self.postMessage({ id, error: err?.message || String(err) });
+  }
+};
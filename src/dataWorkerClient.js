@@ -0,0 +1,75 @@
+// dataWorkerClient.js — runDataTask(type, args, { onProgress }) runs a dataTasks.js task in one shared
+// Web Worker, so parsing and tabulating large files never locks up the page. Where module workers are
+// unavailable, or the worker fails, tasks run on the main thread instead; a crash loses the worker's
+// rows, so the files it had loaded are read again here first.
+import { runTask } from './dataTasks';
+
+let worker = null;
+let workerFailed = typeof Worker === 'undefined';
+let nextId = 1;
+const pending = new Map(); // id -> { type, args, onProgress, resolve, reject }
+const loaded = new Map(); // slot -> args of its last successful 'load', replayed after a crash
+let mainThreadReady = Promise.resolve(); // settles once those files are loaded on the main thread
+
+const runHere = ({ type, args, onProgress, resolve, reject }) => {
+  mainThreadReady.then(() => runTask(type, args, onProgress)).then(resolve, reject);
+};
+
+// Keeps track of what each slot holds so the main thread can take over
+function remember(type, args) {
+  if (type === 'load') loaded.set(args.slot, args);
+  else if (type === 'release') loaded.delete(args.slot);
+}
+
+function getWorker() {
+  if (worker || workerFailed) return worker;
+  try {
+    worker = new Worker(new URL('./dataWorker.js', import.meta.url), { type: 'module' });
+  } catch {
+    workerFailed = true;
+    return null;
+  }
+  worker.onmessage = ({ data }) => {
+    const job = pending.get(data.id);
+    if (!job) return;
+    if ('progress' in data) {
+      job.onProgress?.(data.progress);
+      return;
+    }
+    pending.delete(data.id);
+    if ('error' in data) {
+      job.reject(new Error(data.error));
+    } else {
+      remember(job.type, job.args);
+      job.resolve(data.result);
+    }
+  };
+  // Could not start (or crashed): reload the slots' files, finish the queued tasks here and stay on
+  // the main thread
+  worker.onerror = (e) => {
+    e.preventDefault();
+    worker.terminate();
+    worker = null;
+    workerFailed = true;
+    const reloads = Array.from(loaded.values(), (args) => runTask('load', args).catch(() => null));
+    mainThreadReady = Promise.all(reloads);
+    const jobs = Array.from(pending.values());
+    pending.clear();
+    jobs.forEach(runHere);
+  };
+  return worker;
+}
+
+export function runDataTask(type, args, { onProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    const job = { type, args, onProgress, resolve, reject };
+    const w = getWorker();
+    if (!w) {
+      runHere(job);
+      return;
+    }
+    const id = nextId++;
+    pending.set(id, job);
+    w.postMessage({ id, type, args });
+  });
+}
@@ -0,0 +1,63 @@
+// language.js — lightweight, offline language guess for survey verbatims. Scores each response by
+// common function words (plus a few telltale characters); short answers only count when every hit
+// points to one language, and mixed answers come back as "und" (undetermined) and are treated like
+// English, i.e. not translated.
+
+export const LANGUAGE_NAMES = { en: 'English', es: 'Spanish', fr: 'French', pt: 'Portuguese', und: 'Undetermined' };
+
+const STOPWORDS = {
+  en: ['the', 'and', 'is', 'it', 'to', 'of', 'i', 'you', 'that', 'in', 'for', 'they', 'this', 'with', 'are', 'be',
+    'have', 'but', 'my', 'was', 'do', 'dont', 'its', 'on', 'so', 'just', 'like', 'too', 'what', 'about', 'their',
+    'would', 'because', 'think', 'know', 'not', 'very', 'all', 'nothing', 'people'],
+  es: ['el', 'la', 'de', 'que', 'y', 'en', 'los', 'las', 'es', 'por', 'un', 'una', 'se', 'con', 'para', 'lo', 'me',
+    'mi', 'muy', 'pero', 'porque', 'como', 'más', 'mas', 'yo', 'su', 'al', 'del', 'son', 'está', 'esta', 'nada',
+    'sé', 'sabe', 'bien', 'creo', 'tiene', 'hay', 'eso', 'gente', 'también', 'todo', 'ni', 'mis', 'sus', 'usted',
+    'ellos', 'nosotros'],
+  fr: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'un', 'une', 'je', 'pas', 'que', 'qui', 'pour', 'dans', 'ce',
+    'il', 'sur', 'avec', 'ne', 'sais', 'très', 'mais', 'parce', 'rien', 'aussi', 'du', 'au', 'ça'],
+  pt: ['o', 'a', 'os', 'as', 'de', 'que', 'e', 'do', 'da', 'em', 'um', 'uma', 'não', 'nao', 'para', 'com', 'por',
+    'mais', 'muito', 'eu', 'sei', 'porque', 'isso', 'nada', 'também', 'é', 'são', 'pessoas', 'você'],
+};
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([lang, words]) => [lang, new Set(words)]));
+
+// Characters that (almost) only one of the supported languages uses. Acute vowels are shared with
+// Portuguese and French, so they weigh less; they still settle one-word answers such as "inflación".
+const MARKERS = [
+  { lang: 'es', re: /[ñ¿¡]/g, weight: 2 },
+  { lang: 'es', re: /[áéíóú]/g, weight: 1 },
+  { lang: 'pt', re: /[ãõ]|ção|ções/g, weight: 2 },
+  { lang: 'fr', re: /[èêëœ]|\b(?:c|j|l|d|n|qu)'/g, weight: 2 },
+];
+
+const MIN_SCORE = 2; // below this the response is too short to call...
+// ...unless no other language scored and the hit is telling: a marker or a word longer than one
+// letter ("a", "o" and "e" are too common in English answers to call Portuguese on their own)
+
+// -> 'en' | 'es' | 'fr' | 'pt' | 'und'
+export function detectLanguage(text) {
+  const lower = String(text ?? '').toLowerCase();
+  const tokens = lower.match(/[\p{L}']+/gu) || [];
+  const scores = Object.fromEntries(Object.keys(STOPWORDS).map((lang) => [lang, 0]));
+  const telling = new Set();
+  tokens.forEach((tok) => {
+    const word = tok.replace(/'/g, '');
+    Object.keys(STOPWORD_SETS).forEach((lang) => {
+      if (!STOPWORD_SETS[lang].has(word)) return;
+      scores[lang]++;
+      if (word.length > 1) telling.add(lang);
+    });
+  });
+  MARKERS.forEach(({ lang, re, weight }) => {
+    const hits = (lower.match(re) || []).length;
+    scores[lang] += weight * hits;
+    if (hits) telling.add(lang);
+  });
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [best, second] = ranked;
+  if (best[1] === 0 || best[1] === second[1]) return 'und';
+  if (best[1] < MIN_SCORE && (second[1] > 0 || !telling.has(best[0]))) return 'und';
+  return best[0];
+}
+
+export const needsTranslation = (lang, target = 'en') => !!lang && lang !== 'und' && lang !== target;
@@ -0,0 +1,213 @@
+// payload.js — how Verbatims packs responses for the model: the "meaningful text" gate, the
+// "record=<id> | response=<text>" chunks (by size and record count), call estimates and translation
+// batches. Pure functions, shared by App.jsx and the data worker (dataTasks.js).
+import { detectLanguage, needsTranslation } from './language';
+
+// Match Python’s big cap (be mindful of your model/rate limits)
+export const MAX_INPUT_CHARS = 12000;
+export const MAX_RECORDS_PER_CHUNK = 60;
+
+// === “Meaningful” text gate (w/ common placeholders) ===
+const MIN_MEANINGFUL_CHARS = 1;
+const PLACEHOLDERS = new Set(['', ' ', 'na', 'n a', 'n/a', 'none', 'no response', 'no comment', 'nil', '.', '-', '--']);
+const normalizePlaceholder = (s) =>
+  (s || '').toString().replace(/[^0-9A-Za-z]+/g, ' ').trim().toLowerCase();
+
+export const isMeaningful = (text, minChars = MIN_MEANINGFUL_CHARS) => {
+  const s = (text || '').toString().trim();
+  if (s.length < minChars) return false;
+  const norm = normalizePlaceholder(s);
+  if (PLACEHOLDERS.has(norm)) return false;
+  return true;
+};
+
+// Build Python-like payload lines up to MAX_INPUT_CHARS
+export function buildPayloadForColumn(rows, idCol, colName, maxChars = MAX_INPUT_CHARS, skipBlanks = true) {
+  const lines = [];
+  let total = 0;
+  for (let i = 0; i < rows.length; i++) {
+    const rid = String(rows[i]?.[idCol] ?? (i + 1));
+    const raw = rows[i]?.[colName];
+    const txt = String(raw ?? '').replace(/\n/g, ' ').trim();
+
+    // honor toggle
+    if (skipBlanks) {
+      if (!isMeaningful(txt)) continue;
+    } else {
+      if (!txt) continue;
+    }
+
+    const line = `record=${rid} | response=${txt}`;
+    const add = line.length + 1;
+    if (total + add > maxChars) break;
+    lines.push(line);
+    total += add;
+  }
+  return lines.join('\n');
+}
+
+// === NEW: chunked payload builder to ensure no responses are skipped ===
+export function buildPayloadChunk(
+  rows,
+  idCol,
+  colName,
+  startIndex = 0,
+  maxChars = MAX_INPUT_CHARS,
+  skipBlanks = true,
+  maxRecords = MAX_RECORDS_PER_CHUNK
+) {
+  const lines = [];
+  const includedIds = [];
+  let total = 0;
+  let i = startIndex;
+  let recordCount = 0;
+
+  for (; i < rows.length; i++) {
+    const rid = String(rows[i]?.[idCol] ?? (i + 1));
+    const raw = rows[i]?.[colName];
+    const txt = String(raw ?? '').replace(/\n/g, ' ').trim();
+
+    // honor toggle
+    if (skipBlanks) {
+      if (!isMeaningful(txt)) continue;
+    } else {
+      if (!txt) continue;
+    }
+
+    const line = `record=${rid} | response=${txt}`;
+    const add = line.length + 1;
+
+    // If we can't fit this line and we already have something in the chunk, stop here.
+    // We'll continue from this same row in the next chunk.
+    if (total + add > maxChars) {
+      if (lines.length > 0) break;
+      // Single line too large: hard-trim so we can progress.
+      const trimmed = line.slice(0, Math.max(2000, maxChars - 200));
+      lines.push(trimmed);
+      includedIds.push(rid);
+      i++;
+      break;
+    }
+
+    lines.push(line);
+    includedIds.push(rid);
+    total += add;
+    recordCount++;
+    if (recordCount >= maxRecords) {
+      i++;
+      break;
+    }
+  }
+
+  return {
+    payload: lines.join('\\n'),
+    nextIndex: i,
+    includedIds,
+  };
+}
+
+// Every chunk of a column, in order: [{ payload, includedIds, chunkStart }]. Chunks with nothing
+// to send are skipped.
+export function buildPayloadChunks(rows, idCol, colName, skipBlanks = true) {
+  const chunks = [];
+  let startIndex = 0;
+  while (startIndex < rows.length) {
+    const chunkStart = startIndex;
+    const { payload, nextIndex, includedIds } = buildPayloadChunk(rows, idCol, colName, startIndex, MAX_INPUT_CHARS, skipBlanks);
+    startIndex = nextIndex;
+    if (!payload || !payload.trim()) continue;
+    chunks.push({ payload, includedIds, chunkStart });
+  }
+  return chunks;
+}
+
+export function estimateChunkCount(
+  rows,
+  idCol,
+  colName,
+  maxChars = MAX_INPUT_CHARS,
+  skipBlanks = true,
+  maxRecords = MAX_RECORDS_PER_CHUNK
+) {
+  if (!Array.isArray(rows) || rows.length === 0) return 0;
+  let count = 0;
+  let i = 0;
+
+  while (i < rows.length) {
+    let total = 0;
+    let included = 0;
+    let recordCount = 0;
+
+    for (; i < rows.length; i++) {
+      const rid = String(rows[i]?.[idCol] ?? (i + 1));
+      const raw = rows[i]?.[colName];
+      const txt = String(raw ?? '').replace(/\n/g, ' ').trim();
+
+      if (skipBlanks) {
+        if (!isMeaningful(txt)) continue;
+      } else {
+        if (!txt) continue;
+      }
+
+      const line = `record=${rid} | response=${txt}`;
+      const add = line.length + 1;
+
+      if (total + add > maxChars) {
+        if (included > 0) break;
+        i++;
+        included++;
+        break;
+      }
+
+      total += add;
+      included++;
+      recordCount++;
+      if (recordCount >= maxRecords) {
+        i++;
+        break;
+      }
+    }
+
+    if (included > 0) count++;
+  }
+
+  return count;
+}
+
+// Chunk calls plus the optional consolidation call (only needed when a column spans several chunks)
+// and the optional representative-quote call (one per column with any responses)
+export function estimateCallsForColumn(rows, idCol, colName, skipBlanks = true, withConsolidation = false, withQuotes = false) {
+  const chunks = estimateChunkCount(rows, idCol, colName, MAX_INPUT_CHARS, skipBlanks);
+  return chunks + (withConsolidation && chunks > 1 ? 1 : 0) + (withQuotes && chunks > 0 ? 1 : 0);
+}
+
+// Responses of `col` that would be sent and are not English: [{ id, text, lang }]
+export function translationItems(rows, idCol, colName, skipBlanks = true) {
+  const items = [];
+  (Array.isArray(rows) ? rows : []).forEach((row, i) => {
+    const txt = String(row?.[colName] ?? '').replace(/\n/g, ' ').trim();
+    if (skipBlanks ? !isMeaningful(txt) : !txt) return;
+    const lang = detectLanguage(txt);
+    if (needsTranslation(lang)) items.push({ id: String(row?.[idCol] ?? (i + 1)), text: txt, lang });
+  });
+  return items;
+}
+
+// Same size limits as the coding chunks
+export function batchTranslationItems(items, maxChars = MAX_INPUT_CHARS, maxRecords = MAX_RECORDS_PER_CHUNK) {
+  const batches = [];
+  let current = [];
+  let total = 0;
+  items.forEach((item) => {
+    const add = item.id.length + item.text.length + 20;
+    if (current.length > 0 && (total + add > maxChars || current.length >= maxRecords)) {
+      batches.push(current);
+      current = [];
+      total = 0;
+    }
+    current.push(item);
+    total += add;
+  });
+  if (current.length > 0) batches.push(current);
+  return batches;
+}
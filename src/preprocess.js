@@ -0,0 +1,134 @@
+// preprocess.js — shrinks what Verbatims sends to the model. Responses that normalize to the same
+// text are grouped and only the first one of each group is sent; its codes are copied to the rest.
+// Analyst-maintained auto-code rules (regex => label) code matching responses without the model.
+
+// "Don't know!!", "dont know" and "DON'T KNOW" all normalize to "dont know"
+export function normalizeResponse(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/['’`]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .replace(/(\p{L})\1{2,}/gu, '$1') // "nooo" -> "no"
+    .trim();
+}
+
+// One rule per line: "<regex> => <label>". Regexes are case-insensitive and run against the
+// normalized response (lower case, no apostrophes or punctuation). Lines starting with # are comments.
+// The defaults run on every question, so they stay with answers that are non-answers anywhere;
+// "not really" or "nothing really" answer "Would you recommend it?" and are left to analyst rules.
+export const DEFAULT_AUTO_CODE_RULES = [
+  "# regex => label (matched against the response in lower case, without punctuation)",
+  "^(i )?(really )?(dont|do not) know( really)?$ => Don't know",
+  "^(idk|not sure|unsure|no idea|dunno|no clue)$ => Don't know",
+  "^(nothing|nada|no opinion|no thoughts)$ => Nothing / no opinion",
+].join('\n');
+
+// -> { rules: [{ source, re, label }], errors: ['line 3: ...'] }
+export function parseAutoCodeRules(text) {
+  const rules = [];
+  const errors = [];
+  String(text || '').split('\n').forEach((line, k) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+    const at = trimmed.lastIndexOf('=>');
+    const source = at === -1 ? '' : trimmed.slice(0, at).trim();
+    const label = at === -1 ? '' : trimmed.slice(at + 2).trim();
+    if (!source || !label) {
+      errors.push(`line ${k + 1}: expected "regex => label"`);
+      return;
+    }
+    try {
+      rules.push({ source, re: new RegExp(source, 'iu'), label });
+    } catch (err) {
+      errors.push(`line ${k + 1}: ${err.message}`);
+    }
+  });
+  return { rules, errors };
+}
+
+// Plans one question. eligible(text) says whether a response would be sent at all (blank handling).
+// Returns { sendIds: Set, members: Map<repId, id[]>, autoCoded: [{ label, rule, ids }], stats }.
+export function planColumn(rows, { idCol, col, eligible, dedupe = true, rules = [] }) {
+  const sendIds = new Set();
+  const members = new Map();
+  const repByKey = new Map();
+  const autoByLabel = new Map();
+  const stats = { responses: 0, sent: 0, grouped: 0, autoCoded: 0 };
+
+  (Array.isArray(rows) ? rows : []).forEach((row, i) => {
+    const text = String(row?.[col] ?? '').replace(/\n/g, ' ').trim();
+    if (!eligible(text)) return;
+    const id = String(row?.[idCol] ?? (i + 1));
+    const norm = normalizeResponse(text);
+    stats.responses++;
+
+    const rule = rules.find((r) => r.re.test(norm));
+    if (rule) {
+      const entry = autoByLabel.get(rule.label) || { label: rule.label, rule: rule.source, ids: [] };
+      entry.ids.push(id);
+      autoByLabel.set(rule.label, entry);
+      stats.autoCoded++;
+      return;
+    }
+
+    const rep = dedupe && norm ? repByKey.get(norm) : undefined;
+    if (rep != null) {
+      members.get(rep).push(id);
+      stats.grouped++;
+      return;
+    }
+    if (dedupe && norm) repByKey.set(norm, id);
+    members.set(id, []);
+    sendIds.add(id);
+    stats.sent++;
+  });
+
+  return { sendIds, members, autoCoded: Array.from(autoByLabel.values()), stats };
+}
+
+// Copy of rows where every response of `col` that is not sent is blanked (row positions are kept,
+// so chunk offsets and row-number IDs stay valid)
+export function rowsForPlan(rows, plan, idCol, col) {
+  return (Array.isArray(rows) ? rows : []).map((row, i) => {
+    const id = String(row?.[idCol] ?? (i + 1));
+    return plan.sendIds.has(id) || row?.[col] == null || row[col] === '' ? row : { ...row, [col]: '' };
+  });
+}
+
+// IDs plus the group members each of them stands for
+export const expandToMembers = (ids, plan) => Array.from(new Set(ids.flatMap((id) => [id, ...(plan.members.get(id) || [])])));
+
+// Gives every group member its representative's codes and adds the auto-coded themes
+// (merged into a model theme with the same label, else appended).
+export function fanOutThemes(themes, plan) {
+  const out = (Array.isArray(themes) ? themes : []).map((t) => ({
+    ...t,
+    ParticipantID: expandToMembers((Array.isArray(t?.ParticipantID) ? t.ParticipantID : []).map(String), plan),
+  }));
+  plan.autoCoded.forEach(({ label, rule, ids }) => {
+    const existing = out.find((t) => String(t.ThemeLabel || '').trim().toLowerCase() === label.trim().toLowerCase());
+    if (existing) {
+      existing.ParticipantID = Array.from(new Set([...existing.ParticipantID, ...ids]));
+      return;
+    }
+    out.push({
+      ThemeLabel: label,
+      Definition: `Auto-coded by rule /${rule}/ (not sent to the model).`,
+      Net: '',
+      RepresentativeKeywords: [],
+      ParticipantID: ids,
+    });
+  });
+  return out;
+}
+
+// Per-respondent maps (evidence, sentiment): members inherit their representative's entry
+export function fanOutById(byId, plan) {
+  if (!byId) return byId;
+  const out = { ...byId };
+  plan.members.forEach((others, rep) => {
+    if (out[rep] === undefined) return;
+    others.forEach((id) => { out[id] = out[rep]; });
+  });
+  return out;
+}
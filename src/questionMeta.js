@@ -0,0 +1,99 @@
+// questionMeta.js — question wording (plus an optional base / universe note) for each question column.
+// Sources: typed in, a second header row in the data file (Qualtrics-style exports) or a datamap CSV.
+// Meta shape: { [column]: { text, base } }; columns without wording are simply absent.
+
+export const QUESTION_PLACEHOLDER = '<INSERT SURVEY QUESTION(S) HERE>';
+
+// Datamap headers, most specific first. "Question" is the variable in "Question, Label" datamaps and
+// the wording in "Variable, Question" ones, so it is tried last for both.
+const VARIABLE_HEADERS = ['variable', 'variable name', 'var', 'column', 'name', 'question id', 'qid', 'question'];
+const TEXT_HEADERS = ['question text', 'question wording', 'wording', 'variable label', 'label', 'text', 'description', 'question'];
+const BASE_HEADERS = ['base', 'universe', 'asked of', 'base note', 'note', 'notes'];
+
+const findHeader = (headers, candidates, exclude) => {
+  const lc = headers.map((h) => String(h).trim().toLowerCase());
+  for (const name of candidates) {
+    const k = lc.indexOf(name);
+    if (k !== -1 && headers[k] !== exclude) return headers[k];
+  }
+  return null;
+};
+
+const clean = (v) => String(v ?? '').replace(/\s+/g, ' ').trim();
+
+// Datamap rows (Papa header:true) -> meta. Rows without a variable (e.g. value labels listed under a
+// variable) are skipped; the first wording seen for a variable wins.
+export function parseDatamapRows(rows) {
+  const list = Array.isArray(rows) ? rows : [];
+  const headers = list.length ? Object.keys(list[0]) : [];
+  const varCol = findHeader(headers, VARIABLE_HEADERS);
+  const textCol = findHeader(headers, TEXT_HEADERS, varCol);
+  if (!varCol || !textCol) return {};
+  const baseCol = findHeader(headers, BASE_HEADERS, varCol);
+
+  const meta = {};
+  list.forEach((row) => {
+    const variable = clean(row?.[varCol]);
+    const text = clean(row?.[textCol]);
+    if (!variable || !text || meta[variable]) return;
+    meta[variable] = { text, base: baseCol ? clean(row?.[baseCol]) : '' };
+  });
+  return meta;
+}
+
+// Keeps the entries that belong to `columns`, matched case-insensitively, keyed by the data's column name
+export function matchQuestionMeta(meta, columns) {
+  const byKey = new Map(Object.entries(meta || {}).map(([k, v]) => [k.trim().toLowerCase(), v]));
+  const out = {};
+  (columns || []).forEach((col) => {
+    const entry = byKey.get(String(col).trim().toLowerCase());
+    if (entry) out[col] = entry;
+  });
+  return out;
+}
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const IMPORT_ID_RE = /^\{\s*"ImportId"\s*:/i;
+
+// "Q24 - Why do you say that?" / "Q24. Why…" -> "Why do you say that?"
+const stripColumnPrefix = (text, col) => text.replace(new RegExp(`^${escapeRegex(col)}\\s*[-–:.)]\\s*`, 'i'), '');
+
+// Detects a wording row right under the header (and a Qualtrics ImportId row after it). Returns
+// { rows, meta, removed }: the data without those rows and the wording they carried; removed = 0 when
+// the first row looks like an ordinary response. Question marks alone are not enough: respondents ask
+// questions too, and dropping a real response would be silent data loss.
+export function splitQuestionTextRows(rows, questionColumns) {
+  const list = Array.isArray(rows) ? rows : [];
+  const cols = questionColumns || [];
+  if (list.length < 2 || cols.length === 0) return { rows: list, meta: {}, removed: 0 };
+
+  const first = list[0];
+  const filled = cols.filter((c) => clean(first?.[c]));
+  const prefixed = filled.filter((c) => new RegExp(`^${escapeRegex(c)}\\s*[-–:.)]`, 'i').test(clean(first[c])));
+  const importRow = cols.some((c) => IMPORT_ID_RE.test(clean(list[1]?.[c])));
+
+  // An ImportId row settles it; otherwise most question cells must repeat their column name ("Q24 - …")
+  const isWordingRow = filled.length > 0 && (importRow || prefixed.length / filled.length >= 0.6);
+  if (!isWordingRow) return { rows: list, meta: {}, removed: 0 };
+
+  const meta = {};
+  filled.forEach((c) => { meta[c] = { text: stripColumnPrefix(clean(first[c]), c), base: '' }; });
+  const removed = importRow ? 2 : 1;
+  return { rows: list.slice(removed), meta, removed };
+}
+
+// "Q24: Why do you say that?" — or just "Q24" when there is no wording
+export const questionTitle = (col, meta) => (meta?.[col]?.text ? `${col}: ${meta[col].text}` : String(col));
+
+// Context lines for prompts; '' when the column has no wording
+export function questionContext(col, meta) {
+  const entry = meta?.[col];
+  if (!entry?.text) return '';
+  return [`Survey question (${col}): "${entry.text}"`, entry.base ? `Base: ${entry.base}` : ''].filter(Boolean).join('\n');
+}
+
+// The default prompt's placeholder gets the question wording (left alone when there is none)
+export function fillQuestionPlaceholder(prompt, col, meta) {
+  const text = meta?.[col]?.text;
+  return text ? String(prompt).split(QUESTION_PLACEHOLDER).join(`"${text}"`) : prompt;
+}
@@ -0,0 +1,106 @@
+// redaction.js — masks personal data in verbatims before any of it is sent to the model. Rules are
+// plain regexes applied in order (emails before URLs, URLs before phone numbers), then the custom
+// term list. Only the copy sent to the model is masked; the loaded CSV and the exports keep the
+// original text.
+
+const STREET_SUFFIXES = [
+  'Street', 'St', 'Avenue', 'Ave', 'Road', 'Rd', 'Boulevard', 'Blvd', 'Lane', 'Ln', 'Drive', 'Dr',
+  'Court', 'Ct', 'Way', 'Place', 'Pl', 'Terrace', 'Circle', 'Cir', 'Highway', 'Hwy', 'Parkway', 'Pkwy',
+];
+// "123 Main St", "4500 North Oak Avenue": a house number, up to four capitalized words, a suffix
+const streetSuffixRe = STREET_SUFFIXES.map((s) => `[${s[0]}${s[0].toLowerCase()}]${s.slice(1)}`).join('|');
+
+const US_STATES = [
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS',
+  'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC',
+  'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY',
+];
+// A bare 5-digit number is as likely a price or a count, so a ZIP needs context: "Austin, TX 78701"
+// or "zip: 78701" / "my zip is 78701". Only the digits are masked.
+const zipContextRe = `(?:\\b(?:${US_STATES.join('|')}),?\\s+|\\b(?:[Zz][Ii][Pp](?:\\s*[Cc]ode)?|[Pp]ostal\\s+[Cc]ode)(?:\\s+is)?\\s*[:#]?\\s*)`;
+
+export const REDACTION_RULES = [
+  { id: 'email', label: 'Emails', mask: '[EMAIL]', pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+  { id: 'url', label: 'URLs', mask: '[URL]', pattern: /\b(?:https?:\/\/|www\.)[^\s<>"]+/gi },
+  { id: 'phone', label: 'Phone numbers', mask: '[PHONE]', pattern: /(?<![\w-])(?:\+?\d{1,3}[\s.-]?)?(?:\(\d{3}\)\s?|\d{3}[\s.-]?)\d{3}[\s.-]?\d{4}(?![\w-])/g },
+  { id: 'address', label: 'Street addresses', mask: '[ADDRESS]', pattern: new RegExp(`\\b\\d{1,6}\\s+(?:[A-Z][\\w'-]*\\.?\\s+){1,4}(?:${streetSuffixRe})\\b\\.?`, 'g') },
+  { id: 'zip', label: 'ZIP codes', mask: '[ZIP]', pattern: new RegExp(`(?<=${zipContextRe})\\d{5}(?:-\\d{4})?\\b`, 'g') },
+];
+
+export const CUSTOM_TERM_MASK = '[REDACTED]';
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// One term per line (or comma-separated); matched case-insensitively as whole words
+export function parseCustomTerms(text) {
+  return Array.from(new Set(String(text || '').split(/[\n,]/).map((t) => t.trim()).filter(Boolean)));
+}
+
+// settings: { rules: { [ruleId]: boolean }, customTerms: string[] } -> (text) => { text, counts: { [ruleId | 'custom']: n } }
+export function buildRedactor({ rules = {}, customTerms = [] } = {}) {
+  const active = REDACTION_RULES.filter((r) => rules[r.id]);
+  // Longest terms first so "Mary Ann" wins over "Mary"
+  const terms = [...customTerms].sort((a, b) => b.length - a.length).map(escapeRegex);
+  const custom = terms.length ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.join('|')})(?![\\p{L}\\p{N}])`, 'giu') : null;
+
+  return (input) => {
+    let text = String(input ?? '');
+    const counts = {};
+    const apply = (id, pattern, mask) => {
+      text = text.replace(pattern, () => {
+        counts[id] = (counts[id] || 0) + 1;
+        return mask;
+      });
+    };
+    active.forEach((r) => apply(r.id, r.pattern, r.mask));
+    if (custom) apply('custom', custom, CUSTOM_TERM_MASK);
+    return { text, counts };
+  };
+}
+
+// Masked copy of the rows (only `columns` change) plus per-column stats and a few before/after samples.
+// stats: { [column]: { masks, records, byRule: { [ruleId]: n } } }; samples: { [column]: [{ index, id, before, after }] }
+// (index is the row, so the page can show a sample under whichever ID column is picked later)
+export function redactRows(rows, columns, idCol, redact, maxSamples = 5) {
+  const stats = {};
+  const samples = {};
+  columns.forEach((c) => { stats[c] = { masks: 0, records: 0, byRule: {} }; samples[c] = []; });
+
+  const out = (Array.isArray(rows) ? rows : []).map((row, i) => {
+    let copy = row;
+    columns.forEach((c) => {
+      const value = row?.[c];
+      if (value == null || value === '') return;
+      const { text, counts } = redact(value);
+      const n = Object.values(counts).reduce((s, k) => s + k, 0);
+      if (n === 0) return;
+      if (copy === row) copy = { ...row };
+      copy[c] = text;
+      stats[c].masks += n;
+      stats[c].records++;
+      Object.entries(counts).forEach(([id, k]) => { stats[c].byRule[id] = (stats[c].byRule[id] || 0) + k; });
+      if (samples[c].length < maxSamples) samples[c].push({ index: i, id: String(row?.[idCol] ?? (i + 1)), before: String(value), after: text });
+    });
+    return copy;
+  });
+
+  return { rows: out, stats, samples };
+}
+
+// Just the masked cells of redactRows' copy, so the data worker sends back far less than every row:
+// [[rowIndex, { [column]: masked text }]]
+export function maskedCells(rows, masked, columns) {
+  const cells = [];
+  masked.forEach((row, i) => {
+    if (row === rows[i]) return;
+    cells.push([i, Object.fromEntries(columns.filter((c) => row[c] !== rows[i][c]).map((c) => [c, row[c]]))]);
+  });
+  return cells;
+}
+
+// rows with maskedCells() written back in; untouched rows are shared with the original
+export function applyMaskedCells(rows, cells) {
+  const out = Array.isArray(rows) ? rows.slice() : [];
+  (cells || []).forEach(([i, masked]) => { out[i] = { ...out[i], ...masked }; });
+  return out;
+}
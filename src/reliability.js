@@ -0,0 +1,238 @@
+// reliability.js — agreement between two codings of the same open ends (two model runs, or a human
+// coder vs the model). A coding is { ids: Set<string>, questions: { [question]: { [label]: Set<string> } } };
+// every (respondent, theme) pair is one binary rating unit, compared over respondents present in both.
+
+// Wide columns are "<question>_<theme label>". Known question columns are matched first (longest
+// prefix wins, so "why_vote_2" beats "why_vote"); otherwise the question is a leading Q-number ("Q24", "q10a")
+const WIDE_COL_RE = /^(q\d+[a-z0-9]*)_(.+)$/i;
+const NON_CODE_SUFFIX_RE = /^(NET_.+|Sentiment|Intensity)$/; // nets are unions of codes; sentiment is not a code
+
+const isCoded = (v) => {
+  const s = String(v ?? '').trim().toLowerCase();
+  if (!s || s === '0' || s === 'false' || s === 'no') return false;
+  return Number.isNaN(Number(s)) ? s === 'true' || s === 'yes' || s === 'x' : Number(s) !== 0;
+};
+
+// Labels match across runs regardless of case, underscores and repeated spaces
+export const alignKey = (label) => String(label ?? '').replace(/_/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+
+// "<question>_<theme>" -> [header, question, theme] (the shape of a WIDE_COL_RE match), or null
+function splitWideHeader(header, questions) {
+  const lc = header.toLowerCase();
+  const question = questions
+    .filter((q) => lc.startsWith(`${q.toLowerCase()}_`) && header.length > q.length + 1)
+    .sort((a, b) => b.length - a.length)[0];
+  return question ? [header, question, header.slice(question.length + 1)] : WIDE_COL_RE.exec(header);
+}
+
+// Parses a codes_by_question CSV (one row per respondent, 0/1 per "<question>_<theme>" column).
+// questions: the open-end columns known from the loaded data or results, for names that are not Q-numbers.
+export function codingFromWideRows(rows, idCol, questions = []) {
+  const list = Array.isArray(rows) ? rows : [];
+  const headers = list.length ? Object.keys(list[0]) : [];
+  const id = idCol && headers.includes(idCol) ? idCol : headers[0];
+  const known = Array.from(new Set((questions || []).map(String).filter(Boolean)));
+  const columns = headers
+    .filter((h) => h !== id)
+    .map((h) => ({ h, m: splitWideHeader(h, known) }))
+    .filter(({ m }) => m && !NON_CODE_SUFFIX_RE.test(m[2]));
+
+  const coding = { idCol: id, ids: new Set(), questions: {} };
+  columns.forEach(({ m }) => {
+    coding.questions[m[1]] = coding.questions[m[1]] || {};
+    coding.questions[m[1]][m[2]] = new Set();
+  });
+  list.forEach((row) => {
+    const rid = String(row?.[id] ?? '').trim();
+    if (!rid) return;
+    coding.ids.add(rid);
+    columns.forEach(({ h, m }) => {
+      if (isCoded(row[h])) coding.questions[m[1]][m[2]].add(rid);
+    });
+  });
+  return coding;
+}
+
+// Snapshot of in-memory Verbatims results ({ [question]: themes[] }); ids are every respondent in the data
+export function codingFromResults(results, allIds) {
+  const coding = { idCol: null, ids: new Set(Array.from(allIds || [], String)), questions: {} };
+  Object.entries(results || {}).forEach(([q, themes]) => {
+    if (!Array.isArray(themes)) return;
+    coding.questions[q] = {};
+    themes.forEach((t, i) => {
+      const ids = Array.isArray(t?.ParticipantID) ? t.ParticipantID : (t?.ParticipantID != null ? [t.ParticipantID] : []);
+      const label = String(t?.ThemeLabel || `Theme ${i + 1}`);
+      const set = coding.questions[q][label] || new Set();
+      ids.forEach((v) => { if (v != null && v !== '') set.add(String(v)); });
+      coding.questions[q][label] = set;
+      if (!allIds) set.forEach((v) => coding.ids.add(v));
+    });
+  });
+  return coding;
+}
+
+// Questions present in both codings, matched case-insensitively: [{ a, b }]
+export function sharedQuestions(codingA, codingB) {
+  const bByKey = new Map(Object.keys(codingB?.questions || {}).map((q) => [q.toLowerCase(), q]));
+  return Object.keys(codingA?.questions || {})
+    .filter((q) => bByKey.has(q.toLowerCase()))
+    .map((q) => ({ a: q, b: bByKey.get(q.toLowerCase()) }));
+}
+
+// Default theme alignment for one question: { [labelA]: labelB | '' } by normalized label
+export function autoAlignLabels(labelsA, labelsB) {
+  const bByKey = new Map(labelsB.map((l) => [alignKey(l), l]));
+  return Object.fromEntries(labelsA.map((l) => [l, bByKey.get(alignKey(l)) || '']));
+}
+
+// 2x2 table of two binary ratings -> agreement, Cohen's kappa and Krippendorff's alpha (nominal).
+// Kappa/alpha are null when undefined (e.g. neither run ever used the code).
+export function binaryAgreement({ both, onlyA, onlyB, neither }) {
+  const n = both + onlyA + onlyB + neither;
+  if (n === 0) return { n, agreement: null, kappa: null, alpha: null };
+  const po = (both + neither) / n;
+  const pe = ((both + onlyA) * (both + onlyB) + (onlyB + neither) * (onlyA + neither)) / (n * n);
+  const kappa = pe < 1 ? (po - pe) / (1 - pe) : null;
+
+  // Coincidence-matrix form for two coders, no missing values
+  const pairs = 2 * n;
+  const ones = 2 * both + onlyA + onlyB;
+  const zeros = 2 * neither + onlyA + onlyB;
+  const alpha = ones > 0 && zeros > 0 && pairs > 1
+    ? 1 - ((pairs - 1) * 2 * (onlyA + onlyB)) / (2 * ones * zeros)
+    : null;
+  return { n, agreement: po, kappa, alpha };
+}
+
+// Compares one question. mapping: { [labelA]: labelB | '' }; unmapped themes are listed, not scored.
+// Returns { n, themes: [{ labelA, labelB, both, onlyA, onlyB, neither, agreement, kappa, alpha }],
+//   pooled, exactMatch, unmatchedA, unmatchedB, disagreements: [{ id, onlyA: [], onlyB: [] }] }
+export function compareQuestion(codingA, codingB, qa, qb, mapping) {
+  const codesA = codingA.questions[qa] || {};
+  const codesB = codingB.questions[qb] || {};
+  const ids = Array.from(codingA.ids).filter((id) => codingB.ids.has(id));
+  const pairs = Object.keys(codesA)
+    .filter((la) => mapping?.[la] && codesB[mapping[la]])
+    .map((la) => ({ labelA: la, labelB: mapping[la] }));
+  const usedB = new Set(pairs.map((p) => p.labelB));
+
+  const pooledTable = { both: 0, onlyA: 0, onlyB: 0, neither: 0 };
+  const perId = new Map(); // id -> { onlyA: [], onlyB: [] }
+  const themes = pairs.map(({ labelA, labelB }) => {
+    const table = { both: 0, onlyA: 0, onlyB: 0, neither: 0 };
+    ids.forEach((id) => {
+      const a = codesA[labelA].has(id);
+      const b = codesB[labelB].has(id);
+      const cell = a && b ? 'both' : a ? 'onlyA' : b ? 'onlyB' : 'neither';
+      table[cell]++;
+      if (cell === 'onlyA' || cell === 'onlyB') {
+        const d = perId.get(id) || { onlyA: [], onlyB: [] };
+        d[cell].push(cell === 'onlyA' ? labelA : labelB);
+        perId.set(id, d);
+      }
+    });
+    Object.keys(table).forEach((k) => { pooledTable[k] += table[k]; });
+    return { labelA, labelB, ...table, ...binaryAgreement(table) };
+  });
+
+  return {
+    n: ids.length,
+    themes,
+    pooled: { ...pooledTable, ...binaryAgreement(pooledTable) },
+    exactMatch: ids.length && pairs.length ? (ids.length - perId.size) / ids.length : null,
+    unmatchedA: Object.keys(codesA).filter((la) => !pairs.some((p) => p.labelA === la)),
+    unmatchedB: Object.keys(codesB).filter((lb) => !usedB.has(lb)),
+    disagreements: Array.from(perId.entries()).map(([id, d]) => ({ id, ...d })),
+  };
+}
+
+/* Self-consistency: the same question coded N times (repeat runs, other models or temperatures) */
+
+const MIN_ALIGN_JACCARD = 0.3;   // weaker overlaps are different themes, not renamed ones
+const STABLE_THEME_JACCARD = 0.7;
+const VOLATILE_THEME_JACCARD = 0.4;
+const STABLE_ASSIGNMENT_SHARE = 0.8; // an assignment is stable when >= 80% of runs agree either way
+
+const jaccard = (a, b) => {
+  let inter = 0;
+  a.forEach((id) => { if (b.has(id)) inter++; });
+  const union = a.size + b.size - inter;
+  return union > 0 ? inter / union : 0;
+};
+
+// Pairs primary themes with themes of one replicate run, one-to-one: identical labels first, then the
+// largest respondent overlap. themes: [{ label, ids: Set }]. Returns, per primary theme, { index, jaccard } | null.
+export function alignThemeRuns(primary, replicate, minJaccard = MIN_ALIGN_JACCARD) {
+  const out = primary.map(() => null);
+  const taken = new Set();
+  primary.forEach((p, i) => {
+    const j = replicate.findIndex((r, k) => !taken.has(k) && alignKey(r.label) === alignKey(p.label));
+    if (j === -1) return;
+    out[i] = { index: j, jaccard: jaccard(p.ids, replicate[j].ids) };
+    taken.add(j);
+  });
+
+  const candidates = [];
+  primary.forEach((p, i) => {
+    if (out[i]) return;
+    replicate.forEach((r, k) => {
+      if (taken.has(k)) return;
+      const score = jaccard(p.ids, r.ids);
+      if (score >= minJaccard) candidates.push({ i, k, score });
+    });
+  });
+  candidates.sort((x, y) => y.score - x.score).forEach(({ i, k, score }) => {
+    if (out[i] || taken.has(k)) return;
+    out[i] = { index: k, jaccard: score };
+    taken.add(k);
+  });
+  return out;
+}
+
+// runs[0] is the primary coding shown to the user; runs[1..] are replicates. Each run: [{ label, ids: Set }].
+// Theme stability is the mean overlap with its counterpart across replicates (0 when a run has none).
+// A respondent is volatile when, for some primary theme, the runs split between coding and not coding
+// them to it. Returns { runCount, themes, extras, volatile, assignments: { stable, volatile } }.
+export function summarizeConsistency(runs) {
+  const [primary = [], ...replicates] = runs;
+  const runCount = runs.length;
+  const alignments = replicates.map((rep) => alignThemeRuns(primary, rep));
+
+  const themes = primary.map((p, i) => {
+    const matches = alignments.map((a, k) => (a[i] ? { label: replicates[k][a[i].index].label, jaccard: a[i].jaccard } : null));
+    const meanJaccard = replicates.length ? matches.reduce((s, m) => s + (m?.jaccard || 0), 0) / replicates.length : 1;
+    const status = meanJaccard >= STABLE_THEME_JACCARD ? 'stable' : meanJaccard >= VOLATILE_THEME_JACCARD ? 'partly stable' : 'volatile';
+    return { label: p.label, n: p.ids.size, matches, matchedRuns: matches.filter(Boolean).length, meanJaccard, status };
+  });
+
+  // Replicate themes no primary theme lines up with (possibly codes the primary run missed)
+  const extras = [];
+  replicates.forEach((rep, k) => {
+    const used = new Set(alignments[k].filter(Boolean).map((m) => m.index));
+    rep.forEach((t, j) => { if (!used.has(j) && t.ids.size > 0) extras.push({ run: k + 2, label: t.label, n: t.ids.size }); });
+  });
+
+  const allIds = new Set();
+  runs.forEach((run) => run.forEach((t) => t.ids.forEach((id) => allIds.add(id))));
+  const assignments = { stable: 0, volatile: 0 };
+  const volatile = [];
+  allIds.forEach((id) => {
+    const codes = [];
+    primary.forEach((p, i) => {
+      const inPrimary = p.ids.has(id);
+      const votes = (inPrimary ? 1 : 0) + alignments.reduce((s, a, k) => s + (a[i] && replicates[k][a[i].index].ids.has(id) ? 1 : 0), 0);
+      if (votes === 0) return;
+      // Whole-vote thresholds: 1 - 0.8 in floating point is just above 0.2, so shares would misfire
+      const agree = Math.ceil(STABLE_ASSIGNMENT_SHARE * runCount);
+      if (votes >= agree || votes <= runCount - agree) {
+        assignments.stable++;
+      } else {
+        assignments.volatile++;
+        codes.push({ label: p.label, votes, inPrimary });
+      }
+    });
+    if (codes.length) volatile.push({ id, codes });
+  });
+
+  return { runCount, themes, extras, volatile, assignments };
+}
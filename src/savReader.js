@@ -0,0 +1,321 @@
+// savReader.js — minimal in-browser SPSS .sav reader: the variable dictionary (long names, variable
+// labels, value labels, print formats) and the cases. Handles uncompressed, bytecode-compressed and
+// zlib-compressed (.zsav-style) files in either byte order; multiple-response sets and attributes are skipped.
+
+const SYSMIS = -Number.MAX_VALUE;
+const SEGMENT_BYTES = 252; // very long strings are stored as 255-wide segments holding 252 bytes each
+
+// SPSS code page numbers (machine integer info) -> TextDecoder labels
+const CODE_PAGES = { 65001: 'utf-8', 1252: 'windows-1252', 1250: 'windows-1250', 1251: 'windows-1251', 28591: 'iso-8859-1', 20127: 'us-ascii' };
+
+// Print format types that hold dates, as SPSS seconds since 14 Oct 1582
+const DATE_FORMATS = new Set([20, 23, 24, 28, 29, 30, 38, 39]); // DATE, ADATE, JDATE, MOYR, QYR, WKYR, EDATE, SDATE
+const DATETIME_FORMATS = new Set([22]);                         // DATETIME
+const SPSS_EPOCH_MS = Date.UTC(1582, 9, 14);
+
+function createCursor(buffer, littleEndian) {
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  const cursor = {
+    pos: 0,
+    length: buffer.length,
+    littleEndian,
+    int32() { const v = view.getInt32(cursor.pos, littleEndian); cursor.pos += 4; return v; },
+    float64() { const v = view.getFloat64(cursor.pos, littleEndian); cursor.pos += 8; return v; },
+    int64() { const v = Number(view.getBigInt64(cursor.pos, littleEndian)); cursor.pos += 8; return v; },
+    bytes(n) { const v = buffer.subarray(cursor.pos, cursor.pos + n); cursor.pos += n; return v; },
+    float64At(offset) { return view.getFloat64(offset, littleEndian); },
+    bytesAt(offset, n) { return buffer.subarray(offset, offset + n); },
+  };
+  return cursor;
+}
+
+const pad = (n, to) => Math.ceil(n / to) * to;
+
+/* ===================== Dictionary ===================== */
+
+function readDictionary(cur) {
+  const slots = [];       // one per 8-byte case element: the variable record that starts there, or null
+  const records = [];     // variable records (not continuations)
+  const labelSets = [];   // [{ entries: [{ value: bytes, label: bytes }], vars: [1-based slot] }]
+  const ext = {};         // extension subtype -> { bytes, size, count }
+
+  for (;;) {
+    const recType = cur.int32();
+    if (recType === 2) {
+      const type = cur.int32();
+      const hasLabel = cur.int32();
+      const nMissing = cur.int32();
+      const print = cur.int32();
+      cur.int32(); // write format
+      const name = cur.bytes(8);
+      let label = null;
+      if (hasLabel) { const len = cur.int32(); label = cur.bytes(len); cur.pos += pad(len, 4) - len; }
+      cur.pos += Math.abs(nMissing) * 8;
+      if (type === -1) { slots.push(null); continue; }
+      const rec = { type, print, name, label, slot: slots.length };
+      slots.push(rec);
+      records.push(rec);
+    } else if (recType === 3) {
+      const count = cur.int32();
+      const entries = [];
+      for (let i = 0; i < count; i++) {
+        const value = cur.bytes(8);
+        const len = cur.bytes(1)[0];
+        entries.push({ value, label: cur.bytes(len) });
+        cur.pos += pad(len + 1, 8) - (len + 1);
+      }
+      if (cur.int32() !== 4) throw new Error('Corrupt .sav file: value labels without their variables.');
+      const n = cur.int32();
+      const vars = [];
+      for (let i = 0; i < n; i++) vars.push(cur.int32());
+      labelSets.push({ entries, vars });
+    } else if (recType === 6) {
+      cur.pos += cur.int32() * 80;
+    } else if (recType === 7) {
+      const subtype = cur.int32();
+      const size = cur.int32();
+      const count = cur.int32();
+      ext[subtype] = { bytes: cur.bytes(size * count), size, count };
+    } else if (recType === 999) {
+      cur.int32();
+      return { slots, records, labelSets, ext };
+    } else {
+      throw new Error(`Unsupported .sav record type ${recType}.`);
+    }
+  }
+}
+
+function encodingOf(ext, cur) {
+  if (ext[20]) return new TextDecoder('ascii').decode(ext[20].bytes).trim().toLowerCase();
+  if (ext[3]?.count >= 8) {
+    const info = createCursor(ext[3].bytes, cur.littleEndian);
+    info.pos = 7 * 4;
+    return CODE_PAGES[info.int32()] || 'windows-1252';
+  }
+  return 'windows-1252';
+}
+
+// "KEY=value<sep>KEY2=value2" extension text -> { KEY: value }
+function pairs(text, sep) {
+  const out = {};
+  text.split(sep).forEach((part) => {
+    const k = part.indexOf('=');
+    if (k > 0) out[part.slice(0, k).trim().toUpperCase()] = part.slice(k + 1);
+  });
+  return out;
+}
+
+/* ===================== Cases ===================== */
+
+// Yields the 8-byte case elements: a number (or null for system-missing) in numeric slots,
+// a byte offset (or 'spaces') in string slots. Returns null at the end of the data.
+function elementReader(cur, compression, bias, isNumeric) {
+  if (compression === 0) {
+    let k = 0;
+    return () => {
+      if (cur.pos + 8 > cur.length) return null;
+      const numeric = isNumeric[k++ % isNumeric.length];
+      const offset = cur.pos;
+      cur.pos += 8;
+      if (!numeric) return offset;
+      const v = cur.float64At(offset);
+      return v === SYSMIS ? { value: null } : { value: v };
+    };
+  }
+  let commands = null;
+  let ci = 8;
+  let k = 0;
+  return () => {
+    for (;;) {
+      if (ci >= 8) {
+        if (cur.pos + 8 > cur.length) return null;
+        commands = cur.bytes(8);
+        ci = 0;
+      }
+      const code = commands[ci++];
+      if (code === 0) continue;
+      if (code === 252) return null;
+      const numeric = isNumeric[k++ % isNumeric.length];
+      if (code === 253) {
+        const offset = cur.pos;
+        cur.pos += 8;
+        if (!numeric) return offset;
+        const v = cur.float64At(offset);
+        return v === SYSMIS ? { value: null } : { value: v };
+      }
+      if (code === 254) return 'spaces';
+      if (code === 255) return { value: null };
+      return { value: code - bias };
+    }
+  }
+}
+
+// zlib-compressed data: inflate each block listed in the trailer and continue as bytecode
+async function inflateZsav(cur) {
+  cur.int64(); // zheader offset
+  const trailerOfs = cur.int64();
+  cur.pos = trailerOfs;
+  cur.int64(); // bias
+  cur.int64(); // zero
+  cur.int32(); // block size
+  const nBlocks = cur.int32();
+  const blocks = [];
+  for (let i = 0; i < nBlocks; i++) {
+    cur.int64(); // uncompressed offset
+    const compressedOfs = cur.int64();
+    cur.int32(); // uncompressed size
+    blocks.push({ offset: compressedOfs, size: cur.int32() });
+  }
+  if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot read zlib-compressed .sav files; save it uncompressed or as standard compressed.');
+  const parts = [];
+  for (const b of blocks) {
+    const stream = new Blob([cur.bytesAt(b.offset, b.size)]).stream().pipeThrough(new DecompressionStream('deflate'));
+    parts.push(new Uint8Array(await new Response(stream).arrayBuffer()));
+  }
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let at = 0;
+  parts.forEach((p) => { out.set(p, at); at += p.length; });
+  return out;
+}
+
+/* ===================== Public ===================== */
+
+// -> { variables: [{ name, label, type: 'numeric'|'string', format: { type, width, decimals },
+//      valueLabels: { [value]: label } }], cases: [[number|null|string]] }
+// Numeric value-label keys are the numbers as strings ("1", "2.5"); string keys are right-trimmed.
+export async function readSav(input) {
+  const buffer = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const magic = new TextDecoder('ascii').decode(buffer.subarray(0, 4));
+  if (magic !== '$FL2' && magic !== '$FL3') throw new Error('Not an SPSS .sav file.');
+
+  const le = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength).getInt32(64, true);
+  const littleEndian = le === 2 || le === 3;
+  const cur = createCursor(buffer, littleEndian);
+
+  cur.pos = 72;
+  const compression = cur.int32();
+  cur.pos = 84;
+  const bias = cur.float64();
+  cur.pos = 176;
+
+  const { slots, records, labelSets, ext } = readDictionary(cur);
+  const decoder = new TextDecoder(encodingOf(ext, cur));
+  const text = (bytes) => decoder.decode(bytes).replace(/[\s\u0000]+$/, '');
+
+  const longNames = ext[13] ? pairs(text(ext[13].bytes), '\t') : {};
+  const veryLong = ext[14] ? pairs(decoder.decode(ext[14].bytes).replace(/\u0000/g, ''), '\t') : {};
+
+  // Variables, with very long strings' segment records folded into their first record
+  const variables = [];
+  for (let i = 0; i < records.length; i++) {
+    const rec = records[i];
+    const shortName = text(rec.name).toUpperCase();
+    const fullWidth = Number(veryLong[shortName]) || 0;
+    const segments = [];
+    if (fullWidth > 255) {
+      const nSeg = Math.ceil(fullWidth / SEGMENT_BYTES);
+      for (let s = 0; s < nSeg && i + s < records.length; s++) {
+        const seg = records[i + s];
+        segments.push({ slot: seg.slot, elements: Math.ceil(seg.type / 8), keep: s < nSeg - 1 ? SEGMENT_BYTES : seg.type });
+      }
+      i += segments.length - 1;
+    } else if (rec.type > 0) {
+      segments.push({ slot: rec.slot, elements: Math.ceil(rec.type / 8), keep: rec.type });
+    }
+    const name = longNames[shortName] || text(rec.name);
+    variables.push({
+      name,
+      shortName,
+      label: rec.label ? text(rec.label) : '',
+      type: rec.type === 0 ? 'numeric' : 'string',
+      format: { type: (rec.print >> 16) & 0xff, width: (rec.print >> 8) & 0xff, decimals: rec.print & 0xff },
+      valueLabels: {},
+      slot: rec.slot,
+      segments,
+    });
+  }
+
+  const bySlot = new Map(variables.map((v) => [v.slot, v]));
+  labelSets.forEach(({ entries, vars }) => {
+    vars.forEach((index) => {
+      const v = bySlot.get(index - 1);
+      if (!v) return;
+      entries.forEach(({ value, label }) => {
+        const key = v.type === 'numeric'
+          ? String(createCursor(value, littleEndian).float64())
+          : text(value);
+        v.valueLabels[key] = text(label);
+      });
+    });
+  });
+
+  // Long string value labels (subtype 21)
+  if (ext[21]) {
+    const lc = createCursor(ext[21].bytes, littleEndian);
+    const byName = new Map(variables.map((v) => [v.name.toUpperCase(), v]));
+    while (lc.pos < ext[21].bytes.length) {
+      const v = byName.get(text(lc.bytes(lc.int32())).toUpperCase());
+      lc.int32(); // width
+      const n = lc.int32();
+      for (let i = 0; i < n; i++) {
+        const value = text(lc.bytes(lc.int32()));
+        const label = text(lc.bytes(lc.int32()));
+        if (v) v.valueLabels[value] = label;
+      }
+    }
+  }
+
+  // Cases
+  let source = cur;
+  let mode = compression;
+  if (compression === 2) {
+    source = createCursor(await inflateZsav(cur), littleEndian);
+    mode = 1;
+  }
+  const isNumeric = slots.map((s, k) => {
+    let owner = k;
+    while (owner > 0 && slots[owner] === null) owner--;
+    return slots[owner]?.type === 0;
+  });
+  const next = elementReader(source, mode, bias, isNumeric);
+  const spaces = new Uint8Array(8).fill(32);
+  const bytesOf = (el) => (el === 'spaces' ? spaces : source.bytesAt(el, 8));
+
+  const cases = [];
+  for (;;) {
+    const elements = [];
+    for (let k = 0; k < slots.length; k++) {
+      const el = next();
+      if (el === null) break;
+      elements.push(el);
+    }
+    if (elements.length < slots.length) break;
+    cases.push(variables.map((v) => {
+      if (v.type === 'numeric') return elements[v.slot].value;
+      const parts = v.segments.map((seg) => {
+        const bytes = new Uint8Array(seg.elements * 8);
+        for (let e = 0; e < seg.elements; e++) bytes.set(bytesOf(elements[seg.slot + e]), e * 8);
+        return bytes.subarray(0, seg.keep);
+      });
+      const all = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+      let at = 0;
+      parts.forEach((p) => { all.set(p, at); at += p.length; });
+      return text(all);
+    }));
+  }
+
+  return {
+    variables: variables.map(({ name, label, type, format, valueLabels }) => ({ name, label, type, format, valueLabels })),
+    cases,
+  };
+}
+
+// A numeric case value as display text: dates in ISO form, other numbers without float noise
+export function formatSavNumber(value, format) {
+  if (value == null || !Number.isFinite(value)) return '';
+  if (DATE_FORMATS.has(format?.type) || DATETIME_FORMATS.has(format?.type)) {
+    const iso = new Date(SPSS_EPOCH_MS + value * 1000).toISOString();
+    return DATETIME_FORMATS.has(format.type) ? `${iso.slice(0, 10)} ${iso.slice(11, 19)}` : iso.slice(0, 10);
+  }
+  return String(Number(value.toPrecision(15)));
+}
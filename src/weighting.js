@@ -0,0 +1,105 @@
+// weighting.js — weighted survey tabulation shared by Memos (toplines) and Verbatims (theme crosstabs).
+// A row's weight comes from the optional weight column; rows with a zero/blank/negative weight drop out.
+
+// Weight of one row; 1 when no weight column is chosen
+export function rowWeight(row, weightCol) {
+  return Number(weightCol ? (row?.[weightCol] ?? 0) : 1) || (weightCol ? 0 : 1);
+}
+
+// Demographic level of a row, with blanks grouped as "Missing"
+export const levelOf = (row, col) => (row?.[col] == null || row[col] === '' ? 'Missing' : String(row[col]));
+
+// Weighted frequency table: returns [{ val, pct, w }]
+export function weightedFreq(rows, valueCol, weightCol) {
+  const sums = new Map(); // key: string value => sumW
+  let total = 0;
+
+  for (const row of rows) {
+    let v = row?.[valueCol];
+    if (v == null || v === '') v = 'Missing';
+    v = String(v);
+
+    const w = rowWeight(row, weightCol);
+    if (w <= 0) continue;
+
+    sums.set(v, (sums.get(v) || 0) + w);
+    total += w;
+  }
+
+  const arr = Array.from(sums.entries()).map(([val, w]) => ({
+    val,
+    w,
+    pct: total > 0 ? (w / total) * 100 : 0,
+  }));
+  arr.sort((a, b) => b.pct - a.pct);
+  return arr;
+}
+
+// Memos toplines: { [question]: { Total: table, '<demo>: <level>': table } } with weightedFreq tables.
+// Levels keep first-seen order; onProgress(0..1) after each question.
+export function buildToplines(rows, { questionCols, demoCols = [], weightCol = null }, onProgress) {
+  const splits = demoCols.map((demo) => {
+    const byLevel = new Map();
+    rows.forEach((row) => {
+      const level = levelOf(row, demo);
+      if (!byLevel.has(level)) byLevel.set(level, []);
+      byLevel.get(level).push(row);
+    });
+    return { demo, byLevel };
+  });
+
+  const out = {};
+  questionCols.forEach((q, k) => {
+    out[q] = { Total: weightedFreq(rows, q, weightCol) };
+    splits.forEach(({ demo, byLevel }) => {
+      byLevel.forEach((subset, level) => { out[q][`${demo}: ${level}`] = weightedFreq(subset, q, weightCol); });
+    });
+    onProgress?.((k + 1) / questionCols.length);
+  });
+  return out;
+}
+
+// Theme × demographic table for multi-coded open ends. The base is every respondent in baseIds
+// (those who answered the question); a theme's % in a level is the weighted share of that level's
+// base coded to it, so columns can add up to more than 100.
+// codes: [{ label, ids: Set<string> }]. Row IDs follow Verbatims: the ID column, else 1-based row number.
+// Returns { levels: ['Total', ...], base: { [level]: { n, w } }, rows: [{ label, pct: { [level]: number } }] }
+export function weightedThemeCrosstab(rows, { idCol, demoCol, weightCol, baseIds, codes }) {
+  const base = { Total: { n: 0, w: 0 } };
+  const coded = codes.map(() => ({ Total: 0 }));
+  const levelTotals = new Map();
+
+  (Array.isArray(rows) ? rows : []).forEach((row, i) => {
+    const id = String(row?.[idCol] ?? (i + 1));
+    if (!baseIds.has(id)) return;
+    const w = rowWeight(row, weightCol);
+    if (w <= 0) return;
+
+    const level = demoCol ? levelOf(row, demoCol) : null;
+    const keys = level != null ? ['Total', level] : ['Total'];
+    if (level != null) levelTotals.set(level, (levelTotals.get(level) || 0) + w);
+    keys.forEach((k) => {
+      base[k] = base[k] || { n: 0, w: 0 };
+      base[k].n++;
+      base[k].w += w;
+    });
+    codes.forEach((c, j) => {
+      if (!c.ids.has(id)) return;
+      keys.forEach((k) => { coded[j][k] = (coded[j][k] || 0) + w; });
+    });
+  });
+
+  // Largest levels first, "Missing" last
+  const levels = ['Total', ...Array.from(levelTotals.entries())
+    .sort((a, b) => (a[0] === 'Missing') - (b[0] === 'Missing') || b[1] - a[1])
+    .map(([level]) => level)];
+
+  return {
+    levels,
+    base,
+    rows: codes.map((c, j) => ({
+      label: c.label,
+      pct: Object.fromEntries(levels.map((k) => [k, base[k]?.w > 0 ? ((coded[j][k] || 0) / base[k].w) * 100 : 0])),
+    })),
+  };
+}
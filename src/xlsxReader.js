@@ -0,0 +1,132 @@
+// xlsxReader.js — minimal in-browser .xlsx reader, the counterpart of xlsxWriter.js: sheet names and
+// one sheet's cell values as a matrix of strings (shared/inline strings, numbers, booleans, dates).
+// The XML is scanned with regular expressions, so no DOM is needed; formulas come back as their cached value.
+import JSZip from 'jszip';
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+const unescapeXml = (s) => String(s)
+  .replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (m, e) => {
+    if (e[0] !== '#') return ENTITIES[e.toLowerCase()];
+    return String.fromCodePoint(e[1].toLowerCase() === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+  })
+  // Excel's own escape for control characters, e.g. _x000D_
+  .replace(/_x([0-9a-f]{4})_/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+const attr = (tag, name) => {
+  const m = tag.match(new RegExp(`\\s${name}\\s*=\\s*"([^"]*)"`));
+  return m ? unescapeXml(m[1]) : null;
+};
+
+// Text of a <si> or <is> element: every <t> run, without phonetic (<rPh>) runs
+const richText = (xml) => Array.from(
+  xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g),
+  (m) => unescapeXml(m[1]),
+).join('');
+
+// "B12" -> 1 (zero-based column)
+function columnIndex(ref) {
+  const letters = (String(ref).match(/^[A-Z]+/i) || [''])[0].toUpperCase();
+  let n = 0;
+  for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+/* ===================== Dates ===================== */
+
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 30, 36, 45, 46, 47, 50, 57]);
+
+// A number format shows a date/time when it has d/m/y/h/s outside quotes, brackets and escapes
+const isDateFormatCode = (code) => /[dmyhs]/i.test(String(code)
+  .replace(/"[^"]*"/g, '')
+  .replace(/\[[^\]]*\]/g, '')
+  .replace(/\\./g, '')
+  .replace(/General/gi, ''));
+
+// Excel serial -> "2024-03-01" or "2024-03-01 14:30:00"
+function serialToText(serial, date1904) {
+  const ms = Math.round((serial + (date1904 ? 1462 : 0) - 25569) * 86400000);
+  const iso = new Date(ms).toISOString();
+  return serial % 1 === 0 ? iso.slice(0, 10) : `${iso.slice(0, 10)} ${iso.slice(11, 19)}`;
+}
+
+const numberText = (n) => String(Number(n.toPrecision(15))); // hides float noise such as 0.30000000000000004
+
+/* ===================== Workbook ===================== */
+
+async function openWorkbook(data) {
+  const zip = await JSZip.loadAsync(data);
+  const read = (path) => (zip.file(path) ? zip.file(path).async('string') : Promise.resolve(''));
+
+  const [workbookXml, relsXml, sharedXml, stylesXml] = await Promise.all([
+    read('xl/workbook.xml'), read('xl/_rels/workbook.xml.rels'), read('xl/sharedStrings.xml'), read('xl/styles.xml'),
+  ]);
+  if (!workbookXml) throw new Error('Not an Excel workbook (xl/workbook.xml is missing).');
+
+  const targets = {};
+  for (const [tag] of relsXml.matchAll(/<Relationship\b[^>]*>/g)) {
+    const target = attr(tag, 'Target') || '';
+    targets[attr(tag, 'Id')] = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  }
+  const sheets = Array.from(workbookXml.matchAll(/<sheet\b[^>]*>/g), ([tag]) => ({
+    name: attr(tag, 'name'),
+    path: targets[attr(tag, 'r:id')],
+    hidden: !!attr(tag, 'state') && attr(tag, 'state') !== 'visible',
+  })).filter((s) => s.name && s.path);
+
+  const shared = Array.from(sharedXml.matchAll(/<si\s*\/>|<si\b[^>]*>([\s\S]*?)<\/si>/g), (m) => richText(m[1] || ''));
+
+  // Style index -> is this cell formatted as a date?
+  const customFormats = {};
+  for (const [tag] of stylesXml.matchAll(/<numFmt\b[^>]*>/g)) customFormats[attr(tag, 'numFmtId')] = attr(tag, 'formatCode');
+  const cellXfs = (stylesXml.match(/<cellXfs\b[\s\S]*?<\/cellXfs>/) || [''])[0];
+  const dateStyles = Array.from(cellXfs.matchAll(/<xf\b[^>]*>/g), ([tag]) => {
+    const id = Number(attr(tag, 'numFmtId') || 0);
+    return BUILTIN_DATE_FORMATS.has(id) || (customFormats[id] != null && isDateFormatCode(customFormats[id]));
+  });
+
+  const date1904 = /<workbookPr\b[^>]*date1904\s*=\s*"(1|true)"/.test(workbookXml);
+  return { zip, sheets, shared, dateStyles, date1904 };
+}
+
+function cellText(cellXml, wb) {
+  const open = cellXml.match(/^<c\b[^>]*>/)[0];
+  const type = attr(open, 't') || 'n';
+  const raw = (cellXml.match(/<v(?:\s[^>]*)?>([\s\S]*?)<\/v>/) || [])[1];
+  if (type === 'inlineStr') return richText((cellXml.match(/<is\b[^>]*>([\s\S]*?)<\/is>/) || [])[1] || '');
+  if (raw == null) return '';
+  if (type === 's') return wb.shared[Number(raw)] ?? '';
+  if (type === 'b') return raw === '1' ? 'TRUE' : 'FALSE';
+  if (type === 'str' || type === 'e' || type === 'd') return unescapeXml(raw);
+  const n = Number(raw);
+  if (!Number.isFinite(n)) return unescapeXml(raw);
+  return wb.dateStyles[Number(attr(open, 's') || 0)] ? serialToText(n, wb.date1904) : numberText(n);
+}
+
+// -> { sheets: [name], sheet, matrix: string[][] }. Hidden sheets are listed last; the first visible
+// sheet is read when no (or an unknown) sheet name is given.
+export async function readXlsx(data, sheetName) {
+  const wb = await openWorkbook(data);
+  const ordered = [...wb.sheets.filter((s) => !s.hidden), ...wb.sheets.filter((s) => s.hidden)];
+  if (ordered.length === 0) throw new Error('The workbook has no worksheets.');
+  const sheet = ordered.find((s) => s.name === sheetName) || ordered[0];
+  const xml = wb.zip.file(sheet.path) ? await wb.zip.file(sheet.path).async('string') : '';
+
+  const matrix = [];
+  let nextRow = 0;
+  for (const [rowXml] of xml.matchAll(/<row\b[^>]*?(?:\/>|>[\s\S]*?<\/row>)/g)) {
+    const r = attr(rowXml.match(/^<row\b[^>]*>/)[0], 'r');
+    const rowIndex = r ? Number(r) - 1 : nextRow;
+    nextRow = rowIndex + 1;
+    const cells = [];
+    let nextCol = 0;
+    for (const [cellXml] of rowXml.matchAll(/<c\b[^>]*?(?:\/>|>[\s\S]*?<\/c>)/g)) {
+      const ref = attr(cellXml.match(/^<c\b[^>]*>/)[0], 'r');
+      const col = ref ? columnIndex(ref) : nextCol;
+      nextCol = col + 1;
+      cells[col] = cellXml.endsWith('/>') ? '' : cellText(cellXml, wb);
+    }
+    matrix[rowIndex] = Array.from(cells, (v) => v ?? '');
+  }
+  return { sheets: ordered.map((s) => s.name), sheet: sheet.name, matrix: Array.from(matrix, (row) => row || []) };
+}